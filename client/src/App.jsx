@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
-import { Header, Footer, TimeSeriesChart, DeviceControlPanel, DashboardStats, ErrorDisplay, LoadingDisplay } from './components';
-import { useSensorData } from './hooks';
+import { Header, Footer, TimeSeriesChart, DeviceControlPanel, DashboardStats, ErrorDisplay, LoadingDisplay, MetricSelector } from './components';
+import { useSensorData, useSensorFields, useForecast, useAnomalies, useLocalStorage } from './hooks';
+import { toChartPoints } from './utils/chartSeries';
 
 function App() {
   const [error, setError] = useState(null);
@@ -11,60 +12,23 @@ function App() {
     loading: sensorLoading, 
     error: sensorError 
   } = useSensorData('1h');
+  const { fields, derivedFields, error: fieldsError } = useSensorFields();
+  const { forecast } = useForecast();
+  const { anomalies } = useAnomalies('1h');
+  const [selectedDerived, setSelectedDerived] = useLocalStorage('weatherly.derivedCharts', []);
+
+  // Registry fields plus the derived metrics picked in the selector
+  const chartFields = [...fields, ...derivedFields.filter(field => selectedDerived.includes(field.key))];
 
   // Combine sensor error with any connection errors
   useEffect(() => {
-    if (sensorError) {
-      setError(sensorError);
-    }
-  }, [sensorError]);
-
-  // Create array of sensor data for components
-  const formatSensorDataForChart = () => {
-    // Handle case where sensorData is not available yet
-    if (!sensorData || typeof sensorData !== 'object') return [];
-    
-    // The server returns data as { temperature: [...], humidity: [...], pressure: [...] }
-    // We need to flatten this into a single array
-    const flattenedData = [];
-    
-    if (sensorData.temperature && Array.isArray(sensorData.temperature)) {
-      flattenedData.push(...sensorData.temperature.map(item => ({
-        timestamp: item.time,
-        type: 'temperature',
-        value: item.value,
-        field: item.field,
-        measurement: item.measurement
-      })));
+    if (sensorError || fieldsError) {
+      setError(sensorError || fieldsError);
     }
-    
-    if (sensorData.humidity && Array.isArray(sensorData.humidity)) {
-      flattenedData.push(...sensorData.humidity.map(item => ({
-        timestamp: item.time,
-        type: 'humidity',
-        value: item.value,
-        field: item.field,
-        measurement: item.measurement
-      })));
-    }
-    
-    if (sensorData.pressure && Array.isArray(sensorData.pressure)) {
-      flattenedData.push(...sensorData.pressure.map(item => ({
-        timestamp: item.time,
-        type: 'pressure',
-        value: item.value,
-        field: item.field,
-        measurement: item.measurement
-      })));
-    }
-    
-    // Sort by timestamp
-    flattenedData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    
-    return flattenedData;
-  };
+  }, [sensorError, fieldsError]);
 
-  const chartData = formatSensorDataForChart();
+  // One flat list of points for the charts, oldest first
+  const chartData = toChartPoints(sensorData, chartFields);
 
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
@@ -79,34 +43,33 @@ function App() {
 
         {/* Dashboard Stats */}
         <div className="mb-8">
-          <DashboardStats sensorData={chartData} />
+          <DashboardStats sensorData={chartData} fields={fields} forecast={forecast} />
         </div>
 
-        {/* Time Series Charts - Three Separate Charts */}
-        <div className="mb-8 grid grid-cols-1 lg:grid-cols-3 gap-6">
-          <TimeSeriesChart
-            sensorData={chartData.filter(d => d.type === 'temperature')}
-            title="Temperature"
-            sensorType="temperature"
-            color="#ef4444"
-            unit="°C"
-          />
-          <TimeSeriesChart
-            sensorData={chartData.filter(d => d.type === 'humidity')}
-            title="Humidity"
-            sensorType="humidity"
-            color="#3b82f6"
-            unit="%"
-          />
-          <TimeSeriesChart
-            sensorData={chartData.filter(d => d.type === 'pressure')}
-            title="Pressure"
-            sensorType="pressure"
-            color="#10b981"
-            unit="hPa"
+        {/* Derived Metric Selection */}
+        <div className="mb-6">
+          <MetricSelector
+            fields={derivedFields}
+            selected={selectedDerived}
+            onChange={setSelectedDerived}
           />
         </div>
 
+        {/* Time Series Charts - One Chart per Sensor Field and Selected Derived Metric */}
+        <div className="mb-8 grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {chartFields.map(field => (
+            <TimeSeriesChart
+              key={field.key}
+              sensorData={chartData.filter(d => d.type === field.key)}
+              title={field.displayName}
+              sensorType={field.key}
+              color={field.color}
+              unit={field.unit}
+              anomalies={anomalies.filter(anomaly => anomaly.field === field.key)}
+            />
+          ))}
+        </div>
+
         {/* Device Control Panel - Full Width */}
         <div className="mb-8">
           <DeviceControlPanel />
@@ -1,15 +1,16 @@
 import React from 'react';
 import { formatNumber } from '../utils/helpers';
-import { TemperatureIcon, HumidityIcon, PressureIcon, AirQualityIcon } from './icons';
+import { TemperatureIcon, HumidityIcon, PressureIcon, AirQualityIcon, ChartIcon, ForecastIcon } from './icons';
 
-const StatCard = ({ title, value, unit, icon, color, trend }) => {
-  const colorClasses = {
-    blue: 'bg-blue-500 text-blue-100',
-    green: 'bg-green-500 text-green-100',
-    orange: 'bg-orange-500 text-orange-100',
-    purple: 'bg-purple-500 text-purple-100'
-  };
+// Icons by the sensor field registry's icon name
+const FIELD_ICONS = {
+  temperature: TemperatureIcon,
+  humidity: HumidityIcon,
+  pressure: PressureIcon,
+  'air-quality': AirQualityIcon
+};
 
+const StatCard = ({ title, value, unit, icon, color, trend }) => {
   const trendIcon = trend > 0 ? '↗' : trend < 0 ? '↘' : '→';
   const trendColor = trend > 0 ? 'text-green-500' : trend < 0 ? 'text-red-500' : 'text-gray-500';
 
@@ -18,7 +19,10 @@ const StatCard = ({ title, value, unit, icon, color, trend }) => {
       <div className="flex items-center justify-between">
         <div className="flex-1">
           <div className="flex items-center space-x-3">
-            <div className={`w-12 h-12 rounded-lg flex items-center justify-center ${colorClasses[color]}`}>
+            <div
+              className="w-12 h-12 rounded-lg flex items-center justify-center text-white"
+              style={{ backgroundColor: color }}
+            >
               {icon}
             </div>
             <div>
@@ -49,7 +53,59 @@ const StatCard = ({ title, value, unit, icon, color, trend }) => {
   );
 };
 
-const DashboardStats = ({ sensorData }) => {
+// Card color by pressure trend
+const TREND_COLORS = {
+  rising: '#10b981',
+  steady: '#6366f1',
+  falling: '#f59e0b'
+};
+
+const TREND_ARROWS = {
+  rising: '↗',
+  steady: '→',
+  falling: '↘'
+};
+
+const ForecastCard = ({ forecast }) => {
+  const available = Boolean(forecast?.forecast);
+  const color = available ? TREND_COLORS[forecast.trend] : '#9ca3af';
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-shadow duration-300">
+      <div className="flex items-center space-x-3">
+        <div
+          className="w-12 h-12 rounded-lg flex items-center justify-center text-white"
+          style={{ backgroundColor: color }}
+        >
+          <ForecastIcon />
+        </div>
+        <div className="flex-1">
+          <p className="text-sm font-medium text-gray-600">Forecast</p>
+          <p className="text-lg font-bold text-gray-900 leading-tight">
+            {available ? forecast.forecast.text : 'Not enough pressure data'}
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <div className="flex items-center justify-between text-xs text-gray-500">
+          {available ? (
+            <>
+              <span>
+                {TREND_ARROWS[forecast.trend]} {forecast.tendency.description} ({forecast.tendency.change > 0 ? '+' : ''}{formatNumber(forecast.tendency.change, 1)} hPa/{forecast.tendency.period})
+              </span>
+              <span className="font-medium">{formatNumber(forecast.pressure.seaLevel, 1)} hPa</span>
+            </>
+          ) : (
+            <span>{forecast?.reason || 'Waiting for readings'}</span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DashboardStats = ({ sensorData, fields = [], forecast = null }) => {
   // Calculate latest values and trends from sensor data
   const getLatestValue = (type) => {
     if (!sensorData || sensorData.length === 0) return 0;
@@ -67,46 +123,25 @@ const DashboardStats = ({ sensorData }) => {
     return previous !== 0 ? ((latest - previous) / previous) * 100 : 0;
   };
 
-  const stats = [
-    {
-      title: 'Temperature',
-      value: getLatestValue('temperature'),
-      unit: '°C',
-      color: 'orange',
-      trend: getTrend('temperature'),
-      icon: <TemperatureIcon />
-    },
-    {
-      title: 'Humidity',
-      value: getLatestValue('humidity'),
-      unit: '%',
-      color: 'blue',
-      trend: getTrend('humidity'),
-      icon: <HumidityIcon />
-    },
-    {
-      title: 'Pressure',
-      value: getLatestValue('pressure'),
-      unit: 'hPa',
-      color: 'purple',
-      trend: getTrend('pressure'),
-      icon: <PressureIcon />
-    },
-    {
-      title: 'Air Quality',
-      value: getLatestValue('air_quality') || 85,
-      unit: 'AQI',
-      color: 'green',
-      trend: getTrend('air_quality') || -2.1,
-      icon: <AirQualityIcon />
-    }
-  ];
+  const stats = fields.map(field => {
+    const Icon = FIELD_ICONS[field.icon] || ChartIcon;
+    return {
+      key: field.key,
+      title: field.displayName,
+      value: getLatestValue(field.key),
+      unit: field.unit,
+      color: field.color,
+      trend: getTrend(field.key),
+      icon: <Icon />
+    };
+  });
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-      {stats.map((stat, index) => (
-        <StatCard key={index} {...stat} />
+      {stats.map(({ key, ...stat }) => (
+        <StatCard key={key} {...stat} />
       ))}
+      <ForecastCard forecast={forecast} />
     </div>
   );
 };
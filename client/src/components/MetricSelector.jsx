@@ -0,0 +1,42 @@
+import React from 'react';
+
+const MetricSelector = ({ fields = [], selected = [], onChange }) => {
+  if (fields.length === 0) return null;
+
+  const toggle = (key) => {
+    onChange(selected.includes(key)
+      ? selected.filter(selectedKey => selectedKey !== key)
+      : [...selected, key]);
+  };
+
+  return (
+    <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <h3 className="text-sm font-semibold text-gray-700">Derived metrics</h3>
+        <div className="flex flex-wrap gap-2">
+          {fields.map(field => {
+            const active = selected.includes(field.key);
+            return (
+              <button
+                key={field.key}
+                type="button"
+                onClick={() => toggle(field.key)}
+                className={`px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+                  active
+                    ? 'text-white border-transparent'
+                    : 'bg-gray-100 text-gray-600 border-gray-200 hover:bg-gray-200'
+                }`}
+                style={active ? { backgroundColor: field.color } : undefined}
+                title={`${field.displayName} (${field.unit})`}
+              >
+                {field.displayName}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetricSelector;
@@ -1,7 +1,19 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { formatNumber, formatTimestamp } from '../utils/helpers';
+import { getBand, getPointValues, splitAtGaps, getEnvelopes } from '../utils/chartSeries';
 
-const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit }) => {
+// Color of anomaly markers and flatline spans
+const ANOMALY_COLOR = '#dc2626';
+
+// Labels of anomaly types in tooltips
+const ANOMALY_LABELS = {
+  out_of_range: 'Out of range',
+  flatline: 'Flatline',
+  spike: 'Spike',
+  rate_of_change: 'Sudden change'
+};
+
+const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit, anomalies = [] }) => {
   const canvasRef = useRef(null);
   const [selectedTimeRange, setSelectedTimeRange] = useState('1h');
   const [tooltip, setTooltip] = useState(null);
@@ -114,20 +126,49 @@ const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit }) => {
     ctx.lineWidth = 1.5; // Slightly thinner line for detailed data
     ctx.beginPath();
 
-    data.forEach((point, index) => {
-      const x = padding.left + ((new Date(point.timestamp) - minTime) / timeRange) * (width - padding.left - padding.right);
-      const y = height - padding.bottom - ((point.value - minValue) / valueRange) * (height - padding.top - padding.bottom);
-
-      if (index === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
+    // Each run starts a new subpath, leaving gaps undrawn
+    splitAtGaps(data).forEach(segment => {
+      segment.forEach((point, index) => {
+        const x = padding.left + ((new Date(point.timestamp) - minTime) / timeRange) * (width - padding.left - padding.right);
+        const y = height - padding.bottom - ((point.value - minValue) / valueRange) * (height - padding.top - padding.bottom);
+
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
     });
 
     ctx.stroke();
   }, []);
 
+  const drawEnvelope = useCallback((ctx, data, width, height, padding, minValue, valueRange, minTime, timeRange, color) => {
+    const toX = (point) => padding.left + ((new Date(point.timestamp) - minTime) / timeRange) * (width - padding.left - padding.right);
+    const toY = (value) => height - padding.bottom - ((value - minValue) / valueRange) * (height - padding.top - padding.bottom);
+
+    // One closed outline per run of banded points
+    ctx.beginPath();
+    getEnvelopes(data).forEach(outline => {
+      outline.forEach((point, index) => {
+        const x = toX(point);
+        const y = toY(point.value);
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.closePath();
+    });
+
+    ctx.save();
+    ctx.globalAlpha = 0.15;
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.restore();
+  }, []);
+
   const drawPoints = useCallback((ctx, data, width, height, padding, minValue, valueRange, minTime, timeRange, color) => {
     // Draw ALL points regardless of density - show original 5-minute intervals
     ctx.fillStyle = color;
@@ -142,6 +183,42 @@ const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit }) => {
     });
   }, []);
 
+  const drawAnomalies = useCallback((ctx, width, height, padding, minValue, valueRange, minTime, timeRange) => {
+    const toX = (time) => padding.left + ((new Date(time) - minTime) / timeRange) * (width - padding.left - padding.right);
+    const top = padding.top;
+    const bottom = height - padding.bottom;
+    const inRange = (time) => {
+      const t = new Date(time).getTime();
+      return t >= minTime && t <= minTime + timeRange;
+    };
+
+    // Flatlines as shaded spans, point anomalies as rings
+    anomalies.forEach(anomaly => {
+      if (anomaly.type === 'flatline') {
+        const start = Math.max(toX(anomaly.time), padding.left);
+        const end = Math.min(toX(anomaly.endTime), width - padding.right);
+        if (end <= start) return;
+
+        ctx.save();
+        ctx.globalAlpha = 0.12;
+        ctx.fillStyle = ANOMALY_COLOR;
+        ctx.fillRect(start, top, end - start, bottom - top);
+        ctx.restore();
+        return;
+      }
+
+      if (!inRange(anomaly.time)) return;
+
+      // Values beyond the axis (e.g. impossible readings) sit on its edge
+      const y = Math.min(Math.max(bottom - ((anomaly.value - minValue) / valueRange) * (bottom - top), top), bottom);
+      ctx.strokeStyle = ANOMALY_COLOR;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(toX(anomaly.time), y, 5, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+  }, [anomalies]);
+
   const drawChart = useCallback(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
@@ -167,8 +244,8 @@ const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit }) => {
       return;
     }
 
-    // Calculate scales
-    const values = data.map(d => d.value);
+    // Calculate scales, including any min/max envelope
+    const values = data.flatMap(getPointValues);
     const timestamps = data.map(d => new Date(d.timestamp));
     
     const minValue = Math.min(...values);
@@ -182,10 +259,12 @@ const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit }) => {
     drawGrid(ctx, width, height, padding);
     drawAxes(ctx, width, height, padding, minValue, maxValue, minTime, maxTime, unit);
 
-    // Draw the line and points
+    // Draw the envelope, then the line and points
+    drawEnvelope(ctx, data, width, height, padding, minValue, valueRange, minTime, timeRange, color);
     drawLine(ctx, data, width, height, padding, minValue, valueRange, minTime, timeRange, color);
     drawPoints(ctx, data, width, height, padding, minValue, valueRange, minTime, timeRange, color);
-  }, [getProcessedData, color, unit, drawEmptyState, drawGrid, drawAxes, drawLine, drawPoints]);
+    drawAnomalies(ctx, width, height, padding, minValue, valueRange, minTime, timeRange);
+  }, [getProcessedData, color, unit, drawEmptyState, drawGrid, drawAxes, drawEnvelope, drawLine, drawPoints, drawAnomalies]);
 
   const handleMouseMove = (event) => {
     const canvas = canvasRef.current;
@@ -200,7 +279,7 @@ const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit }) => {
 
     // Find closest point
     const padding = { top: 30, right: 30, bottom: 50, left: 50 };
-    const values = data.map(d => d.value);
+    const values = data.flatMap(getPointValues);
     const timestamps = data.map(d => new Date(d.timestamp));
     const minValue = Math.min(...values);
     const maxValue = Math.max(...values);
@@ -224,11 +303,20 @@ const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit }) => {
     });
 
     if (closestPoint) {
+      const band = getBand(closestPoint);
+      const pointTime = new Date(closestPoint.timestamp).getTime();
+      const flagged = anomalies.filter(anomaly => (
+        anomaly.type === 'flatline'
+          ? pointTime >= new Date(anomaly.time).getTime() && pointTime <= new Date(anomaly.endTime).getTime()
+          : new Date(anomaly.time).getTime() === pointTime
+      ));
       setTooltip({
         x: mouseX,
         y: mouseY,
         type: title,
         value: `${formatNumber(closestPoint.value)} ${unit}`,
+        range: band ? `${formatNumber(band.min)} – ${formatNumber(band.max)} ${unit}` : null,
+        anomalies: flagged.map(anomaly => `${ANOMALY_LABELS[anomaly.type] || anomaly.type}: ${anomaly.message}`),
         time: formatTimestamp(new Date(closestPoint.timestamp))
       });
     } else {
@@ -291,6 +379,10 @@ const TimeSeriesChart = ({ sensorData, title, sensorType, color, unit }) => {
           >
             <div className="font-medium">{tooltip.type}</div>
             <div>{tooltip.value}</div>
+            {tooltip.range && <div className="text-gray-300 text-xs">{tooltip.range}</div>}
+            {tooltip.anomalies?.map(note => (
+              <div key={note} className="text-red-300 text-xs">{note}</div>
+            ))}
             <div className="text-gray-300 text-xs">{tooltip.time}</div>
           </div>
         )}
@@ -5,6 +5,7 @@ import {
   faDroplet,
   faGauge,
   faWind,
+  faCloudSunRain,
   faPowerOff,
   faGear,
   faArrowsRotate,
@@ -31,6 +32,10 @@ export const AirQualityIcon = ({ className = "w-6 h-6" }) => (
   <FontAwesomeIcon icon={faWind} className={className} />
 );
 
+export const ForecastIcon = ({ className = "w-6 h-6" }) => (
+  <FontAwesomeIcon icon={faCloudSunRain} className={className} />
+);
+
 // Device control icons
 export const PowerIcon = ({ className = "w-6 h-6" }) => (
   <FontAwesomeIcon icon={faPowerOff} className={className} />
@@ -4,4 +4,5 @@ export { default as DashboardStats } from './DashboardStats';
 export { default as DeviceControlPanel } from './DeviceControlPanel';
 export { default as TimeSeriesChart } from './TimeSeriesChart';
 export { default as ErrorDisplay } from './ErrorDisplay';
-export { default as LoadingDisplay } from './LoadingDisplay';
\ No newline at end of file
+export { default as LoadingDisplay } from './LoadingDisplay';
+export { default as MetricSelector } from './MetricSelector';
\ No newline at end of file
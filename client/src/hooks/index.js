@@ -1,5 +1,19 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import api from '../services/api';
+import realtime, { REALTIME_TOPICS } from '../services/websocket';
+import { CHART_AGGREGATES } from '../utils/chartSeries';
+
+// Minimum delay between refetches triggered by live sensor messages
+const LIVE_REFRESH_MIN_INTERVAL = 5000;
+
+// Points per series a chart draws, whatever the time range
+const CHART_MAX_POINTS = 500;
+
+// How often the forecast is refetched
+const FORECAST_REFRESH_INTERVAL = 10 * 60 * 1000;
+
+// How often anomalies are refetched
+const ANOMALY_REFRESH_INTERVAL = 60 * 1000;
 
 /**
  * Hook for fetching sensor data from API
@@ -17,10 +31,14 @@ export function useSensorData(timeRange = '1h') {
     
     try {
       // Convert timeRange to the format expected by the server
+      // The server picks the window from the range and decimates to CHART_MAX_POINTS;
+      // min and max of each window draw the band around the mean
       const params = {
         startTime: `-${timeRange}`,
         endTime: 'now()',
-        windowPeriod: '2s'  // High resolution with 2-second aggregation
+        maxPoints: CHART_MAX_POINTS,
+        downsample: 'lttb',
+        aggregate: CHART_AGGREGATES
       };
       
       console.log('🔍 Fetching sensor data with params:', params);
@@ -41,20 +59,165 @@ export function useSensorData(timeRange = '1h') {
     fetchSensorData();
   }, [fetchSensorData]);
 
-  // Set up interval for periodic data refresh (every 30 seconds)
+  // Refetch when live readings arrive, at most once per LIVE_REFRESH_MIN_INTERVAL
+  const lastLiveRefresh = useRef(0);
+  const pendingLiveRefresh = useRef(null);
+  const handleLiveReading = useCallback(() => {
+    if (pendingLiveRefresh.current) return;
+
+    const wait = Math.max(0, lastLiveRefresh.current + LIVE_REFRESH_MIN_INTERVAL - Date.now());
+    pendingLiveRefresh.current = setTimeout(() => {
+      pendingLiveRefresh.current = null;
+      lastLiveRefresh.current = Date.now();
+      fetchSensorData();
+    }, wait);
+  }, [fetchSensorData]);
+
+  useEffect(() => () => clearTimeout(pendingLiveRefresh.current), []);
+
+  const realtimeStatus = useRealtime(REALTIME_TOPICS.SENSOR_DATA, handleLiveReading);
+
+  // Fall back to periodic refresh (every 30 seconds) while live updates are unavailable
   useEffect(() => {
+    if (realtimeStatus === 'online') return;
+
     const interval = setInterval(fetchSensorData, 30000);
     return () => clearInterval(interval);
-  }, [fetchSensorData]);
+  }, [fetchSensorData, realtimeStatus]);
 
   return {
     sensorData,
     loading,
     error,
+    realtimeStatus,
     refetch: fetchSensorData
   };
 }
 
+/**
+ * Hook for fetching the sensor field registry
+ * @returns {Object} Fields shown on the dashboard, derived fields that can be
+ *   charted on request, and loading state
+ */
+export function useSensorFields() {
+  const [fields, setFields] = useState([]);
+  const [derivedFields, setDerivedFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    api.getSensorFields()
+      .then(registered => {
+        if (cancelled) return;
+        setFields(registered.filter(field => field.dashboard));
+        setDerivedFields(registered.filter(field => field.derived));
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to fetch sensor fields');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { fields, derivedFields, loading, error };
+}
+
+/**
+ * Hook for fetching the pressure-trend forecast
+ * The forecast follows a 3-hour tendency, so it is refreshed every FORECAST_REFRESH_INTERVAL.
+ * @returns {Object} Forecast response and loading state
+ */
+export function useForecast() {
+  const [forecast, setForecast] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchForecast = useCallback(async () => {
+    try {
+      setForecast(await api.getForecast());
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch forecast');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchForecast();
+    const interval = setInterval(fetchForecast, FORECAST_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchForecast]);
+
+  return { forecast, loading, error };
+}
+
+/**
+ * Hook for fetching anomalies flagged in the charted series
+ * Uses the charts' range and resolution so markers line up with chart points.
+ * @param {string} timeRange - Time range (e.g., '1h', '24h', '7d')
+ * @returns {Object} Anomalies and loading state
+ */
+export function useAnomalies(timeRange = '1h') {
+  const [anomalies, setAnomalies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchAnomalies = useCallback(async () => {
+    try {
+      setAnomalies(await api.getAnomalies({
+        startTime: `-${timeRange}`,
+        endTime: 'now()',
+        maxPoints: CHART_MAX_POINTS
+      }));
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch anomalies');
+    } finally {
+      setLoading(false);
+    }
+  }, [timeRange]);
+
+  useEffect(() => {
+    fetchAnomalies();
+    const interval = setInterval(fetchAnomalies, ANOMALY_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchAnomalies]);
+
+  return { anomalies, loading, error };
+}
+
+/**
+ * Hook for subscribing to realtime WebSocket topics
+ * @param {string} topic - Topic to subscribe to
+ * @param {Function} handler - Called with (data, message) for each message
+ * @returns {string} Connection status ('connecting' | 'online' | 'offline')
+ */
+export function useRealtime(topic, handler) {
+  const [status, setStatus] = useState(realtime.isConnected() ? 'online' : 'connecting');
+  const savedHandler = useRef(handler);
+
+  useEffect(() => {
+    savedHandler.current = handler;
+  }, [handler]);
+
+  useEffect(() => realtime.onStatusChange(setStatus), []);
+
+  useEffect(() => {
+    if (!topic) return;
+    return realtime.subscribe(topic, (data, message) => savedHandler.current?.(data, message));
+  }, [topic]);
+
+  return status;
+}
+
 /**
  * Hook for managing device state
  * @returns {Object} Device state and methods
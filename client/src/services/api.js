@@ -58,6 +58,12 @@ apiClient.interceptors.response.use(
  * Sensor Data API
  */
 export const sensorAPI = {
+  // Get the registered sensor fields (unit, valid range, display name, color)
+  async getFields() {
+    const response = await apiClient.get('/sensors/fields');
+    return response.data.success ? response.data.fields : [];
+  },
+
   // Get all sensor data for time range
   async getData(params = {}) {
     const response = await apiClient.get('/sensors/data', { params });
@@ -77,6 +83,18 @@ export const sensorAPI = {
     return response.data.success ? response.data.data : {};
   },
 
+  // Get flagged points (out of range, flatline, spike, sudden change)
+  async getAnomalies(params = {}) {
+    const response = await apiClient.get('/sensors/anomalies', { params });
+    return response.data.success ? response.data.anomalies : [];
+  },
+
+  // Get the Zambretti forecast from the pressure trend
+  async getForecast(params = {}) {
+    const response = await apiClient.get('/sensors/forecast', { params });
+    return response.data.success ? response.data : null;
+  },
+
   // Get sensor system status
   async getStatus() {
     const response = await apiClient.get('/sensors/status');
@@ -89,6 +107,18 @@ export const sensorAPI = {
     return response.data;
   },
 
+  // Get stored sensor configurations with their delivery status
+  async getConfigs(params = {}) {
+    const response = await apiClient.get('/sensors/config', { params });
+    return response.data.success ? response.data.configs : [];
+  },
+
+  // Get the configuration in effect for a sensor type
+  async getConfig(sensorType, params = {}) {
+    const response = await apiClient.get(`/sensors/config/${sensorType}`, { params });
+    return response.data;
+  },
+
   // Update sensor configuration
   async updateConfig(config) {
     const response = await apiClient.post('/sensors/config', config);
@@ -127,6 +157,18 @@ export const deviceAPI = {
     return response.data;
   },
 
+  // Get commands waiting for delivery
+  async getQueue(deviceId) {
+    const response = await apiClient.get(`/devices/${deviceId}/queue`);
+    return response.data;
+  },
+
+  // Cancel a queued command
+  async cancelQueuedCommand(deviceId, commandId) {
+    const response = await apiClient.delete(`/devices/${deviceId}/queue/${commandId}`);
+    return response.data;
+  },
+
   // Update device configuration
   async updateConfig(deviceId, config) {
     const response = await apiClient.post(`/devices/${deviceId}/config`, config);
@@ -180,11 +222,16 @@ export const systemAPI = {
  */
 export const api = {
   // Sensor data methods
+  getSensorFields: sensorAPI.getFields,
   getSensorData: sensorAPI.getData,
   getSensorFieldData: sensorAPI.getFieldData,
   getLatestData: sensorAPI.getLatest,
   getSensorStatus: sensorAPI.getStatus,
+  getForecast: sensorAPI.getForecast,
+  getAnomalies: sensorAPI.getAnomalies,
   getSensorSummary: sensorAPI.getSummary,
+  getSensorConfigs: sensorAPI.getConfigs,
+  getSensorConfig: sensorAPI.getConfig,
   updateSensorConfig: sensorAPI.updateConfig,
   exportSensorData: sensorAPI.exportData,
 
@@ -192,6 +239,8 @@ export const api = {
   getDevices: deviceAPI.getDevices,
   getDevice: deviceAPI.getDevice,
   sendDeviceCommand: deviceAPI.sendCommand,
+  getDeviceQueue: deviceAPI.getQueue,
+  cancelQueuedCommand: deviceAPI.cancelQueuedCommand,
   updateDeviceConfig: deviceAPI.updateConfig,
   updateDeviceSettings: deviceAPI.updateSettings,
   getDeviceStatus: deviceAPI.getStatus,
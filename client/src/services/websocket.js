@@ -0,0 +1,164 @@
+// Derive WebSocket URL from the API URL unless configured explicitly
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+const WS_URL = import.meta.env.VITE_WS_URL || API_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '/ws');
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Topics published by the server (mirror of server TOPICS)
+export const REALTIME_TOPICS = {
+  SENSOR_DATA: 'sensors/data',
+  DEVICE_STATUS: 'devices/status',
+  DEVICE_HEARTBEAT: 'devices/heartbeat'
+};
+
+let socket = null;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let manuallyClosed = false;
+const topicHandlers = new Map();
+const statusListeners = new Set();
+
+function setStatus(status) {
+  statusListeners.forEach(listener => listener(status));
+}
+
+function send(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function scheduleReconnect() {
+  const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY);
+  reconnectAttempts++;
+  reconnectTimer = setTimeout(connect, delay);
+}
+
+function handleMessage(event) {
+  let message;
+  try {
+    message = JSON.parse(event.data);
+  } catch {
+    console.warn('⚠️ Ignoring non-JSON WebSocket message:', event.data);
+    return;
+  }
+
+  if (message.type === 'message') {
+    const handlers = topicHandlers.get(message.topic) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(message.data, message);
+      } catch (error) {
+        console.error('❌ Error in realtime handler:', error);
+      }
+    });
+  } else if (message.type === 'error') {
+    console.warn('⚠️ WebSocket server error:', message.message);
+  }
+}
+
+/**
+ * Open the WebSocket connection (no-op if already open)
+ */
+function connect() {
+  if (socket && (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING)) {
+    return;
+  }
+
+  manuallyClosed = false;
+  clearTimeout(reconnectTimer);
+  setStatus('connecting');
+
+  socket = new WebSocket(WS_URL);
+
+  socket.onopen = () => {
+    reconnectAttempts = 0;
+    setStatus('online');
+    // Restore subscriptions after (re)connect
+    if (topicHandlers.size > 0) {
+      send({ type: 'subscribe', topics: Array.from(topicHandlers.keys()) });
+    }
+  };
+
+  socket.onmessage = handleMessage;
+
+  socket.onclose = () => {
+    socket = null;
+    setStatus('offline');
+    if (!manuallyClosed) {
+      scheduleReconnect();
+    }
+  };
+
+  socket.onerror = () => {
+    // onclose follows and takes care of reconnecting
+    console.warn('⚠️ WebSocket connection error');
+  };
+}
+
+/**
+ * Close the WebSocket connection and stop reconnecting
+ */
+function disconnect() {
+  manuallyClosed = true;
+  clearTimeout(reconnectTimer);
+  if (socket) {
+    socket.close();
+  }
+}
+
+/**
+ * Subscribe to a realtime topic
+ * @param {string} topic - Topic name
+ * @param {Function} handler - Called with (data, message)
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(topic, handler) {
+  if (!topicHandlers.has(topic)) {
+    topicHandlers.set(topic, []);
+    send({ type: 'subscribe', topics: [topic] });
+  }
+  topicHandlers.get(topic).push(handler);
+  connect();
+
+  return () => {
+    const handlers = topicHandlers.get(topic) || [];
+    const index = handlers.indexOf(handler);
+    if (index > -1) {
+      handlers.splice(index, 1);
+    }
+    if (handlers.length === 0) {
+      topicHandlers.delete(topic);
+      send({ type: 'unsubscribe', topics: [topic] });
+    }
+  };
+}
+
+/**
+ * Listen for connection status changes ('connecting' | 'online' | 'offline')
+ * @param {Function} listener - Status listener
+ * @returns {Function} Function removing the listener
+ */
+function onStatusChange(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+/**
+ * Check whether the socket is currently open
+ * @returns {boolean} Connection status
+ */
+function isConnected() {
+  return socket !== null && socket.readyState === WebSocket.OPEN;
+}
+
+export const realtime = {
+  connect,
+  disconnect,
+  subscribe,
+  onStatusChange,
+  isConnected
+};
+
+export default realtime;
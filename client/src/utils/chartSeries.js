@@ -0,0 +1,95 @@
+/**
+ * Chart series helpers shared by the sensor data hook, App and TimeSeriesChart
+ */
+
+// Aggregates requested per chart window: the line is the mean, min and max
+// draw the band around it
+export const CHART_AGGREGATES = ['mean', 'min', 'max'];
+
+// Spacing, relative to the typical spacing, beyond which points are not joined
+const GAP_FACTOR = 3;
+
+/**
+ * Flatten the per-field series of /api/sensors/data into chart points
+ * @param {Object} sensorData - Series keyed by field key
+ * @param {Array<Object>} fields - Charted fields ({ key })
+ * @returns {Array<Object>} Points of { timestamp, type, value, aggregates, field, measurement }, oldest first
+ */
+export function toChartPoints(sensorData, fields) {
+  if (!sensorData || typeof sensorData !== 'object') return [];
+
+  const points = [];
+  fields.forEach(({ key }) => {
+    if (Array.isArray(sensorData[key])) {
+      points.push(...sensorData[key].map(item => ({
+        timestamp: item.time,
+        type: key,
+        value: item.value,
+        aggregates: item.aggregates,
+        field: item.field,
+        measurement: item.measurement
+      })));
+    }
+  });
+
+  return points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Min/max band of a point fetched with several aggregates
+ * @param {Object} point - Chart point
+ * @returns {Object|null} { min, max }, or null without both aggregates
+ */
+export function getBand(point) {
+  const { min, max } = point.aggregates || {};
+  return typeof min === 'number' && typeof max === 'number' ? { min, max } : null;
+}
+
+/**
+ * Every value a point needs on the y-axis, band included
+ * @param {Object} point - Chart point
+ * @returns {Array<number>} Values
+ */
+export function getPointValues(point) {
+  const band = getBand(point);
+  return band ? [point.value, band.min, band.max] : [point.value];
+}
+
+/**
+ * Split sorted points into runs without gaps, so lines break across outages
+ * @param {Array<Object>} data - Chart points, oldest first
+ * @returns {Array<Array<Object>>} Runs of points
+ */
+export function splitAtGaps(data) {
+  if (data.length < 3) return [data];
+
+  const spacings = data.slice(1)
+    .map((point, index) => new Date(point.timestamp) - new Date(data[index].timestamp))
+    .sort((a, b) => a - b);
+  const maxSpacing = spacings[Math.floor(spacings.length / 2)] * GAP_FACTOR;
+
+  const segments = [[data[0]]];
+  for (let index = 1; index < data.length; index++) {
+    if (new Date(data[index].timestamp) - new Date(data[index - 1].timestamp) > maxSpacing) {
+      segments.push([]);
+    }
+    segments[segments.length - 1].push(data[index]);
+  }
+  return segments;
+}
+
+/**
+ * Outlines of the min/max band, one per run of at least two banded points
+ * @param {Array<Object>} data - Chart points, oldest first
+ * @returns {Array<Array<Object>>} Outlines of { timestamp, value }: the upper
+ *   edge left to right, then the lower edge back
+ */
+export function getEnvelopes(data) {
+  return splitAtGaps(data)
+    .map(segment => segment.filter(getBand))
+    .filter(banded => banded.length >= 2)
+    .map(banded => [
+      ...banded.map(point => ({ timestamp: point.timestamp, value: getBand(point).max })),
+      ...[...banded].reverse().map(point => ({ timestamp: point.timestamp, value: getBand(point).min }))
+    ]);
+}
@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHART_AGGREGATES, toChartPoints, getBand, getEnvelopes } from '../src/utils/chartSeries.js';
+
+// /api/sensors/data response for ?aggregate=mean&aggregate=min&aggregate=max
+const response = {
+  temperature: [
+    { time: '2024-01-01T00:05:00Z', value: 21, aggregates: { mean: 21, min: 20, max: 23 } },
+    { time: '2024-01-01T00:00:00Z', value: 20, aggregates: { mean: 20, min: 19, max: 22 } },
+    { time: '2024-01-01T00:10:00Z', value: 22, aggregates: { mean: 22, min: 21, max: 24 } }
+  ],
+  humidity: [
+    { time: '2024-01-01T00:00:00Z', value: 50 }
+  ],
+  timestamp: '2024-01-01T00:10:30Z'
+};
+
+describe('chart band', () => {
+  test('the chart requests the mean with its min and max', () => {
+    assert.deepEqual(CHART_AGGREGATES.slice().sort(), ['max', 'mean', 'min']);
+    assert.equal(CHART_AGGREGATES[0], 'mean');
+  });
+
+  test('points keep their aggregates', () => {
+    const points = toChartPoints(response, [{ key: 'temperature' }, { key: 'humidity' }]);
+
+    assert.equal(points.length, 4);
+    assert.deepEqual(points.map(point => point.timestamp), [
+      '2024-01-01T00:00:00Z',
+      '2024-01-01T00:00:00Z',
+      '2024-01-01T00:05:00Z',
+      '2024-01-01T00:10:00Z'
+    ]);
+    assert.deepEqual(getBand(points.find(point => point.type === 'temperature')), { min: 19, max: 22 });
+    assert.equal(getBand(points.find(point => point.type === 'humidity')), null);
+  });
+
+  test('a band outline runs along the max and back along the min', () => {
+    const points = toChartPoints(response, [{ key: 'temperature' }]);
+
+    assert.deepEqual(getEnvelopes(points), [[
+      { timestamp: '2024-01-01T00:00:00Z', value: 22 },
+      { timestamp: '2024-01-01T00:05:00Z', value: 23 },
+      { timestamp: '2024-01-01T00:10:00Z', value: 24 },
+      { timestamp: '2024-01-01T00:10:00Z', value: 21 },
+      { timestamp: '2024-01-01T00:05:00Z', value: 20 },
+      { timestamp: '2024-01-01T00:00:00Z', value: 19 }
+    ]]);
+  });
+
+  test('no band without min and max', () => {
+    const points = toChartPoints({ temperature: response.temperature.map(point => ({ ...point, aggregates: undefined })) }, [{ key: 'temperature' }]);
+    assert.deepEqual(getEnvelopes(points), []);
+  });
+
+  test('bands break across gaps', () => {
+    const times = ['00:00', '00:05', '00:10', '03:00', '03:05'];
+    const points = toChartPoints({
+      temperature: times.map((time, index) => ({
+        time: `2024-01-01T${time}:00Z`,
+        value: index,
+        aggregates: { mean: index, min: index - 1, max: index + 1 }
+      }))
+    }, [{ key: 'temperature' }]);
+
+    assert.deepEqual(getEnvelopes(points).map(outline => outline.length), [6, 4]);
+  });
+});
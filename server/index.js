@@ -9,13 +9,27 @@ import { fileURLToPath } from 'url';
 // Import routes
 import sensorsRouter from './routes/sensors.js';
 import devicesRouter from './routes/devices.js';
+import rulesRouter from './routes/rules.js';
+import alertsRouter from './routes/alerts.js';
+import notificationsRouter from './routes/notifications.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 
 // Import services
-import { initializeMQTT } from './services/mqtt.js';
+import { initializeMQTT, onConnected } from './services/mqtt.js';
 import { testConnection } from './services/influxdb.js';
+import { initializeWebSocket, bridgeMQTTToWebSocket, closeWebSocket } from './services/websocket.js';
+import { startIngestion, stopIngestion } from './services/ingestion.js';
+import { initializeDeviceRegistry, startDeviceTracking, stopDeviceTracking } from './services/deviceRegistry.js';
+import { initializeCommandTracking, startCommandReplies, stopCommandTracking } from './services/commands.js';
+import { initializeRules, startRules, stopRules } from './services/rules.js';
+import { initializeSensorConfigs } from './services/sensorConfig.js';
+import { initializeCalibration } from './services/calibration.js';
+import { startAlerting, stopAlerting } from './services/alerts.js';
+import { startNotifications, stopNotifications } from './services/notifications.js';
+import { initializeRollups } from './services/rollups.js';
+import { startRollups, stopRollups } from './services/rollupScheduler.js';
 
 // Load environment variables
 dotenv.config();
@@ -43,6 +57,9 @@ app.use(express.urlencoded({ extended: true }));
 // API routes
 app.use('/api/sensors', sensorsRouter);
 app.use('/api/devices', devicesRouter);
+app.use('/api/rules', rulesRouter);
+app.use('/api/alerts', alertsRouter);
+app.use('/api/notifications', notificationsRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -70,6 +87,50 @@ const initializeServices = async () => {
   let influxConnected = false;
   let mqttConnected = false;
 
+  // Load persisted device registry
+  try {
+    await initializeDeviceRegistry();
+  } catch (error) {
+    console.error('❌ Failed to load device registry:', error.message);
+  }
+
+  // Load calibration profiles before readings start coming in
+  try {
+    await initializeCalibration();
+  } catch (error) {
+    console.error('❌ Failed to load calibration profiles:', error.message);
+  }
+
+  // Load command outbox; queued commands wait for MQTT and device heartbeats
+  try {
+    await initializeCommandTracking();
+  } catch (error) {
+    console.error('❌ Failed to load command history:', error.message);
+  }
+
+  // Load automation rules; they are evaluated against ingested readings
+  try {
+    await initializeRules();
+    startRules();
+  } catch (error) {
+    console.error('❌ Failed to load automation rules:', error.message);
+  }
+
+  // Load sensor thresholds and alerts; thresholds are checked on every reading
+  try {
+    await initializeSensorConfigs();
+    await startAlerting();
+  } catch (error) {
+    console.error('❌ Failed to start threshold alerting:', error.message);
+  }
+
+  // Notify about threshold breaches and devices going offline
+  try {
+    startNotifications();
+  } catch (error) {
+    console.error('❌ Failed to start notifications:', error.message);
+  }
+
   // Test InfluxDB connection
   try {
     console.log('🔄 Testing InfluxDB connection...');
@@ -81,15 +142,38 @@ const initializeServices = async () => {
     console.warn('🔄 Server will continue without InfluxDB (using mock data)');
   }
 
+  // Roll up closed hours and days; failed runs are retried on the next one
+  try {
+    await initializeRollups();
+    startRollups();
+  } catch (error) {
+    console.error('❌ Failed to start rollups:', error.message);
+  }
+
+  // Subscribe the MQTT consumers on the first successful connection. The client
+  // keeps reconnecting when the broker is down at startup, and a consumer that
+  // fails to subscribe is retried on the next connect.
+  const startOnConnect = (name, start) => onConnected(() => {
+    start().catch(error => {
+      console.error(`❌ Failed to start ${name}, retrying on next connect:`, error.message);
+      startOnConnect(name, start);
+    });
+  });
+
+  startOnConnect('MQTT → WebSocket bridge', bridgeMQTTToWebSocket);
+  startOnConnect('sensor ingestion', startIngestion);
+  startOnConnect('device tracking', startDeviceTracking);
+  startOnConnect('command replies', startCommandReplies);
+
   // Initialize MQTT service
   try {
     console.log('🔄 Initializing MQTT service...');
-    const mqttClient = await initializeMQTT();
+    await initializeMQTT();
     console.log('✅ MQTT service initialized');
     mqttConnected = true;
   } catch (error) {
     console.warn('⚠️  MQTT initialization failed:', error.message);
-    console.warn('🔄 Server will continue without MQTT (using mock data)');
+    console.warn('🔄 Server will continue without MQTT and subscribe once the broker is reachable');
   }
 
   return { influxConnected, mqttConnected };
@@ -112,14 +196,25 @@ try {
 }
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Client URL: ${process.env.CLIENT_URL || 'http://localhost:5173'}`);
 });
 
+// Attach WebSocket server for real-time updates
+initializeWebSocket(server);
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopDeviceTracking();
+  stopCommandTracking();
+  stopRules();
+  stopAlerting();
+  stopNotifications();
+  stopRollups();
+  await stopIngestion();
+  await closeWebSocket();
   process.exit(0);
 });
\ No newline at end of file
@@ -1,5 +1,10 @@
 import Joi from 'joi';
 import { ValidationError } from './errorHandler.js';
+import { getSensorFieldKeys } from '../services/sensorFields.js';
+import { isFluxTime, AGGREGATE_FUNCTIONS } from '../services/fluxQuery.js';
+import { DEFAULT_MAX_POINTS } from '../services/downsampling.js';
+import { DETECTION_DEFAULTS } from '../services/anomalyDetection.js';
+import { getRollupLevels } from '../services/rollups.js';
 
 /**
  * Validation middleware factory
@@ -31,23 +36,176 @@ export function validate(schema, property = 'body') {
   };
 }
 
+// Key of a registered sensor field (temperature, humidity, ...)
+const sensorFieldKey = Joi.string().valid(...getSensorFieldKeys());
+
+// Query range bound: now(), a relative duration (-1h) or an RFC3339 timestamp
+const fluxTime = Joi.string().custom((value, helpers) => (
+  isFluxTime(value) ? value : helpers.message('{{#label}} must be now(), a relative duration like -1h or an RFC3339 timestamp')
+));
+
+// Window or interval length: a whole, non-zero number of s, m, h, d or w
+const positiveDuration = Joi.string().pattern(/^[1-9]\d*[smhdw]$/);
+
+// Tag filters and per-tag grouping shared by sensor data queries
+// (?deviceId=a&deviceId=b&location=Attic&tag[room]=office&groupBy=deviceId)
+const tagName = Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/);
+const seriesFilters = {
+  deviceId: Joi.array().items(Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/)).single().optional(),
+  location: Joi.array().items(Joi.string().max(100)).single().optional(),
+  tag: Joi.object().pattern(tagName, Joi.array().items(Joi.string().max(100)).single()).optional(),
+  groupBy: tagName.optional()
+};
+
+// Aggregate function(s) per window (?aggregate=mean&aggregate=min&aggregate=max);
+// p is the quantile used by the quantile aggregate
+const aggregation = {
+  aggregate: Joi.array().items(Joi.string().valid(...AGGREGATE_FUNCTIONS)).single().unique().default(['mean']),
+  p: Joi.number().min(0).max(1).when('aggregate', {
+    is: Joi.array().has(Joi.valid('quantile')),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+};
+
+// Resolution of charted series: windowPeriod=auto picks the window from the
+// range and maxPoints; downsample=lttb also decimates each series to maxPoints
+const resolution = {
+  windowPeriod: Joi.string().pattern(/^([1-9]\d*[smhdw]|auto)$/).default('auto'),
+  maxPoints: Joi.number().integer().min(10).max(10000).default(DEFAULT_MAX_POINTS),
+  downsample: Joi.string().valid('none', 'lttb').default('none')
+};
+
+// Device command sent by an automation rule
+const ruleAction = Joi.object({
+  deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).required(),
+  command: Joi.string().required(),
+  parameters: Joi.object().default({}),
+  priority: Joi.string().valid('low', 'normal', 'high').default('normal')
+});
+
 /**
  * Validation schemas
  */
 export const schemas = {
   // Time range validation
   timeRange: Joi.object({
-    startTime: Joi.string().default('-1h'),
-    endTime: Joi.string().default('now()'),
-    windowPeriod: Joi.string().pattern(/^\d+[smhdw]$/).default('5m')
+    startTime: fluxTime.default('-1h'),
+    endTime: fluxTime.default('now()'),
+    windowPeriod: positiveDuration.default('5m'),
+    // Return stored values without calibration
+    raw: Joi.boolean().default(false),
+    ...seriesFilters
+  }),
+
+  // Summary query validation; compare adds statistics of an earlier period
+  summaryQuery: Joi.object({
+    startTime: fluxTime.default('-1h'),
+    endTime: fluxTime.default('now()'),
+    windowPeriod: positiveDuration.default('5m'),
+    raw: Joi.boolean().default(false),
+    ...seriesFilters,
+    compare: Joi.string().valid('previous', 'day', 'week').optional()
+  }),
+
+  // All-fields data query validation
+  dataQuery: Joi.object({
+    startTime: fluxTime.default('-1h'),
+    endTime: fluxTime.default('now()'),
+    raw: Joi.boolean().default(false),
+    ...resolution,
+    ...seriesFilters,
+    ...aggregation
   }),
 
   // Sensor data query validation
   sensorQuery: Joi.object({
-    field: Joi.string().valid('temperature', 'humidity', 'pressure').required(),
-    startTime: Joi.string().default('-1h'),
-    endTime: Joi.string().default('now()'),
-    windowPeriod: Joi.string().pattern(/^\d+[smhdw]$/).default('5m')
+    startTime: fluxTime.default('-1h'),
+    endTime: fluxTime.default('now()'),
+    raw: Joi.boolean().default(false),
+    ...resolution,
+    ...seriesFilters,
+    ...aggregation
+  }),
+
+  // Latest readings query validation
+  latestQuery: Joi.object({
+    raw: Joi.boolean().default(false),
+    ...seriesFilters
+  }),
+
+  // Anomaly detection query validation
+  anomalyQuery: Joi.object({
+    startTime: fluxTime.default('-24h'),
+    endTime: fluxTime.default('now()'),
+    field: Joi.array().items(sensorFieldKey).single().unique().optional(),
+    windowPeriod: resolution.windowPeriod,
+    maxPoints: resolution.maxPoints,
+    raw: Joi.boolean().default(false),
+    ...seriesFilters,
+    method: Joi.string().valid('mad', 'zscore').default(DETECTION_DEFAULTS.method),
+    // Defaults to 3.5 for mad and 3 for zscore
+    threshold: Joi.number().min(1).max(20).optional(),
+    window: Joi.number().integer().min(6).max(500).default(DETECTION_DEFAULTS.window),
+    flatlineDuration: positiveDuration.default(DETECTION_DEFAULTS.flatlineDuration)
+  }),
+
+  // Data gap query validation
+  gapQuery: Joi.object({
+    startTime: fluxTime.default('-24h'),
+    endTime: fluxTime.default('now()'),
+    field: Joi.array().items(sensorFieldKey).single().unique().optional(),
+    // Overrides the sampleRate of stored sensor configs
+    expectedInterval: positiveDuration.optional(),
+    // Gaps are intervals over expected interval * tolerance (default 1.5)
+    tolerance: Joi.number().min(1).max(10).optional(),
+    deviceId: seriesFilters.deviceId,
+    location: seriesFilters.location,
+    tag: seriesFilters.tag
+  }),
+
+  // Rollup backfill request validation
+  rollupBackfill: Joi.object({
+    startTime: fluxTime.required(),
+    // Defaults to the end of the existing rollups (the last closed period without any)
+    endTime: fluxTime.optional(),
+    level: Joi.array().items(Joi.string().valid(...getRollupLevels().map(level => level.id))).single().unique().optional()
+  }),
+
+  // Forecast query validation; tag filters pick the station
+  forecastQuery: Joi.object({
+    deviceId: seriesFilters.deviceId,
+    location: seriesFilters.location,
+    tag: seriesFilters.tag
+  }),
+
+  // Calibration profile validation (calibrated = raw * multiplier + offset)
+  calibrationProfile: Joi.object({
+    sensorType: sensorFieldKey.required(),
+    // Applies to every device when omitted
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).optional(),
+    offset: Joi.number().min(-1000).max(1000).default(0),
+    multiplier: Joi.number().min(0.01).max(100).default(1),
+    // Readings from this time on use the profile (defaults to now)
+    effectiveFrom: Joi.date().iso().optional(),
+    note: Joi.string().max(500).optional()
+  }),
+
+  // Calibration profile list query validation
+  calibrationQuery: Joi.object({
+    sensorType: sensorFieldKey.optional(),
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).optional()
+  }),
+
+  // Device id in the URL; command topics are built from it
+  deviceParams: Joi.object({
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).required()
+  }),
+
+  // Device and command ids in the URL
+  commandParams: Joi.object({
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).required(),
+    commandId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,100}$/).required()
   }),
 
   // Device command validation
@@ -56,7 +214,10 @@ export const schemas = {
     parameters: Joi.object().default({}),
     deviceId: Joi.string().optional(),
     priority: Joi.string().valid('low', 'normal', 'high').default('normal'),
-    timeout: Joi.number().integer().min(1000).max(30000).default(5000)
+    timeout: Joi.number().integer().min(1000).max(30000).default(5000),
+    // How long the command may wait in the device outbox (ms, max 7 days)
+    ttl: Joi.number().integer().min(1000).max(7 * 24 * 60 * 60 * 1000).optional(),
+    maxAttempts: Joi.number().integer().min(1).max(10).default(3)
   }),
 
   // Device configuration validation
@@ -69,19 +230,29 @@ export const schemas = {
 
   // Sensor configuration
   sensorConfig: Joi.object({
-    sensorType: Joi.string().valid('temperature', 'humidity', 'pressure').required(),
+    sensorType: sensorFieldKey.required(),
+    // Applies to every device when omitted
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).optional(),
     enabled: Joi.boolean().default(true),
     sampleRate: Joi.number().integer().min(1).max(3600).default(60), // seconds
     threshold: Joi.object({
       min: Joi.number().optional(),
-      max: Joi.number().optional()
+      max: Joi.number().when('min', { is: Joi.exist(), then: Joi.number().greater(Joi.ref('min')) }).optional(),
+      // How far back inside the threshold the value must move before an alert resolves
+      hysteresis: Joi.number().min(0).default(0)
     }).optional(),
     calibration: Joi.object({
-      offset: Joi.number().default(0),
-      multiplier: Joi.number().default(1)
+      offset: Joi.number().min(-1000).max(1000).default(0),
+      multiplier: Joi.number().min(0.01).max(100).default(1)
     }).optional()
   }),
 
+  // Sensor configuration list query validation
+  sensorConfigQuery: Joi.object({
+    sensorType: sensorFieldKey.optional(),
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).optional()
+  }),
+
   // General settings validation
   generalSettings: Joi.object({
     deviceName: Joi.string().min(1).max(50).optional(),
@@ -109,12 +280,78 @@ export const schemas = {
 
   // Device status validation
   deviceStatus: Joi.object({
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).required(),
     online: Joi.boolean().required(),
     lastSeen: Joi.date().iso().required(),
     batteryLevel: Joi.number().min(0).max(100).optional(),
     signalStrength: Joi.number().min(-100).max(0).optional(),
     errorCount: Joi.number().integer().min(0).default(0),
-    uptime: Joi.number().integer().min(0).optional()
+    uptime: Joi.number().integer().min(0).optional(),
+    firmwareVersion: Joi.string().max(50).optional(),
+    name: Joi.string().min(1).max(50).optional(),
+    location: Joi.string().min(1).max(100).optional()
+  }),
+
+  // Device command reply validation
+  commandReply: Joi.object({
+    id: Joi.string().max(100).required(),
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).optional(),
+    status: Joi.string().valid('acknowledged', 'completed', 'failed').required(),
+    result: Joi.any().optional(),
+    error: Joi.string().max(500).optional()
+  }),
+
+  // Command list query validation
+  commandQuery: Joi.object({
+    status: Joi.string().valid('queued', 'sent', 'acknowledged', 'completed', 'failed', 'timed_out', 'expired', 'cancelled').optional(),
+    limit: Joi.number().integer().min(1).max(500).default(50)
+  }),
+
+  // Automation rule validation
+  rule: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    description: Joi.string().max(500).allow('').optional(),
+    enabled: Joi.boolean().default(true),
+    // Only evaluate readings from this device (any device when omitted).
+    // A rule keeps one firing state, so rules that wait for the condition to
+    // hold or that send a clear action have to follow a single device.
+    sourceDeviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/)
+      .when('clearAction', { is: Joi.exist(), then: Joi.required() })
+      .when('condition.duration', { is: Joi.number().greater(0), then: Joi.required() }),
+    condition: Joi.object({
+      field: sensorFieldKey.required(),
+      operator: Joi.string().valid('>', '>=', '<', '<=').required(),
+      value: Joi.number().required(),
+      // How long the condition must hold before the rule fires (ms)
+      duration: Joi.number().integer().min(0).max(24 * 60 * 60 * 1000).default(0),
+      // How far back past the threshold the value must move before the rule clears
+      hysteresis: Joi.number().min(0).default(0)
+    }).required(),
+    action: ruleAction.required(),
+    // Sent when the condition clears (e.g. turn the fan back off)
+    clearAction: ruleAction.optional(),
+    // Minimum time between two firings (ms)
+    cooldown: Joi.number().integer().min(0).max(7 * 24 * 60 * 60 * 1000).default(0)
+  }),
+
+  // Alert list query validation
+  alertQuery: Joi.object({
+    status: Joi.string().valid('open', 'acknowledged', 'resolved', 'active').optional(),
+    sensorType: sensorFieldKey.optional(),
+    deviceId: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,50}$/).optional(),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+  }),
+
+  // Alert acknowledge/resolve validation
+  alertAction: Joi.object({
+    acknowledgedBy: Joi.string().max(100).optional(),
+    note: Joi.string().max(500).optional()
+  }),
+
+  // Rule execution history query validation
+  ruleHistoryQuery: Joi.object({
+    ruleId: Joi.string().max(100).optional(),
+    limit: Joi.number().integer().min(1).max(500).default(50)
   })
 };
 
@@ -122,13 +359,30 @@ export const schemas = {
  * Specific validation middleware functions
  */
 export const validateTimeRange = validate(schemas.timeRange, 'query');
+export const validateSummaryQuery = validate(schemas.summaryQuery, 'query');
+export const validateDataQuery = validate(schemas.dataQuery, 'query');
 export const validateSensorQuery = validate(schemas.sensorQuery, 'query');
+export const validateLatestQuery = validate(schemas.latestQuery, 'query');
+export const validateAnomalyQuery = validate(schemas.anomalyQuery, 'query');
+export const validateGapQuery = validate(schemas.gapQuery, 'query');
+export const validateRollupBackfill = validate(schemas.rollupBackfill, 'body');
+export const validateForecastQuery = validate(schemas.forecastQuery, 'query');
+export const validateCalibrationProfile = validate(schemas.calibrationProfile, 'body');
+export const validateCalibrationQuery = validate(schemas.calibrationQuery, 'query');
+export const validateDeviceParams = validate(schemas.deviceParams, 'params');
+export const validateCommandParams = validate(schemas.commandParams, 'params');
 export const validateDeviceCommand = validate(schemas.deviceCommand, 'body');
 export const validateDeviceConfig = validate(schemas.deviceConfig, 'body');
 export const validateSensorConfig = validate(schemas.sensorConfig, 'body');
+export const validateSensorConfigQuery = validate(schemas.sensorConfigQuery, 'query');
 export const validateGeneralSettings = validate(schemas.generalSettings, 'body');
 export const validatePagination = validate(schemas.pagination, 'query');
 export const validateDateRange = validate(schemas.dateRange, 'query');
+export const validateCommandQuery = validate(schemas.commandQuery, 'query');
+export const validateRule = validate(schemas.rule, 'body');
+export const validateAlertQuery = validate(schemas.alertQuery, 'query');
+export const validateAlertAction = validate(schemas.alertAction, 'body');
+export const validateRuleHistoryQuery = validate(schemas.ruleHistoryQuery, 'query');
 
 /**
  * Custom validation functions
@@ -0,0 +1,47 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP email channel
+ * Works against any SMTP server, including local sinks such as MailHog
+ * (SMTP_HOST=localhost, SMTP_PORT=1025, no credentials).
+ * @param {Object} options - Channel options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465)
+ * @param {string} options.user - SMTP username (no authentication when empty)
+ * @param {string} options.pass - SMTP password
+ * @param {string} options.from - Sender address
+ * @param {string} options.to - Comma separated recipients
+ * @returns {Object} Channel with send()
+ */
+export function createEmailChannel({ host, port = 587, secure = false, user, pass, from, to }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'email',
+    target: to,
+
+    /**
+     * Deliver a rendered notification
+     * @param {Object} notification - { event, subject, text, data, timestamp }
+     * @returns {Promise<void>}
+     */
+    async send(notification) {
+      await transporter.sendMail({
+        from,
+        to,
+        subject: notification.subject,
+        text: notification.text
+      });
+    },
+
+    close() {
+      transporter.close();
+    }
+  };
+}
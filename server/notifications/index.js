@@ -0,0 +1,36 @@
+import { createWebhookChannel, signWebhookBody } from './webhookChannel.js';
+import { createEmailChannel } from './emailChannel.js';
+import { createMqttChannel } from './mqttChannel.js';
+
+export { DEFAULT_TEMPLATES, loadTemplates, renderTemplate } from './templates.js';
+export { signWebhookBody };
+
+// Available channel adapters, keyed by channel type
+const channelFactories = {
+  webhook: createWebhookChannel,
+  email: createEmailChannel,
+  mqtt: createMqttChannel
+};
+
+/**
+ * Register an additional channel adapter
+ * @param {string} type - Channel type
+ * @param {Function} factory - (options) => { name, target, send(notification) }
+ */
+export function registerNotificationChannel(type, factory) {
+  channelFactories[type] = factory;
+}
+
+/**
+ * Create a channel adapter
+ * @param {string} type - Channel type
+ * @param {Object} options - Adapter options
+ * @returns {Object} Channel with send()
+ */
+export function createNotificationChannel(type, options) {
+  const createChannel = channelFactories[type];
+  if (!createChannel) {
+    throw new Error(`Unknown notification channel: ${type}`);
+  }
+  return createChannel(options);
+}
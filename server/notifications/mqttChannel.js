@@ -0,0 +1,23 @@
+import { publishMessage } from '../services/mqtt.js';
+
+/**
+ * MQTT alert topic channel, e.g. for local displays
+ * @param {Object} options - Channel options
+ * @param {string} options.topic - Topic notifications are published to
+ * @returns {Object} Channel with send()
+ */
+export function createMqttChannel({ topic }) {
+  return {
+    name: 'mqtt',
+    target: topic,
+
+    /**
+     * Deliver a rendered notification
+     * @param {Object} notification - { event, subject, text, data, timestamp }
+     * @returns {Promise<void>}
+     */
+    async send(notification) {
+      await publishMessage(topic, notification, { qos: 1 });
+    }
+  };
+}
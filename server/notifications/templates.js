@@ -0,0 +1,86 @@
+import fs from 'fs';
+
+/**
+ * Default templates per event and channel
+ * Placeholders use {{path}} and are filled from the event context.
+ */
+export const DEFAULT_TEMPLATES = {
+  threshold_breach: {
+    email: {
+      subject: '[Weatherly] {{sensorType}} {{direction}} threshold at {{deviceName}}',
+      text: '{{sensorType}} at {{deviceName}} ({{location}}) is {{value}}, {{direction}} the threshold of {{threshold}}.\n\nAlert: {{alertId}}\nOpened: {{openedAt}}'
+    },
+    webhook: {
+      subject: '{{sensorType}} {{direction}} threshold at {{deviceName}}',
+      text: '{{sensorType}} is {{value}} ({{direction}} {{threshold}}) at {{deviceName}}'
+    },
+    mqtt: {
+      subject: '{{sensorType}} alert',
+      text: '{{deviceName}}: {{sensorType}} {{value}} ({{direction}} {{threshold}})'
+    }
+  },
+  device_offline: {
+    email: {
+      subject: '[Weatherly] {{deviceName}} is offline',
+      text: '{{deviceName}} ({{location}}) went offline.\n\nLast seen: {{lastSeen}}\nPrevious status: {{previousStatus}}'
+    },
+    webhook: {
+      subject: '{{deviceName}} is offline',
+      text: '{{deviceName}} went offline, last seen {{lastSeen}}'
+    },
+    mqtt: {
+      subject: 'Device offline',
+      text: '{{deviceName}} offline'
+    }
+  },
+  test: {
+    email: {
+      subject: '[Weatherly] Test notification',
+      text: 'This is a test notification sent at {{timestamp}}.'
+    },
+    webhook: {
+      subject: 'Test notification',
+      text: 'Test notification sent at {{timestamp}}'
+    },
+    mqtt: {
+      subject: 'Test',
+      text: 'Test notification'
+    }
+  }
+};
+
+/**
+ * Load templates, merging overrides from a JSON file over the defaults
+ * The file uses the same { event: { channel: { subject, text } } } shape.
+ * @param {string} filePath - Optional path of the override file
+ * @returns {Object} Templates
+ */
+export function loadTemplates(filePath) {
+  if (!filePath) return DEFAULT_TEMPLATES;
+
+  const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const templates = { ...DEFAULT_TEMPLATES };
+
+  Object.entries(overrides).forEach(([event, channels]) => {
+    templates[event] = { ...templates[event] };
+    Object.entries(channels).forEach(([channel, template]) => {
+      templates[event][channel] = { ...templates[event][channel], ...template };
+    });
+  });
+
+  return templates;
+}
+
+/**
+ * Fill {{path}} placeholders from a context object
+ * Missing values render as "unknown".
+ * @param {string} template - Template string
+ * @param {Object} context - Values
+ * @returns {string} Rendered string
+ */
+export function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((current, part) => current?.[part], context);
+    return value === undefined || value === null ? 'unknown' : String(value);
+  });
+}
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+
+/**
+ * Sign a webhook body
+ * The signature covers the timestamp too, so receivers can reject replays.
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Value of the X-Weatherly-Timestamp header
+ * @param {string} body - Raw request body
+ * @returns {string} Hex encoded HMAC-SHA256
+ */
+export function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Outgoing HTTP webhook channel
+ * Posts the notification as JSON; with a secret, requests carry
+ * X-Weatherly-Signature: sha256=<hmac of "<timestamp>.<body>">.
+ * @param {Object} options - Channel options
+ * @param {string} options.url - Webhook URL
+ * @param {string} options.secret - HMAC secret (unsigned when empty)
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Object} Channel with send()
+ * @throws {Error} When the URL is not an http(s) URL
+ */
+export function createWebhookChannel({ url, secret, timeout = 10000 }) {
+  // The URL is left out of errors, as paths often embed tokens
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Webhook URL is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Webhook URL must use http or https, not ${parsed.protocol}`);
+  }
+
+  return {
+    name: 'webhook',
+    // Paths often embed tokens; only the origin is reported
+    target: parsed.origin,
+
+    /**
+     * Deliver a rendered notification
+     * @param {Object} notification - { event, subject, text, data, timestamp }
+     * @returns {Promise<void>}
+     */
+    async send(notification) {
+      const body = JSON.stringify(notification);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'weatherly-ctl',
+        'X-Weatherly-Event': notification.event,
+        'X-Weatherly-Timestamp': timestamp
+      };
+
+      if (secret) {
+        headers['X-Weatherly-Signature'] = `sha256=${signWebhookBody(secret, timestamp, body)}`;
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status} ${response.statusText}`);
+      }
+    }
+  };
+}
@@ -0,0 +1,125 @@
+import express from 'express';
+import { validateAlertQuery, validateAlertAction } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  ALERT_STATUS,
+  listAlerts,
+  getAlert,
+  acknowledgeAlert,
+  resolveAlert
+} from '../services/alerts.js';
+
+const router = express.Router();
+
+/**
+ * Send the 404 response for an unknown alert
+ * @param {Object} res - Express response object
+ * @param {string} alertId - Requested alert id
+ */
+function alertNotFound(res, alertId) {
+  res.status(404).json({
+    success: false,
+    error: {
+      message: 'Alert not found',
+      alertId
+    }
+  });
+}
+
+/**
+ * Send the 409 response for an alert in the wrong state
+ * @param {Object} res - Express response object
+ * @param {Object} alert - Current alert
+ * @param {string} action - Attempted action
+ */
+function invalidAlertState(res, alert, action) {
+  res.status(409).json({
+    success: false,
+    error: {
+      message: `Cannot ${action} an alert that is ${alert.status}`,
+      alertId: alert.id,
+      status: alert.status
+    }
+  });
+}
+
+/**
+ * GET /api/alerts
+ * Get alerts, newest first
+ */
+router.get('/', validateAlertQuery, asyncHandler(async (req, res) => {
+  const alerts = await listAlerts(req.query);
+  const active = await listAlerts({ status: 'active', limit: Infinity });
+
+  res.json({
+    success: true,
+    alerts,
+    meta: {
+      count: alerts.length,
+      open: active.filter(alert => alert.status === ALERT_STATUS.OPEN).length,
+      acknowledged: active.filter(alert => alert.status === ALERT_STATUS.ACKNOWLEDGED).length,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/alerts/:alertId
+ * Get a single alert with its status history
+ */
+router.get('/:alertId', asyncHandler(async (req, res) => {
+  const { alertId } = req.params;
+
+  const alert = await getAlert(alertId);
+  if (!alert) return alertNotFound(res, alertId);
+
+  res.json({
+    success: true,
+    alert,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/alerts/:alertId/acknowledge
+ * Acknowledge an open alert
+ */
+router.post('/:alertId/acknowledge', validateAlertAction, asyncHandler(async (req, res) => {
+  const { alertId } = req.params;
+
+  const existing = await getAlert(alertId);
+  if (!existing) return alertNotFound(res, alertId);
+
+  const alert = await acknowledgeAlert(alertId, req.body);
+  if (!alert) return invalidAlertState(res, existing, 'acknowledge');
+
+  res.json({
+    success: true,
+    message: 'Alert acknowledged',
+    alert,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/alerts/:alertId/resolve
+ * Resolve an open or acknowledged alert
+ */
+router.post('/:alertId/resolve', validateAlertAction, asyncHandler(async (req, res) => {
+  const { alertId } = req.params;
+
+  const existing = await getAlert(alertId);
+  if (!existing) return alertNotFound(res, alertId);
+
+  const alert = await resolveAlert(alertId, req.body);
+  if (!alert) return invalidAlertState(res, existing, 'resolve');
+
+  res.json({
+    success: true,
+    message: 'Alert resolved',
+    alert,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+export default router;
@@ -1,27 +1,43 @@
 import express from 'express';
 import { 
   sendDeviceCommand, 
-  sendDeviceConfig, 
   isConnected as isMQTTConnected 
 } from '../services/mqtt.js';
 import { 
+  validateDeviceParams,
+  validateCommandParams,
   validateDeviceCommand, 
   validateDeviceConfig, 
-  validateGeneralSettings 
+  validateGeneralSettings,
+  validateCommandQuery
 } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  listDevices,
+  getDevice,
+  hasDevice,
+  saveDevice,
+  updateDevice,
+  removeDevice,
+  computeHealthStatus
+} from '../services/deviceRegistry.js';
+import {
+  COMMAND_STATUS,
+  dispatchCommand,
+  getDeviceCommands,
+  getDeviceCommand,
+  getDeviceQueue,
+  cancelQueuedCommand
+} from '../services/commands.js';
 
 const router = express.Router();
 
-// In-memory device registry (in production, this would be in a database)
-const deviceRegistry = new Map();
-
 /**
  * GET /api/devices
  * Get list of all registered devices
  */
 router.get('/', asyncHandler(async (req, res) => {
-  const devices = Array.from(deviceRegistry.values());
+  const devices = await listDevices();
   
   res.json({
     success: true,
@@ -41,7 +57,7 @@ router.get('/', asyncHandler(async (req, res) => {
 router.get('/:deviceId', asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
   
-  const device = deviceRegistry.get(deviceId);
+  const device = await getDevice(deviceId);
   
   if (!device) {
     return res.status(404).json({
@@ -64,50 +80,47 @@ router.get('/:deviceId', asyncHandler(async (req, res) => {
  * POST /api/devices/:deviceId/commands
  * Send command to specific device
  */
-router.post('/:deviceId/commands', validateDeviceCommand, asyncHandler(async (req, res) => {
+router.post('/:deviceId/commands', validateDeviceParams, validateDeviceCommand, asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
-  const commandData = req.body;
-  
-  if (!isMQTTConnected()) {
-    return res.status(503).json({
-      success: false,
-      error: {
-        message: 'MQTT broker not connected',
-        status: 'service_unavailable'
-      }
-    });
-  }
-  
-  // Add device ID to command
-  const command = {
-    ...commandData,
-    deviceId,
-    timestamp: new Date().toISOString(),
-    id: `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-  };
+  const { command: commandName, parameters, priority, timeout, ttl, maxAttempts } = req.body;
   
   try {
-    await sendDeviceCommand(command);
+    const command = await dispatchCommand(deviceId, {
+      command: commandName,
+      parameters,
+      priority,
+      timeout,
+      ttl,
+      maxAttempts
+    });
+    
+    if (command.status === COMMAND_STATUS.FAILED) {
+      throw new Error(command.error);
+    }
     
     // Update device last command timestamp
-    if (deviceRegistry.has(deviceId)) {
-      const device = deviceRegistry.get(deviceId);
-      device.lastCommand = {
+    await updateDevice(deviceId, {
+      lastCommand: {
         command: command.command,
-        timestamp: command.timestamp,
+        timestamp: command.createdAt,
         id: command.id
-      };
-      deviceRegistry.set(deviceId, device);
-    }
+      }
+    });
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Command sent successfully',
+      message: command.status === COMMAND_STATUS.QUEUED
+        ? 'Command queued until the device is reachable'
+        : 'Command sent, awaiting device acknowledgement',
       command: {
         id: command.id,
         command: command.command,
         deviceId,
-        timestamp: command.timestamp
+        status: command.status,
+        priority: command.priority,
+        timeout: command.timeout,
+        expiresAt: command.expiresAt,
+        timestamp: command.createdAt
       }
     });
   } catch (error) {
@@ -123,54 +136,146 @@ router.post('/:deviceId/commands', validateDeviceCommand, asyncHandler(async (re
 }));
 
 /**
- * POST /api/devices/:deviceId/config
- * Update device configuration
+ * GET /api/devices/:deviceId/commands
+ * Get recent commands sent to a device and their lifecycle status
  */
-router.post('/:deviceId/config', validateDeviceConfig, asyncHandler(async (req, res) => {
+router.get('/:deviceId/commands', validateDeviceParams, validateCommandQuery, asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
-  const configData = req.body;
+  const { status, limit } = req.query;
   
-  if (!isMQTTConnected()) {
-    return res.status(503).json({
+  const commands = await getDeviceCommands(deviceId, { status, limit });
+  
+  res.json({
+    success: true,
+    commands,
+    meta: {
+      deviceId,
+      count: commands.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/devices/:deviceId/commands/:commandId
+ * Get a single command and its status history
+ */
+router.get('/:deviceId/commands/:commandId', validateCommandParams, asyncHandler(async (req, res) => {
+  const { deviceId, commandId } = req.params;
+  
+  const command = await getDeviceCommand(deviceId, commandId);
+  
+  if (!command) {
+    return res.status(404).json({
       success: false,
       error: {
-        message: 'MQTT broker not connected',
-        status: 'service_unavailable'
+        message: 'Command not found',
+        deviceId,
+        commandId
       }
     });
   }
   
-  // Add device ID to configuration
-  const config = {
-    ...configData,
-    deviceId,
-    timestamp: new Date().toISOString(),
-    id: `cfg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-  };
+  res.json({
+    success: true,
+    command,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/devices/:deviceId/queue
+ * Get commands waiting for delivery, in delivery order
+ */
+router.get('/:deviceId/queue', validateDeviceParams, asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  
+  const queue = await getDeviceQueue(deviceId);
+  
+  res.json({
+    success: true,
+    queue,
+    meta: {
+      deviceId,
+      count: queue.length,
+      mqttConnected: isMQTTConnected(),
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * DELETE /api/devices/:deviceId/queue/:commandId
+ * Cancel a command that has not been delivered yet
+ */
+router.delete('/:deviceId/queue/:commandId', validateCommandParams, asyncHandler(async (req, res) => {
+  const { deviceId, commandId } = req.params;
+  
+  const command = await cancelQueuedCommand(deviceId, commandId);
+  
+  if (!command) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Queued command not found',
+        deviceId,
+        commandId
+      }
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: 'Queued command cancelled',
+    command,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/devices/:deviceId/config
+ * Update device configuration
+ */
+router.post('/:deviceId/config', validateDeviceParams, validateDeviceConfig, asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  const configData = req.body;
   
   try {
-    await sendDeviceConfig(config);
+    const config = await dispatchCommand(deviceId, {
+      type: 'config',
+      command: configData.configType,
+      parameters: configData.settings,
+      applyImmediately: configData.applyImmediately
+    });
+    
+    if (config.status === COMMAND_STATUS.FAILED) {
+      throw new Error(config.error);
+    }
     
     // Update device configuration in registry
-    if (deviceRegistry.has(deviceId)) {
-      const device = deviceRegistry.get(deviceId);
-      device.lastConfig = {
-        configType: config.configType,
-        timestamp: config.timestamp,
-        id: config.id
-      };
-      device.configuration = { ...device.configuration, ...config.settings };
-      deviceRegistry.set(deviceId, device);
+    const device = await getDevice(deviceId);
+    if (device) {
+      await updateDevice(deviceId, {
+        lastConfig: {
+          configType: config.command,
+          timestamp: config.createdAt,
+          id: config.id
+        },
+        configuration: { ...device.configuration, ...config.parameters }
+      });
     }
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Configuration updated successfully',
+      message: config.status === COMMAND_STATUS.QUEUED
+        ? 'Configuration queued until the device is reachable'
+        : 'Configuration sent, awaiting device acknowledgement',
       config: {
         id: config.id,
-        configType: config.configType,
+        configType: config.command,
         deviceId,
-        timestamp: config.timestamp
+        status: config.status,
+        timestamp: config.createdAt
       }
     });
   } catch (error) {
@@ -189,33 +294,29 @@ router.post('/:deviceId/config', validateDeviceConfig, asyncHandler(async (req,
  * POST /api/devices/:deviceId/settings
  * Update general device settings
  */
-router.post('/:deviceId/settings', validateGeneralSettings, asyncHandler(async (req, res) => {
+router.post('/:deviceId/settings', validateDeviceParams, validateGeneralSettings, asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
   const settings = req.body;
   
-  if (!isMQTTConnected()) {
-    return res.status(503).json({
-      success: false,
-      error: {
-        message: 'MQTT broker not connected',
-        status: 'service_unavailable'
-      }
-    });
-  }
-  
-  // Send as configuration update
-  const config = {
-    configType: 'general_settings',
-    settings,
-    deviceId,
-    applyImmediately: true
-  };
+  // Never persist WiFi credentials; they are only forwarded to the device
+  const { wifiPassword, ...storedSettings } = settings;
   
   try {
-    await sendDeviceConfig(config);
+    // Send as configuration update
+    const config = await dispatchCommand(deviceId, {
+      type: 'config',
+      command: 'general_settings',
+      parameters: storedSettings,
+      transientParameters: wifiPassword ? { wifiPassword } : undefined,
+      applyImmediately: true
+    });
+    
+    if (config.status === COMMAND_STATUS.FAILED) {
+      throw new Error(config.error);
+    }
     
     // Update device in registry
-    let device = deviceRegistry.get(deviceId) || {
+    const existing = await getDevice(deviceId) || {
       id: deviceId,
       name: settings.deviceName || deviceId,
       status: 'unknown',
@@ -223,16 +324,27 @@ router.post('/:deviceId/settings', validateGeneralSettings, asyncHandler(async (
       configuration: {}
     };
     
-    device.configuration = { ...device.configuration, ...settings };
-    device.name = settings.deviceName || device.name;
-    device.lastUpdated = new Date().toISOString();
-    
-    deviceRegistry.set(deviceId, device);
+    const device = await saveDevice({
+      ...existing,
+      configuration: { ...existing.configuration, ...storedSettings },
+      name: settings.deviceName || existing.name,
+      location: settings.location || existing.location,
+      lastUpdated: new Date().toISOString(),
+      lastConfig: {
+        configType: config.command,
+        timestamp: config.createdAt,
+        id: config.id
+      }
+    });
     
     res.json({
       success: true,
       message: 'Settings updated successfully',
       device,
+      config: {
+        id: config.id,
+        status: config.status
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -254,7 +366,7 @@ router.post('/:deviceId/settings', validateGeneralSettings, asyncHandler(async (
 router.get('/:deviceId/status', asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
   
-  const device = deviceRegistry.get(deviceId);
+  const device = await getDevice(deviceId);
   
   if (!device) {
     return res.status(404).json({
@@ -274,9 +386,7 @@ router.get('/:deviceId/status', asyncHandler(async (req, res) => {
   const status = {
     ...device,
     health: {
-      status: minutesSinceLastSeen === null ? 'unknown' :
-              minutesSinceLastSeen < 5 ? 'online' :
-              minutesSinceLastSeen < 15 ? 'warning' : 'offline',
+      status: computeHealthStatus(device.lastSeen, now),
       lastSeenMinutesAgo: minutesSinceLastSeen,
       mqttConnected: isMQTTConnected()
     },
@@ -335,46 +445,43 @@ router.post('/discover', asyncHandler(async (req, res) => {
  * POST /api/devices/:deviceId/restart
  * Restart specific device
  */
-router.post('/:deviceId/restart', asyncHandler(async (req, res) => {
+router.post('/:deviceId/restart', validateDeviceParams, asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
   
-  if (!isMQTTConnected()) {
-    return res.status(503).json({
-      success: false,
-      error: {
-        message: 'MQTT broker not connected',
-        status: 'service_unavailable'
-      }
+  try {
+    const restartCommand = await dispatchCommand(deviceId, {
+      command: 'restart',
+      parameters: { 
+        delay: 2000 // 2 second delay before restart
+      },
+      priority: 'high',
+      timeout: 30000
     });
-  }
-  
-  const restartCommand = {
-    command: 'restart',
-    deviceId,
-    timestamp: new Date().toISOString(),
-    parameters: { 
-      delay: 2000 // 2 second delay before restart
+    
+    if (restartCommand.status === COMMAND_STATUS.FAILED) {
+      throw new Error(restartCommand.error);
     }
-  };
-  
-  try {
-    await sendDeviceCommand(restartCommand);
     
     // Update device status
-    if (deviceRegistry.has(deviceId)) {
-      const device = deviceRegistry.get(deviceId);
-      device.lastCommand = {
+    await updateDevice(deviceId, {
+      lastCommand: {
         command: 'restart',
-        timestamp: restartCommand.timestamp
-      };
-      deviceRegistry.set(deviceId, device);
-    }
+        timestamp: restartCommand.createdAt,
+        id: restartCommand.id
+      }
+    });
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Restart command sent',
+      message: restartCommand.status === COMMAND_STATUS.QUEUED
+        ? 'Restart command queued until the device is reachable'
+        : 'Restart command sent',
       deviceId,
-      timestamp: restartCommand.timestamp
+      command: {
+        id: restartCommand.id,
+        status: restartCommand.status
+      },
+      timestamp: restartCommand.createdAt
     });
   } catch (error) {
     console.error('Error sending restart command:', error);
@@ -395,7 +502,7 @@ router.post('/:deviceId/restart', asyncHandler(async (req, res) => {
 router.delete('/:deviceId', asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
   
-  if (!deviceRegistry.has(deviceId)) {
+  if (!await hasDevice(deviceId)) {
     return res.status(404).json({
       success: false,
       error: {
@@ -405,7 +512,7 @@ router.delete('/:deviceId', asyncHandler(async (req, res) => {
     });
   }
   
-  deviceRegistry.delete(deviceId);
+  await removeDevice(deviceId);
   
   res.json({
     success: true,
@@ -415,40 +522,4 @@ router.delete('/:deviceId', asyncHandler(async (req, res) => {
   });
 }));
 
-/**
- * Utility function to register or update device
- * This would typically be called when receiving MQTT messages
- */
-export function registerDevice(deviceId, deviceInfo) {
-  const existingDevice = deviceRegistry.get(deviceId) || {};
-  
-  const device = {
-    ...existingDevice,
-    id: deviceId,
-    name: deviceInfo.name || existingDevice.name || deviceId,
-    status: deviceInfo.status || 'online',
-    lastSeen: new Date().toISOString(),
-    batteryLevel: deviceInfo.batteryLevel,
-    signalStrength: deviceInfo.signalStrength,
-    uptime: deviceInfo.uptime,
-    version: deviceInfo.version,
-    configuration: { ...existingDevice.configuration, ...deviceInfo.configuration }
-  };
-  
-  deviceRegistry.set(deviceId, device);
-  return device;
-}
-
-/**
- * Utility function to update device last seen timestamp
- */
-export function updateDeviceLastSeen(deviceId) {
-  if (deviceRegistry.has(deviceId)) {
-    const device = deviceRegistry.get(deviceId);
-    device.lastSeen = new Date().toISOString();
-    device.status = 'online';
-    deviceRegistry.set(deviceId, device);
-  }
-}
-
 export default router;
\ No newline at end of file
@@ -0,0 +1,33 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getNotificationStatus, sendTestNotification } from '../services/notifications.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/notifications
+ * Get configured notification channels and recent deliveries
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    ...getNotificationStatus(),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/notifications/test
+ * Send a test notification to every configured channel
+ */
+router.post('/test', asyncHandler(async (req, res) => {
+  const deliveries = await sendTestNotification();
+
+  res.json({
+    success: deliveries.every(delivery => delivery.status === 'sent'),
+    deliveries,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+export default router;
@@ -0,0 +1,191 @@
+import express from 'express';
+import { validateRule, validateRuleHistoryQuery } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  setRuleEnabled,
+  deleteRule,
+  getRuleHistory
+} from '../services/rules.js';
+
+const router = express.Router();
+
+/**
+ * Send the 404 response for an unknown rule
+ * @param {Object} res - Express response object
+ * @param {string} ruleId - Requested rule id
+ */
+function ruleNotFound(res, ruleId) {
+  res.status(404).json({
+    success: false,
+    error: {
+      message: 'Rule not found',
+      ruleId
+    }
+  });
+}
+
+/**
+ * GET /api/rules
+ * Get all automation rules
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const rules = await listRules();
+
+  res.json({
+    success: true,
+    rules,
+    meta: {
+      count: rules.length,
+      enabled: rules.filter(rule => rule.enabled).length,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/rules/history
+ * Get rule executions of all rules, newest first
+ */
+router.get('/history', validateRuleHistoryQuery, asyncHandler(async (req, res) => {
+  const history = await getRuleHistory(req.query);
+
+  res.json({
+    success: true,
+    history,
+    meta: {
+      count: history.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * POST /api/rules
+ * Create an automation rule
+ */
+router.post('/', validateRule, asyncHandler(async (req, res) => {
+  const rule = await createRule(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Rule created',
+    rule,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/rules/:ruleId
+ * Get a single rule
+ */
+router.get('/:ruleId', asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  const rule = await getRule(ruleId);
+  if (!rule) return ruleNotFound(res, ruleId);
+
+  res.json({
+    success: true,
+    rule,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * PUT /api/rules/:ruleId
+ * Replace a rule's definition
+ */
+router.put('/:ruleId', validateRule, asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  const rule = await updateRule(ruleId, req.body);
+  if (!rule) return ruleNotFound(res, ruleId);
+
+  res.json({
+    success: true,
+    message: 'Rule updated',
+    rule,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/rules/:ruleId/enable
+ * Start evaluating a rule
+ */
+router.post('/:ruleId/enable', asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  const rule = await setRuleEnabled(ruleId, true);
+  if (!rule) return ruleNotFound(res, ruleId);
+
+  res.json({
+    success: true,
+    message: 'Rule enabled',
+    rule,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/rules/:ruleId/disable
+ * Stop evaluating a rule without deleting it
+ */
+router.post('/:ruleId/disable', asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  const rule = await setRuleEnabled(ruleId, false);
+  if (!rule) return ruleNotFound(res, ruleId);
+
+  res.json({
+    success: true,
+    message: 'Rule disabled',
+    rule,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/rules/:ruleId/history
+ * Get executions of a single rule, newest first
+ */
+router.get('/:ruleId/history', validateRuleHistoryQuery, asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  if (!await getRule(ruleId)) return ruleNotFound(res, ruleId);
+
+  const history = await getRuleHistory({ ...req.query, ruleId });
+
+  res.json({
+    success: true,
+    history,
+    meta: {
+      ruleId,
+      count: history.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * DELETE /api/rules/:ruleId
+ * Delete a rule
+ */
+router.delete('/:ruleId', asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  if (!await deleteRule(ruleId)) return ruleNotFound(res, ruleId);
+
+  res.json({
+    success: true,
+    message: 'Rule deleted',
+    ruleId,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+export default router;
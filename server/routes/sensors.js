@@ -2,26 +2,194 @@ import express from 'express';
 import { 
   getAllEnvironmentalData, 
   getEnvironmentalData, 
+  getEnvironmentalTable,
   getLatestData, 
-  testConnection 
+  testConnection,
+  invalidateQueryCache,
+  getQueryCacheStats
 } from '../services/influxdb.js';
 import { 
   validateTimeRange, 
+  validateSummaryQuery,
+  validateDataQuery,
   validateSensorQuery, 
-  validateSensorConfig 
+  validateSensorConfig,
+  validateSensorConfigQuery,
+  validateLatestQuery,
+  validateForecastQuery,
+  validateAnomalyQuery,
+  validateGapQuery,
+  validateRollupBackfill,
+  validateCalibrationProfile,
+  validateCalibrationQuery
 } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { getIngestionStats } from '../services/ingestion.js';
+import {
+  saveSensorConfig,
+  deliverSensorConfig,
+  getEffectiveSensorConfig,
+  listSensorConfigs
+} from '../services/sensorConfig.js';
+import {
+  listCalibrationProfiles,
+  createCalibrationProfile,
+  deleteCalibrationProfile,
+  findCalibrationProfile
+} from '../services/calibration.js';
+import { getSensorFields, getSensorFieldKeys } from '../services/sensorFields.js';
+import { selectWindow, downsampleSeries } from '../services/downsampling.js';
+import { getDerivedFields, getDerivedFieldKeys } from '../services/derivedMetrics.js';
+import { getForecast } from '../services/forecast.js';
+import { findAnomalies } from '../services/anomalyDetection.js';
+import { findDataGaps, DEFAULT_GAP_TOLERANCE } from '../services/dataGaps.js';
+import { summarizeSeries, comparisonPeriod, compareSummaries, SUMMARY_AGGREGATES } from '../services/statistics.js';
+import { planRollupQuery } from '../services/rollups.js';
+import { backfillRollups, getRollupStatus } from '../services/rollupScheduler.js';
 
 const router = express.Router();
 
+/**
+ * Pick the query options of a validated sensor query
+ * @param {Object} query - Validated query
+ * @returns {Object} Calibration, tag filter, grouping and aggregation options
+ */
+function seriesOptions({ raw, deviceId, location, tag, groupBy, aggregate, p }) {
+  return { raw, deviceId, location, tag, groupBy, aggregate, p };
+}
+
+/**
+ * Describe the tag filters and grouping of a query for response meta
+ * @param {Object} query - Validated query
+ * @returns {Object} Filters and groupBy
+ */
+function seriesMeta({ deviceId, location, tag, groupBy, aggregate, p }) {
+  return {
+    filters: { deviceId: deviceId || null, location: location || null, tag: tag || null },
+    groupBy: groupBy || null,
+    ...(aggregate ? { aggregate, p: p ?? null } : {})
+  };
+}
+
+/**
+ * Work out the aggregation window of a charted query
+ * @param {Object} query - Validated query
+ * @returns {string} Requested window, or the one picked for windowPeriod=auto
+ */
+function effectiveWindow({ startTime, endTime, windowPeriod, maxPoints }) {
+  return windowPeriod === 'auto' ? selectWindow(startTime, endTime, maxPoints) : windowPeriod;
+}
+
+/**
+ * Describe the resolution of a charted query for response meta
+ * @param {Object} query - Validated query
+ * @param {string} window - Effective window
+ * @returns {Object} Requested and effective window, maxPoints, downsampling and
+ *   the rollup level values are read from (null for raw data)
+ */
+function resolutionMeta({ startTime, endTime, windowPeriod, maxPoints, downsample, aggregate }, window) {
+  const plan = planRollupQuery(startTime, endTime, window, [].concat(aggregate || 'mean')[0]);
+  return {
+    windowPeriod,
+    effectiveWindow: window,
+    maxPoints,
+    downsample,
+    rollup: plan ? plan.level.id : null
+  };
+}
+
+/**
+ * Compute summary statistics per sensor field
+ * @param {Object} data - Series keyed by field key (see getAllEnvironmentalData)
+ * @returns {Object} Statistics keyed by field key, keyed by group within a field with groupBy
+ */
+function summarizeFields(data) {
+  const summary = {};
+  
+  getSensorFieldKeys().forEach(field => {
+    if (!data[field]) return;
+    
+    if (Array.isArray(data[field])) {
+      const stats = summarizeSeries(data[field]);
+      if (stats) summary[field] = stats;
+      return;
+    }
+    
+    Object.entries(data[field]).forEach(([group, points]) => {
+      const stats = summarizeSeries(points);
+      if (stats) {
+        summary[field] = summary[field] || {};
+        summary[field][group] = stats;
+      }
+    });
+  });
+  
+  return summary;
+}
+
+/**
+ * Compare the per-field statistics of two periods
+ * @param {Object} current - Statistics of the range (see summarizeFields)
+ * @param {Object} previous - Statistics of the earlier period
+ * @param {boolean} grouped - Whether statistics are keyed by group within a field
+ * @returns {Object} Deltas keyed like the statistics, for fields (and groups) in both
+ */
+function compareFields(current, previous, grouped) {
+  const deltas = {};
+  
+  Object.entries(current).forEach(([field, stats]) => {
+    if (!previous[field]) return;
+    
+    if (!grouped) {
+      deltas[field] = compareSummaries(stats, previous[field]);
+      return;
+    }
+    
+    Object.entries(stats).forEach(([group, groupStats]) => {
+      if (!previous[field][group]) return;
+      deltas[field] = deltas[field] || {};
+      deltas[field][group] = compareSummaries(groupStats, previous[field][group]);
+    });
+  });
+  
+  return deltas;
+}
+
+/**
+ * GET /api/sensors/fields
+ * Get the registered sensor fields (key, unit, valid range, display name, color)
+ * followed by the derived fields (derived: true) computed from them
+ */
+router.get('/fields', (req, res) => {
+  const fields = [...getSensorFields(), ...getDerivedFields()];
+  
+  res.json({
+    success: true,
+    fields,
+    meta: {
+      count: fields.length,
+      requestTime: new Date().toISOString()
+    }
+  });
+});
+
 /**
  * GET /api/sensors/data
  * Get all environmental sensor data for a time range
+ * (?deviceId=, ?location=, ?tag[name]= filters; ?groupBy=deviceId for one series per device;
+ * ?aggregate=min&aggregate=max for bands; windowPeriod=auto with ?maxPoints= and ?downsample=lttb)
  */
-router.get('/data', validateTimeRange, asyncHandler(async (req, res) => {
-  const { startTime, endTime, windowPeriod } = req.query;
+router.get('/data', validateDataQuery, asyncHandler(async (req, res) => {
+  const { startTime, endTime, raw, maxPoints, downsample } = req.query;
+  const window = effectiveWindow(req.query);
+  
+  const data = await getAllEnvironmentalData(startTime, endTime, window, seriesOptions(req.query));
   
-  const data = await getAllEnvironmentalData(startTime, endTime, windowPeriod);
+  if (downsample === 'lttb') {
+    [...getSensorFieldKeys(), ...getDerivedFieldKeys()].forEach(field => {
+      if (data[field]) data[field] = downsampleSeries(data[field], maxPoints);
+    });
+  }
   
   res.json({
     success: true,
@@ -29,7 +197,9 @@ router.get('/data', validateTimeRange, asyncHandler(async (req, res) => {
     meta: {
       startTime,
       endTime,
-      windowPeriod,
+      ...resolutionMeta(req.query, window),
+      calibrated: !raw,
+      ...seriesMeta(req.query),
       requestTime: new Date().toISOString()
     }
   });
@@ -37,14 +207,14 @@ router.get('/data', validateTimeRange, asyncHandler(async (req, res) => {
 
 /**
  * GET /api/sensors/data/:field
- * Get specific sensor data (temperature, humidity, or pressure)
+ * Get data of one registered sensor field or derived field
  */
 router.get('/data/:field', validateSensorQuery, asyncHandler(async (req, res) => {
   const { field } = req.params;
-  const { startTime, endTime, windowPeriod } = req.query;
+  const { startTime, endTime, raw, maxPoints, downsample } = req.query;
   
   // Validate field parameter
-  const validFields = ['temperature', 'humidity', 'pressure'];
+  const validFields = [...getSensorFieldKeys(), ...getDerivedFieldKeys()];
   if (!validFields.includes(field)) {
     return res.status(400).json({
       success: false,
@@ -56,7 +226,10 @@ router.get('/data/:field', validateSensorQuery, asyncHandler(async (req, res) =>
     });
   }
   
-  const data = await getEnvironmentalData(field, startTime, endTime, windowPeriod);
+  const window = effectiveWindow(req.query);
+  let data = await getEnvironmentalData(field, startTime, endTime, window, seriesOptions(req.query));
+  if (downsample === 'lttb') data = downsampleSeries(data, maxPoints);
+  const series = Array.isArray(data) ? [data] : Object.values(data);
   
   res.json({
     success: true,
@@ -65,8 +238,10 @@ router.get('/data/:field', validateSensorQuery, asyncHandler(async (req, res) =>
       field,
       startTime,
       endTime,
-      windowPeriod,
-      count: data.length,
+      ...resolutionMeta(req.query, window),
+      calibrated: !raw,
+      ...seriesMeta(req.query),
+      count: series.reduce((total, points) => total + points.length, 0),
       requestTime: new Date().toISOString()
     }
   });
@@ -76,22 +251,41 @@ router.get('/data/:field', validateSensorQuery, asyncHandler(async (req, res) =>
  * GET /api/sensors/latest
  * Get latest sensor readings
  */
-router.get('/latest', asyncHandler(async (req, res) => {
-  const data = await getLatestData();
+router.get('/latest', validateLatestQuery, asyncHandler(async (req, res) => {
+  const { raw, groupBy } = req.query;
+  
+  const data = await getLatestData(seriesOptions(req.query));
   
   // Check if we have recent data (within last 10 minutes)
   const now = new Date();
   const tenMinutesAgo = new Date(now.getTime() - 10 * 60 * 1000);
   
+  const withFreshness = (readings) => {
+    const status = {};
+    Object.keys(readings).forEach(key => {
+      const dataTime = new Date(readings[key]?.time);
+      status[key] = {
+        ...readings[key],
+        isRecent: dataTime > tenMinutesAgo,
+        ageMinutes: Math.round((now - dataTime) / (1000 * 60))
+      };
+    });
+    return status;
+  };
+  
+  // With groupBy readings are keyed by tag value first
   const dataStatus = {};
-  Object.keys(data).forEach(key => {
-    const dataTime = new Date(data[key]?.time);
-    dataStatus[key] = {
-      ...data[key],
-      isRecent: dataTime > tenMinutesAgo,
-      ageMinutes: Math.round((now - dataTime) / (1000 * 60))
-    };
-  });
+  if (groupBy) {
+    Object.entries(data).forEach(([group, readings]) => {
+      dataStatus[group] = withFreshness(readings);
+    });
+  } else {
+    Object.assign(dataStatus, withFreshness(data));
+  }
+  
+  const readings = groupBy
+    ? Object.values(dataStatus).flatMap(group => Object.values(group))
+    : Object.values(dataStatus);
   
   res.json({
     success: true,
@@ -99,7 +293,99 @@ router.get('/latest', asyncHandler(async (req, res) => {
     meta: {
       requestTime: new Date().toISOString(),
       dataAvailable: Object.keys(data).length > 0,
-      allDataRecent: Object.values(dataStatus).every(d => d.isRecent)
+      calibrated: !raw,
+      ...seriesMeta(req.query),
+      allDataRecent: readings.every(d => d.isRecent)
+    }
+  });
+}));
+
+/**
+ * GET /api/sensors/anomalies
+ * Flag out-of-range values, flatlines, spikes and too fast changes in stored series
+ * (?field= repeatable; ?method=mad|zscore&threshold=&window= for spikes; ?flatlineDuration=30m)
+ */
+router.get('/anomalies', validateAnomalyQuery, asyncHandler(async (req, res) => {
+  const { startTime, endTime, field, raw, method, threshold, window: neighbours, flatlineDuration } = req.query;
+  const window = effectiveWindow(req.query);
+  
+  const { anomalies, summary, detection } = await findAnomalies({
+    fields: field,
+    startTime,
+    endTime,
+    windowPeriod: window,
+    method,
+    threshold,
+    window: neighbours,
+    flatlineDuration,
+    options: seriesOptions(req.query)
+  });
+  
+  res.json({
+    success: true,
+    anomalies,
+    summary,
+    meta: {
+      startTime,
+      endTime,
+      windowPeriod: req.query.windowPeriod,
+      effectiveWindow: window,
+      detection,
+      calibrated: !raw,
+      ...seriesMeta(req.query),
+      count: anomalies.length,
+      requestTime: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/sensors/gaps
+ * List gaps longer than the expected sample interval per sensor and device,
+ * with completeness and uptime (?expectedInterval=5m overrides sensor configs)
+ */
+router.get('/gaps', validateGapQuery, asyncHandler(async (req, res) => {
+  const { startTime, endTime, field, expectedInterval, tolerance, deviceId, location, tag } = req.query;
+  
+  const report = await findDataGaps({
+    startTime,
+    endTime,
+    fields: field,
+    expectedInterval,
+    tolerance,
+    filters: { deviceId, location, tag }
+  });
+  
+  res.json({
+    success: true,
+    ...report,
+    meta: {
+      startTime,
+      endTime,
+      expectedInterval: expectedInterval || null,
+      tolerance: tolerance ?? DEFAULT_GAP_TOLERANCE,
+      filters: { deviceId: deviceId || null, location: location || null, tag: tag || null },
+      requestTime: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/sensors/forecast
+ * Zambretti forecast from the 3-hour pressure tendency
+ * (?deviceId= picks the station whose pressure is used)
+ */
+router.get('/forecast', validateForecastQuery, asyncHandler(async (req, res) => {
+  const { deviceId, location, tag } = req.query;
+  
+  const forecast = await getForecast({ deviceId, location, tag });
+  
+  res.json({
+    success: true,
+    ...forecast,
+    meta: {
+      filters: { deviceId: deviceId || null, location: location || null, tag: tag || null },
+      requestTime: new Date().toISOString()
     }
   });
 }));
@@ -117,6 +403,9 @@ router.get('/status', asyncHandler(async (req, res) => {
   const dataFreshness = {};
   
   Object.keys(latestData).forEach(key => {
+    // Derived readings are as fresh as their inputs
+    if (latestData[key]?.derived) return;
+    
     if (latestData[key]?.time) {
       const dataTime = new Date(latestData[key].time);
       dataFreshness[key] = {
@@ -145,6 +434,8 @@ router.get('/status', asyncHandler(async (req, res) => {
         status: influxDBConnected ? 'online' : 'offline'
       },
       sensors: dataFreshness,
+      ingestion: getIngestionStats(),
+      queryCache: getQueryCacheStats(),
       lastCheck: new Date().toISOString()
     }
   });
@@ -152,72 +443,232 @@ router.get('/status', asyncHandler(async (req, res) => {
 
 /**
  * GET /api/sensors/summary
- * Get summary statistics for sensor data
+ * Get summary statistics for sensor data, optionally compared with an
+ * earlier period (compare=previous|day|week)
  */
-router.get('/summary', validateTimeRange, asyncHandler(async (req, res) => {
-  const { startTime, endTime, windowPeriod } = req.query;
-  
-  const data = await getAllEnvironmentalData(startTime, endTime, windowPeriod);
+router.get('/summary', validateSummaryQuery, asyncHandler(async (req, res) => {
+  const { startTime, endTime, windowPeriod, raw, compare, groupBy } = req.query;
+  const options = { ...seriesOptions(req.query), aggregate: SUMMARY_AGGREGATES };
   
-  // Calculate summary statistics
-  const summary = {};
+  const data = await getAllEnvironmentalData(startTime, endTime, windowPeriod, options);
+  const summary = summarizeFields(data);
   
-  ['temperature', 'humidity', 'pressure'].forEach(field => {
-    if (data[field] && data[field].length > 0) {
-      const values = data[field].map(d => d.value).filter(v => v != null);
-      
-      if (values.length > 0) {
-        values.sort((a, b) => a - b);
-        
-        summary[field] = {
-          count: values.length,
-          min: Math.min(...values),
-          max: Math.max(...values),
-          avg: values.reduce((sum, val) => sum + val, 0) / values.length,
-          median: values[Math.floor(values.length / 2)],
-          latest: data[field][data[field].length - 1]?.value || null,
-          latestTime: data[field][data[field].length - 1]?.time || null
-        };
-      }
-    }
-  });
+  // Same statistics for an earlier period, e.g. yesterday or last week
+  let comparison;
+  if (compare) {
+    const period = comparisonPeriod(startTime, endTime, compare);
+    const previousData = await getAllEnvironmentalData(period.startTime, period.endTime, windowPeriod, options);
+    const previous = summarizeFields(previousData);
+    
+    comparison = {
+      compare,
+      timeRange: {
+        startTime: period.startTime.toISOString(),
+        endTime: period.endTime.toISOString()
+      },
+      summary: previous,
+      deltas: compareFields(summary, previous, Boolean(groupBy))
+    };
+  }
   
   res.json({
     success: true,
     summary,
+    ...(comparison ? { comparison } : {}),
     meta: {
       timeRange: { startTime, endTime },
       windowPeriod,
+      calibrated: !raw,
+      ...seriesMeta(req.query),
       requestTime: new Date().toISOString()
     }
   });
 }));
 
+/**
+ * GET /api/sensors/config
+ * Get stored sensor configurations with their delivery status
+ */
+router.get('/config', validateSensorConfigQuery, asyncHandler(async (req, res) => {
+  const configs = await listSensorConfigs(req.query);
+  
+  res.json({
+    success: true,
+    configs,
+    meta: {
+      count: configs.length,
+      requestTime: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/sensors/config/:sensorType
+ * Get the configuration in effect for a sensor type (?deviceId= for a device)
+ */
+router.get('/config/:sensorType', validateSensorConfigQuery, asyncHandler(async (req, res) => {
+  const { sensorType } = req.params;
+  const { deviceId } = req.query;
+  
+  const config = await getEffectiveSensorConfig(sensorType, deviceId);
+  
+  if (!config) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Sensor configuration not found',
+        sensorType,
+        deviceId: deviceId || null
+      }
+    });
+  }
+  
+  res.json({
+    success: true,
+    config,
+    inherited: Boolean(deviceId) && config.deviceId === null,
+    timestamp: new Date().toISOString()
+  });
+}));
+
 /**
  * POST /api/sensors/config
  * Update sensor configuration
  */
 router.post('/config', validateSensorConfig, asyncHandler(async (req, res) => {
-  const config = req.body;
+  // Stored thresholds are checked against every ingested reading
+  const stored = await saveSensorConfig(req.body);
+  
+  // A changed calibration becomes a new profile version, effective now
+  const { sensorType, deviceId, calibration } = req.body;
+  let calibrationProfile = null;
+  if (calibration) {
+    const current = findCalibrationProfile(sensorType, deviceId || null, new Date());
+    const unchanged = current && current.deviceId === (deviceId || null) &&
+      current.offset === calibration.offset && current.multiplier === calibration.multiplier;
+    if (!unchanged) {
+      calibrationProfile = await createCalibrationProfile({ sensorType, deviceId, ...calibration });
+      invalidateQueryCache();
+    }
+  }
   
-  // Here you would typically save the configuration to a database
-  // and send it to the device via MQTT
+  // Sent now to reachable devices, queued for the others
+  const config = await deliverSensorConfig(stored);
   
-  // For now, we'll just return the configuration
   res.json({
     success: true,
     message: 'Sensor configuration updated',
     config,
+    calibrationProfile,
     timestamp: new Date().toISOString()
   });
 }));
 
+/**
+ * GET /api/sensors/calibration
+ * Get calibration profiles, newest effectiveFrom first
+ */
+router.get('/calibration', validateCalibrationQuery, asyncHandler(async (req, res) => {
+  const profiles = listCalibrationProfiles(req.query);
+  
+  res.json({
+    success: true,
+    profiles,
+    meta: {
+      count: profiles.length,
+      requestTime: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * POST /api/sensors/calibration
+ * Add a calibration profile version
+ */
+router.post('/calibration', validateCalibrationProfile, asyncHandler(async (req, res) => {
+  const profile = await createCalibrationProfile(req.body);
+  // Cached query results were calibrated with the previous profiles
+  invalidateQueryCache();
+  
+  res.status(201).json({
+    success: true,
+    message: 'Calibration profile created',
+    profile,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * DELETE /api/sensors/calibration/:profileId
+ * Delete a calibration profile version
+ */
+router.delete('/calibration/:profileId', asyncHandler(async (req, res) => {
+  const { profileId } = req.params;
+  
+  if (!await deleteCalibrationProfile(profileId)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Calibration profile not found',
+        profileId
+      }
+    });
+  }
+  invalidateQueryCache();
+  
+  res.json({
+    success: true,
+    message: 'Calibration profile deleted',
+    profileId,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/sensors/rollups
+ * Get rollup levels, the range each covers and running jobs
+ */
+router.get('/rollups', (req, res) => {
+  res.json({
+    success: true,
+    rollups: getRollupStatus(),
+    meta: {
+      requestTime: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * POST /api/sensors/rollups/backfill
+ * Queue rollups of historical data; runs in the background
+ */
+router.post('/rollups/backfill', validateRollupBackfill, (req, res) => {
+  const job = backfillRollups(req.body);
+  
+  if (job.levels.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Nothing to backfill: no closed periods between startTime and the end of the existing rollups',
+        startTime: req.body.startTime
+      }
+    });
+  }
+  
+  res.status(202).json({
+    success: true,
+    message: 'Rollup backfill queued',
+    job,
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * GET /api/sensors/export
  * Export sensor data as CSV
  */
 router.get('/export', validateTimeRange, asyncHandler(async (req, res) => {
-  const { startTime, endTime, windowPeriod, format = 'csv' } = req.query;
+  const { startTime, endTime, windowPeriod, raw, deviceId, location, tag, format = 'csv' } = req.query;
   
   if (format !== 'csv') {
     return res.status(400).json({
@@ -229,31 +680,14 @@ router.get('/export', validateTimeRange, asyncHandler(async (req, res) => {
     });
   }
   
-  const data = await getAllEnvironmentalData(startTime, endTime, windowPeriod);
-  
-  // Convert to CSV format
-  let csv = 'timestamp,temperature,humidity,pressure\n';
-  
-  // Create a map of timestamps to values
-  const timeValueMap = new Map();
-  
-  ['temperature', 'humidity', 'pressure'].forEach(field => {
-    if (data[field]) {
-      data[field].forEach(point => {
-        const timeKey = point.time;
-        if (!timeValueMap.has(timeKey)) {
-          timeValueMap.set(timeKey, {});
-        }
-        timeValueMap.get(timeKey)[field] = point.value;
-      });
-    }
-  });
+  // One row per window from a single pivoted query, so tag filters apply but groupBy does not
+  const fields = getSensorFieldKeys();
+  const rows = await getEnvironmentalTable(fields, startTime, endTime, windowPeriod, { raw, deviceId, location, tag });
   
-  // Sort by timestamp and create CSV rows
-  const sortedTimes = Array.from(timeValueMap.keys()).sort();
-  sortedTimes.forEach(time => {
-    const values = timeValueMap.get(time);
-    csv += `${time},${values.temperature || ''},${values.humidity || ''},${values.pressure || ''}\n`;
+  // Convert to CSV format, one column per sensor field
+  let csv = `timestamp,${fields.join(',')}\n`;
+  rows.forEach(row => {
+    csv += `${row.time},${fields.map(field => row[field] ?? '').join(',')}\n`;
   });
   
   res.setHeader('Content-Type', 'text/csv');
@@ -0,0 +1,306 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { ingestionEvents } from './ingestion.js';
+import { getEffectiveSensorConfig } from './sensorConfig.js';
+import { createRepository } from '../storage/index.js';
+import { generateId } from '../utils/ids.js';
+
+dotenv.config();
+
+const ALERT_CONFIG = {
+  historyLimit: parseInt(process.env.ALERT_HISTORY_LIMIT) || 1000
+};
+
+export const ALERT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved'
+};
+
+const alertStore = createRepository('alerts');
+
+// Readings are evaluated one at a time so a breach opens exactly one alert
+let evaluationQueue = Promise.resolve();
+let listening = false;
+
+/**
+ * Emits 'opened', 'acknowledged' and 'resolved' with the alert record
+ */
+export const alertEvents = new EventEmitter();
+
+/**
+ * Check a value against a threshold
+ * @param {number} value - Reading value
+ * @param {Object} threshold - { min, max }
+ * @returns {Object|null} Breach as { kind, limit } or null when within range
+ */
+export function checkThreshold(value, threshold = {}) {
+  if (threshold.max !== undefined && value > threshold.max) {
+    return { kind: 'above_max', limit: threshold.max };
+  }
+  if (threshold.min !== undefined && value < threshold.min) {
+    return { kind: 'below_min', limit: threshold.min };
+  }
+  return null;
+}
+
+/**
+ * Check whether an active breach has cleared
+ * The value has to move back inside the threshold by the hysteresis margin, so
+ * readings hovering around a limit don't open and resolve alerts over and over.
+ * @param {number} value - Reading value
+ * @param {string} kind - Breach kind of the active alert (above_max | below_min)
+ * @param {Object} threshold - { min, max, hysteresis }
+ * @returns {boolean} Whether the breach cleared
+ */
+export function isBreachCleared(value, kind, { min, max, hysteresis = 0 } = {}) {
+  if (kind === 'above_max') return max === undefined || value <= max - hysteresis;
+  return min === undefined || value >= min + hysteresis;
+}
+
+/**
+ * Move an alert to a new status
+ * @param {Object} alert - Alert record
+ * @param {string} status - New status
+ * @param {Object} details - Extra fields stored on the record
+ * @returns {Promise<Object>} Updated alert
+ */
+async function changeStatus(alert, status, details = {}) {
+  const timestamp = new Date().toISOString();
+  const { note, ...fields } = details;
+
+  const updated = await alertStore.update(alert.id, {
+    ...fields,
+    status,
+    updatedAt: timestamp,
+    history: [...alert.history, { status, timestamp, ...(note ? { note } : {}) }]
+  });
+
+  console.log(`🚨 Alert ${alert.id} (${alert.sensorType} ${alert.kind}) → ${status}`);
+  alertEvents.emit(status, updated);
+
+  return updated;
+}
+
+/**
+ * Drop the oldest resolved alerts beyond the history limit
+ * @returns {Promise<void>}
+ */
+async function pruneHistory() {
+  const resolved = await alertStore.list(alert => alert.status === ALERT_STATUS.RESOLVED);
+  const excess = resolved.length - ALERT_CONFIG.historyLimit;
+  if (excess <= 0) return;
+
+  resolved.sort((a, b) => new Date(a.resolvedAt) - new Date(b.resolvedAt));
+  for (const alert of resolved.slice(0, excess)) {
+    await alertStore.delete(alert.id);
+  }
+}
+
+/**
+ * Find the unresolved alert of a sensor on a device
+ * @param {string} sensorType - Sensor type
+ * @param {string|null} deviceId - Device ID
+ * @returns {Promise<Object|null>} Open or acknowledged alert
+ */
+async function findActiveAlert(sensorType, deviceId) {
+  const [alert] = await alertStore.list(record =>
+    record.status !== ALERT_STATUS.RESOLVED &&
+    record.sensorType === sensorType &&
+    record.deviceId === deviceId
+  );
+  return alert || null;
+}
+
+/**
+ * Open a new alert for a threshold breach
+ * @param {Object} reading - Reading that breached the threshold
+ * @param {string} sensorType - Sensor type
+ * @param {Object} breach - { kind, limit }
+ * @returns {Promise<Object>} Alert
+ */
+async function openAlert(reading, sensorType, breach) {
+  const value = reading.values[sensorType];
+  const timestamp = new Date().toISOString();
+
+  const alert = {
+    id: generateId('alert'),
+    sensorType,
+    deviceId: reading.deviceId,
+    location: reading.location,
+    kind: breach.kind,
+    threshold: breach.limit,
+    value,
+    peakValue: value,
+    status: ALERT_STATUS.OPEN,
+    openedAt: reading.timestamp.toISOString(),
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null,
+    updatedAt: timestamp,
+    history: [{ status: ALERT_STATUS.OPEN, timestamp }]
+  };
+
+  await alertStore.create(alert.id, alert);
+  console.log(`🚨 Alert ${alert.id}: ${sensorType} ${value} ${breach.kind === 'above_max' ? '>' : '<'} ${breach.limit} (${reading.deviceId || 'unknown device'})`);
+  alertEvents.emit('opened', alert);
+
+  return alert;
+}
+
+/**
+ * Check one sensor value of a reading against its configured threshold
+ * @param {Object} reading - Normalized reading
+ * @param {string} sensorType - Sensor type
+ * @returns {Promise<void>}
+ */
+async function evaluateSensor(reading, sensorType) {
+  const value = reading.values[sensorType];
+  const config = await getEffectiveSensorConfig(sensorType, reading.deviceId);
+  const active = await findActiveAlert(sensorType, reading.deviceId);
+
+  const threshold = config && config.enabled !== false ? config.threshold : null;
+  const breach = threshold ? checkThreshold(value, threshold) : null;
+
+  // Within range, but not yet past the hysteresis margin
+  if (active && !breach && threshold && !isBreachCleared(value, active.kind, threshold)) return;
+
+  if (active && (!breach || breach.kind !== active.kind)) {
+    await changeStatus(active, ALERT_STATUS.RESOLVED, {
+      resolvedAt: reading.timestamp.toISOString(),
+      value,
+      note: breach ? 'Breached the opposite threshold' : 'Value returned within threshold'
+    });
+    await pruneHistory();
+  }
+
+  if (!breach) return;
+
+  if (!active || breach.kind !== active.kind) {
+    await openAlert(reading, sensorType, breach);
+    return;
+  }
+
+  // Only persist values that make the breach worse
+  const worse = breach.kind === 'above_max' ? value > active.peakValue : value < active.peakValue;
+  if (worse) {
+    await alertStore.update(active.id, { value, peakValue: value, updatedAt: new Date().toISOString() });
+  }
+}
+
+/**
+ * Check a reading against the configured sensor thresholds
+ * @param {Object} reading - Normalized reading (see ingestion normalizeReading)
+ * @returns {Promise<void>}
+ */
+export function evaluateThresholds(reading) {
+  const evaluation = evaluationQueue.then(async () => {
+    for (const sensorType of Object.keys(reading.values)) {
+      await evaluateSensor(reading, sensorType);
+    }
+  });
+
+  evaluationQueue = evaluation.catch(() => {});
+  return evaluation;
+}
+
+/**
+ * List alerts, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - open | acknowledged | resolved | active (open or acknowledged)
+ * @param {string} filters.sensorType - Only alerts of this sensor type
+ * @param {string} filters.deviceId - Only alerts of this device
+ * @param {number} filters.limit - Maximum number of alerts
+ * @returns {Promise<Array<Object>>} Alerts
+ */
+export async function listAlerts({ status, sensorType, deviceId, limit = 100 } = {}) {
+  const alerts = await alertStore.list(alert =>
+    (!status || (status === 'active' ? alert.status !== ALERT_STATUS.RESOLVED : alert.status === status)) &&
+    (!sensorType || alert.sensorType === sensorType) &&
+    (!deviceId || alert.deviceId === deviceId)
+  );
+
+  return alerts
+    .sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Get an alert
+ * @param {string} alertId - Alert id
+ * @returns {Promise<Object|null>} Alert
+ */
+export async function getAlert(alertId) {
+  return alertStore.get(alertId);
+}
+
+/**
+ * Acknowledge an open alert
+ * @param {string} alertId - Alert id
+ * @param {Object} options - Acknowledgement details
+ * @param {string} options.acknowledgedBy - Who acknowledged the alert
+ * @param {string} options.note - Optional note
+ * @returns {Promise<Object|null>} Updated alert, or null when the alert is not open
+ */
+export async function acknowledgeAlert(alertId, { acknowledgedBy = null, note } = {}) {
+  const alert = await alertStore.get(alertId);
+  if (!alert || alert.status !== ALERT_STATUS.OPEN) return null;
+
+  return changeStatus(alert, ALERT_STATUS.ACKNOWLEDGED, {
+    acknowledgedAt: new Date().toISOString(),
+    acknowledgedBy,
+    note
+  });
+}
+
+/**
+ * Resolve an alert by hand
+ * A breach that is still ongoing opens a new alert on the next reading.
+ * @param {string} alertId - Alert id
+ * @param {Object} options - Resolution details
+ * @param {string} options.note - Optional note
+ * @returns {Promise<Object|null>} Updated alert, or null when the alert is already resolved
+ */
+export async function resolveAlert(alertId, { note } = {}) {
+  const alert = await alertStore.get(alertId);
+  if (!alert || alert.status === ALERT_STATUS.RESOLVED) return null;
+
+  const resolved = await changeStatus(alert, ALERT_STATUS.RESOLVED, {
+    resolvedAt: new Date().toISOString(),
+    note: note || 'Resolved manually'
+  });
+  await pruneHistory();
+
+  return resolved;
+}
+
+/**
+ * Handle a reading emitted by the ingestion pipeline
+ * @param {Object} reading - Normalized reading
+ */
+function handleReading(reading) {
+  evaluateThresholds(reading).catch(error => console.error('❌ Threshold evaluation failed:', error.message));
+}
+
+/**
+ * Load stored alerts and start checking ingested readings against thresholds
+ * @returns {Promise<void>}
+ */
+export async function startAlerting() {
+  await alertStore.init();
+  if (listening) return;
+
+  ingestionEvents.on('reading', handleReading);
+  listening = true;
+
+  const active = await listAlerts({ status: 'active', limit: Infinity });
+  console.log(`🚨 Threshold alerting started (${active.length} active alerts)`);
+}
+
+/**
+ * Stop checking readings against thresholds
+ */
+export function stopAlerting() {
+  ingestionEvents.off('reading', handleReading);
+  listening = false;
+}
@@ -0,0 +1,283 @@
+import { getAllEnvironmentalData } from './influxdb.js';
+import { getSensorField, getSensorFieldKeys } from './sensorFields.js';
+import { fluxDurationToMs } from './fluxQuery.js';
+
+// Detection settings used when a query does not set them
+export const DETECTION_DEFAULTS = {
+  method: 'mad',
+  // Modified z-score cut-off (Iglewicz & Hoaglin) and plain z-score cut-off
+  threshold: { mad: 3.5, zscore: 3 },
+  // Neighbouring points a point is compared with, split around it
+  window: 20,
+  // Shortest run of unchanged values reported as a flatline
+  flatlineDuration: '30m'
+};
+
+// Fewest neighbours a spike test needs to say anything, and fewest on each
+// side (one-sided windows mistake the ends of a trend for spikes)
+const MIN_NEIGHBOURS = 5;
+const MIN_NEIGHBOURS_PER_SIDE = 2;
+
+// Values closer than this count as unchanged (averaging adds float noise)
+const FLATLINE_TOLERANCE = 1e-9;
+
+// Fewest points in a flatline run
+const MIN_FLATLINE_POINTS = 3;
+
+// Scale factor making the MAD a consistent estimate of the standard deviation
+const MAD_SCALE = 0.6745;
+
+/**
+ * Round a value for messages
+ * @param {number} value - Value
+ * @returns {number} Value with at most two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Median of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Score a value against its neighbours
+ * @param {number} value - Value
+ * @param {Array<number>} neighbours - Values around it
+ * @param {string} method - 'mad' (modified z-score) or 'zscore'
+ * @returns {number|null} Score, null when the neighbours do not vary
+ */
+function score(value, neighbours, method) {
+  if (method === 'zscore') {
+    const mean = neighbours.reduce((sum, v) => sum + v, 0) / neighbours.length;
+    const std = Math.sqrt(neighbours.reduce((sum, v) => sum + (v - mean) ** 2, 0) / neighbours.length);
+    return std > 0 ? (value - mean) / std : null;
+  }
+
+  const center = median(neighbours);
+  const mad = median(neighbours.map(v => Math.abs(v - center)));
+  return mad > 0 ? (MAD_SCALE * (value - center)) / mad : null;
+}
+
+/**
+ * Flag values outside the field's valid range
+ * Window minimum and maximum are checked when present, so a single
+ * impossible reading is caught even when the window mean looks normal.
+ * @param {Array<Object>} points - Points of { time, value, aggregates? }
+ * @param {Object} field - Sensor field (see sensorFields.js)
+ * @returns {Array<Object>} Anomalies
+ */
+export function detectOutOfRange(points, field) {
+  const { min, max } = field.range;
+  if (min === null && max === null) return [];
+
+  const anomalies = [];
+  points.forEach(point => {
+    const low = point.aggregates?.min ?? point.value;
+    const high = point.aggregates?.max ?? point.value;
+
+    let value = null;
+    if (min !== null && low < min) value = low;
+    if (max !== null && high > max) value = high;
+    if (value === null) return;
+
+    anomalies.push({
+      type: 'out_of_range',
+      time: point.time,
+      value,
+      message: `${round(value)} ${field.unit} is outside the valid range ${min} to ${max} ${field.unit}`,
+      details: { min, max }
+    });
+  });
+  return anomalies;
+}
+
+/**
+ * Flag runs of unchanged values, e.g. a stuck sensor
+ * @param {Array<Object>} points - Points sorted by time
+ * @param {number} minDurationMs - Shortest run reported
+ * @returns {Array<Object>} Anomalies spanning time to endTime
+ */
+export function detectFlatlines(points, minDurationMs) {
+  const anomalies = [];
+  let start = 0;
+
+  const closeRun = (end) => {
+    const count = end - start;
+    if (count < MIN_FLATLINE_POINTS) return;
+
+    const from = points[start];
+    const to = points[end - 1];
+    const durationMs = new Date(to.time) - new Date(from.time);
+    if (durationMs < minDurationMs) return;
+
+    anomalies.push({
+      type: 'flatline',
+      time: from.time,
+      endTime: to.time,
+      value: from.value,
+      message: `Unchanged at ${round(from.value)} for ${Math.round(durationMs / 60000)} minutes`,
+      details: { points: count, durationMs }
+    });
+  };
+
+  for (let index = 1; index <= points.length; index++) {
+    if (index < points.length && Math.abs(points[index].value - points[start].value) <= FLATLINE_TOLERANCE) continue;
+    closeRun(index);
+    start = index;
+  }
+
+  return anomalies;
+}
+
+/**
+ * Flag outliers against a rolling window of neighbouring points
+ * @param {Array<Object>} points - Points sorted by time
+ * @param {Object} options - Detection options
+ * @param {string} options.method - 'mad' or 'zscore'
+ * @param {number} options.threshold - Score above which a point is flagged
+ * @param {number} options.window - Neighbouring points, half before and half after
+ * @returns {Array<Object>} Anomalies
+ */
+export function detectSpikes(points, { method, threshold, window }) {
+  const half = Math.max(1, Math.floor(window / 2));
+  const anomalies = [];
+
+  points.forEach((point, index) => {
+    const before = points.slice(Math.max(0, index - half), index);
+    const after = points.slice(index + 1, index + 1 + half);
+    if (Math.min(before.length, after.length) < MIN_NEIGHBOURS_PER_SIDE) return;
+
+    const neighbours = [...before, ...after].map(neighbour => neighbour.value);
+    if (neighbours.length < MIN_NEIGHBOURS) return;
+
+    const pointScore = score(point.value, neighbours, method);
+    if (pointScore === null || Math.abs(pointScore) <= threshold) return;
+
+    anomalies.push({
+      type: 'spike',
+      time: point.time,
+      value: point.value,
+      message: `${round(point.value)} deviates from its neighbours (${method} score ${pointScore.toFixed(1)})`,
+      details: { method, score: pointScore, threshold }
+    });
+  });
+
+  return anomalies;
+}
+
+/**
+ * Flag changes faster than the field's maxRate
+ * @param {Array<Object>} points - Points sorted by time
+ * @param {Object} field - Sensor field (see sensorFields.js)
+ * @returns {Array<Object>} Anomalies, at the later point of each change
+ */
+export function detectRateOfChange(points, field) {
+  if (!field.maxRate) return [];
+
+  const anomalies = [];
+  for (let index = 1; index < points.length; index++) {
+    const previous = points[index - 1];
+    const point = points[index];
+    const minutes = (new Date(point.time) - new Date(previous.time)) / 60000;
+    if (minutes <= 0) continue;
+
+    const rate = (point.value - previous.value) / minutes;
+    if (Math.abs(rate) <= field.maxRate) continue;
+
+    anomalies.push({
+      type: 'rate_of_change',
+      time: point.time,
+      value: point.value,
+      message: `Changed ${rate.toFixed(2)} ${field.unit}/min (limit ${field.maxRate})`,
+      details: { rate, maxRate: field.maxRate, previous: previous.value }
+    });
+  }
+  return anomalies;
+}
+
+/**
+ * Run every check on one series
+ * @param {Array<Object>} points - Points sorted by time
+ * @param {Object} field - Sensor field
+ * @param {Object} options - Detection options (see DETECTION_DEFAULTS)
+ * @returns {Array<Object>} Anomalies sorted by time
+ */
+export function detectAnomalies(points, field, options) {
+  return [
+    ...detectOutOfRange(points, field),
+    ...detectFlatlines(points, fluxDurationToMs(options.flatlineDuration)),
+    ...detectSpikes(points, options),
+    ...detectRateOfChange(points, field)
+  ].sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+/**
+ * Find anomalies in stored series
+ * Each field is read as window means with their minimum and maximum.
+ * @param {Object} query - Query
+ * @param {Array<string>} query.fields - Sensor field keys (default: all)
+ * @param {string} query.startTime - Start time
+ * @param {string} query.endTime - End time
+ * @param {string} query.windowPeriod - Aggregation window
+ * @param {string} query.method - 'mad' or 'zscore'
+ * @param {number} query.threshold - Score cut-off (default depends on method)
+ * @param {number} query.window - Neighbouring points for spike detection
+ * @param {string} query.flatlineDuration - Shortest flatline reported
+ * @param {Object} query.options - Series options (raw, tag filters, groupBy)
+ * @returns {Promise<Object>} { anomalies, summary } with counts per field and type
+ */
+export async function findAnomalies({
+  fields = getSensorFieldKeys(),
+  startTime,
+  endTime,
+  windowPeriod,
+  method = DETECTION_DEFAULTS.method,
+  threshold,
+  window = DETECTION_DEFAULTS.window,
+  flatlineDuration = DETECTION_DEFAULTS.flatlineDuration,
+  options = {}
+}) {
+  const detection = {
+    method,
+    threshold: threshold ?? DETECTION_DEFAULTS.threshold[method],
+    window,
+    flatlineDuration
+  };
+
+  const data = await getAllEnvironmentalData(startTime, endTime, windowPeriod, {
+    ...options,
+    aggregate: ['mean', 'min', 'max']
+  });
+
+  const anomalies = [];
+  const summary = {};
+  fields.forEach(key => {
+    const field = getSensorField(key);
+    // Ungrouped data is a single series; grouped data one per tag value
+    const series = options.groupBy ? data[key] || {} : { all: data[key] || [] };
+
+    summary[key] = { total: 0, out_of_range: 0, flatline: 0, spike: 0, rate_of_change: 0 };
+    Object.entries(series).forEach(([group, points]) => {
+      detectAnomalies(points, field, detection).forEach(anomaly => {
+        anomalies.push({
+          field: key,
+          ...(options.groupBy ? { group } : {}),
+          ...anomaly
+        });
+        summary[key].total++;
+        summary[key][anomaly.type]++;
+      });
+    });
+  });
+
+  anomalies.sort((a, b) => new Date(a.time) - new Date(b.time));
+  return { anomalies, summary, detection };
+}
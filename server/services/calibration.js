@@ -0,0 +1,145 @@
+import { createRepository } from '../storage/index.js';
+import { generateId } from '../utils/ids.js';
+import { flux, fluxDateTime, fluxFloat, fluxString } from './fluxQuery.js';
+import { getSensorField } from './sensorFields.js';
+
+const calibrationStore = createRepository('calibrations');
+
+// Profiles sorted newest effectiveFrom first, kept in sync with the store so
+// calibration can be applied synchronously on every reading
+let profiles = [];
+
+/**
+ * Reload the sorted profile cache from the store
+ * @returns {Promise<void>}
+ */
+async function refreshProfiles() {
+  const stored = await calibrationStore.list();
+  profiles = stored.sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom));
+}
+
+/**
+ * Load stored calibration profiles
+ * @returns {Promise<void>}
+ */
+export async function initializeCalibration() {
+  await calibrationStore.init();
+  await refreshProfiles();
+  console.log(`🎯 Loaded ${profiles.length} calibration profiles`);
+}
+
+/**
+ * List calibration profiles, newest effectiveFrom first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.sensorType - Only profiles of this sensor type
+ * @param {string} filters.deviceId - Only profiles of this device
+ * @returns {Array<Object>} Profiles
+ */
+export function listCalibrationProfiles({ sensorType, deviceId } = {}) {
+  return profiles.filter(profile =>
+    (!sensorType || profile.sensorType === sensorType) &&
+    (!deviceId || profile.deviceId === deviceId)
+  );
+}
+
+/**
+ * Add a new calibration profile version
+ * Earlier versions stay in place for data recorded before effectiveFrom.
+ * @param {Object} definition - Validated profile (see schemas.calibrationProfile)
+ * @returns {Promise<Object>} Stored profile
+ */
+export async function createCalibrationProfile(definition) {
+  const deviceId = definition.deviceId || null;
+  const previous = profiles.filter(profile =>
+    profile.sensorType === definition.sensorType && profile.deviceId === deviceId
+  );
+
+  const profile = {
+    ...definition,
+    id: generateId('cal'),
+    deviceId,
+    effectiveFrom: new Date(definition.effectiveFrom || Date.now()).toISOString(),
+    version: previous.reduce((max, existing) => Math.max(max, existing.version), 0) + 1,
+    createdAt: new Date().toISOString()
+  };
+
+  await calibrationStore.create(profile.id, profile);
+  await refreshProfiles();
+
+  console.log(`🎯 Calibration v${profile.version} for ${profile.sensorType} (${deviceId || 'all devices'}) effective from ${profile.effectiveFrom}`);
+  return profile;
+}
+
+/**
+ * Delete a calibration profile version
+ * @param {string} profileId - Profile id
+ * @returns {Promise<boolean>} Whether a profile was deleted
+ */
+export async function deleteCalibrationProfile(profileId) {
+  const deleted = await calibrationStore.delete(profileId);
+  if (deleted) await refreshProfiles();
+  return deleted;
+}
+
+/**
+ * Find the profile in effect for a sensor of a device at a point in time
+ * Device profiles take precedence; otherwise the all-devices profile applies.
+ * @param {string} sensorType - Sensor type
+ * @param {string|null} deviceId - Device ID
+ * @param {Date|string} time - Reading time
+ * @returns {Object|null} Profile
+ */
+export function findCalibrationProfile(sensorType, deviceId, time) {
+  const at = new Date(time);
+  const inEffect = (profile) => profile.sensorType === sensorType && new Date(profile.effectiveFrom) <= at;
+
+  return (deviceId && profiles.find(profile => inEffect(profile) && profile.deviceId === deviceId)) ||
+    profiles.find(profile => inEffect(profile) && profile.deviceId === null) ||
+    null;
+}
+
+/**
+ * Calibrate a raw value: value * multiplier + offset
+ * @param {number} value - Raw value
+ * @param {string} sensorType - Sensor type
+ * @param {string|null} deviceId - Device ID
+ * @param {Date|string} time - Reading time
+ * @returns {number} Calibrated value
+ */
+export function calibrateValue(value, sensorType, deviceId, time) {
+  if (typeof value !== 'number') return value;
+
+  const profile = findCalibrationProfile(sensorType, deviceId, time);
+  return profile ? value * profile.multiplier + profile.offset : value;
+}
+
+/**
+ * Build a Flux map() step applying the calibration profiles of sensor types
+ * Calibration happens per raw point, before aggregation, so averages over
+ * several devices or profile versions stay correct.
+ * @param {string|Array<string>} sensorTypes - Sensor type(s) in the query
+ * @returns {Object|null} Parameterized Flux pipeline step, null when no profiles exist
+ */
+export function buildCalibrationFlux(sensorTypes) {
+  const types = [].concat(sensorTypes);
+  const sensorProfiles = profiles.filter(profile => types.includes(profile.sensorType));
+  if (sensorProfiles.length === 0) return null;
+
+  // Device profiles first so they win over all-devices profiles
+  const ordered = [
+    ...sensorProfiles.filter(profile => profile.deviceId !== null),
+    ...sensorProfiles.filter(profile => profile.deviceId === null)
+  ];
+
+  // Nested if/else, built from the last (fallback) branch outwards
+  const value = ordered.reduceRight((otherwise, profile) => {
+    const influxField = getSensorField(profile.sensorType)?.influxField || profile.sensorType;
+    const since = fluxDateTime(new Date(profile.effectiveFrom).toISOString());
+    const condition = profile.deviceId
+      ? flux`r._field == ${fluxString(influxField)} and exists r.deviceId and r.deviceId == ${fluxString(profile.deviceId)} and r._time >= ${since}`
+      : flux`r._field == ${fluxString(influxField)} and r._time >= ${since}`;
+    return flux`if ${condition} then r._value * (${fluxFloat(profile.multiplier)}) + (${fluxFloat(profile.offset)}) else ${otherwise}`;
+  }, flux`r._value`);
+
+  return flux`|> map(fn: (r) => ({ r with _value: ${value} }))`;
+}
@@ -0,0 +1,548 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import {
+  TOPICS,
+  subscribeToDeviceTopic,
+  getDeviceTopic,
+  sendDeviceCommand,
+  sendDeviceConfig,
+  isConnected as isMQTTConnected
+} from './mqtt.js';
+import { deviceEvents, getDevice } from './deviceRegistry.js';
+import { schemas } from '../middleware/validation.js';
+import { createRepository } from '../storage/index.js';
+import { generateId } from '../utils/ids.js';
+
+dotenv.config();
+
+const COMMAND_CONFIG = {
+  defaultTimeout: 5000,
+  defaultMaxAttempts: 3,
+  defaultTtl: parseInt(process.env.COMMAND_QUEUE_TTL_MS) || 24 * 60 * 60 * 1000,
+  expiryCheckInterval: 60 * 1000,
+  historyLimit: parseInt(process.env.COMMAND_HISTORY_LIMIT) || 100
+};
+
+export const COMMAND_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  ACKNOWLEDGED: 'acknowledged',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+const TERMINAL_STATUSES = [
+  COMMAND_STATUS.COMPLETED,
+  COMMAND_STATUS.FAILED,
+  COMMAND_STATUS.TIMED_OUT,
+  COMMAND_STATUS.EXPIRED,
+  COMMAND_STATUS.CANCELLED
+];
+
+// Allowed lifecycle transitions (sent → queued is a retry)
+const TRANSITIONS = {
+  [COMMAND_STATUS.QUEUED]: [COMMAND_STATUS.SENT, COMMAND_STATUS.FAILED, COMMAND_STATUS.EXPIRED, COMMAND_STATUS.CANCELLED],
+  [COMMAND_STATUS.SENT]: [COMMAND_STATUS.QUEUED, COMMAND_STATUS.ACKNOWLEDGED, COMMAND_STATUS.COMPLETED, COMMAND_STATUS.FAILED, COMMAND_STATUS.TIMED_OUT],
+  [COMMAND_STATUS.ACKNOWLEDGED]: [COMMAND_STATUS.COMPLETED, COMMAND_STATUS.FAILED, COMMAND_STATUS.TIMED_OUT]
+};
+
+// Outbox delivery order
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+
+// Command record schema version and migrations for stored commands
+const COMMAND_SCHEMA_VERSION = 2;
+
+const commandMigrations = [
+  {
+    version: 2,
+    description: 'add delivery attempts and queue expiry to commands',
+    up: (record) => ({
+      ...record,
+      attempts: record.attempts ?? (record.sentAt ? 1 : 0),
+      maxAttempts: record.maxAttempts ?? COMMAND_CONFIG.defaultMaxAttempts,
+      expiresAt: record.expiresAt ?? null
+    })
+  }
+];
+
+const commandStore = createRepository('commands', {
+  version: COMMAND_SCHEMA_VERSION,
+  migrations: commandMigrations
+});
+const timeoutTimers = new Map();
+const flushingDevices = new Set();
+let expiryTimer = null;
+
+// Parameters that must reach the device but never be persisted (e.g. WiFi
+// passwords); kept until the command finishes, so retries send them too
+const transientParameters = new Map();
+
+/**
+ * Emits 'statusChange' whenever a command moves through its lifecycle
+ */
+export const commandEvents = new EventEmitter();
+
+/**
+ * Check whether a command has reached a final state
+ * @param {Object} record - Command record
+ * @returns {boolean} Whether the command is finished
+ */
+export function isTerminal(record) {
+  return TERMINAL_STATUSES.includes(record.status);
+}
+
+/**
+ * Move a command to a new status
+ * @param {string} commandId - Command id
+ * @param {string} status - New status
+ * @param {Object} details - Extra fields stored on the record (result, error)
+ * @returns {Promise<Object|null>} Updated record or null when the transition is not allowed
+ */
+async function transition(commandId, status, details = {}) {
+  const record = await commandStore.get(commandId);
+  if (!record) return null;
+
+  if (!(TRANSITIONS[record.status] || []).includes(status)) {
+    console.warn(`⚠️ Ignoring command ${commandId} transition ${record.status} → ${status}`);
+    return null;
+  }
+
+  const timestamp = new Date().toISOString();
+  const updated = await commandStore.update(commandId, {
+    ...details,
+    status,
+    updatedAt: timestamp,
+    history: [...record.history, { status, timestamp, ...details }]
+  });
+
+  if (TERMINAL_STATUSES.includes(status)) {
+    clearTimeout(timeoutTimers.get(commandId));
+    timeoutTimers.delete(commandId);
+    transientParameters.delete(commandId);
+  }
+
+  console.log(`📋 Command ${commandId} (${record.command}) → ${status}`);
+  commandEvents.emit('statusChange', { command: updated, previousStatus: record.status, status });
+
+  return updated;
+}
+
+/**
+ * Check whether a command's queue lifetime has passed
+ * @param {Object} record - Command record
+ * @param {Date} now - Reference time
+ * @returns {boolean} Whether the command expired
+ */
+function isExpired(record, now = new Date()) {
+  return record.expiresAt !== null && new Date(record.expiresAt) <= now;
+}
+
+/**
+ * Handle a sent command that got no final reply in time
+ * Unacknowledged commands go back to the outbox while attempts remain.
+ * @param {string} commandId - Command id
+ * @returns {Promise<void>}
+ */
+async function handleTimeout(commandId) {
+  const record = await commandStore.get(commandId);
+  if (!record || isTerminal(record)) return;
+
+  const canRetry = record.status === COMMAND_STATUS.SENT &&
+    record.attempts < record.maxAttempts &&
+    !isExpired(record);
+
+  if (!canRetry) {
+    await transition(commandId, COMMAND_STATUS.TIMED_OUT, {
+      error: `No response from device within ${record.timeout}ms`
+    });
+    return;
+  }
+
+  const requeued = await transition(commandId, COMMAND_STATUS.QUEUED, {
+    error: `No response within ${record.timeout}ms, attempt ${record.attempts} of ${record.maxAttempts}`
+  });
+
+  if (requeued && await isDeviceReachable(record.deviceId)) {
+    await deliverCommand(requeued);
+  }
+}
+
+/**
+ * Start the timeout for a command that has been sent
+ * @param {Object} record - Command record
+ */
+function scheduleTimeout(record) {
+  const deadline = new Date(record.sentAt).getTime() + record.timeout;
+  const delay = Math.max(0, deadline - Date.now());
+
+  clearTimeout(timeoutTimers.get(record.id));
+  timeoutTimers.set(record.id, setTimeout(() => {
+    timeoutTimers.delete(record.id);
+    handleTimeout(record.id).catch(error => console.error('❌ Failed to time out command:', error.message));
+  }, delay));
+}
+
+/**
+ * Check whether a device is expected to receive a command published now
+ * Sleeping and offline devices get their commands on their next heartbeat.
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<boolean>} Whether to deliver immediately
+ */
+async function isDeviceReachable(deviceId) {
+  if (!isMQTTConnected()) return false;
+
+  const device = await getDevice(deviceId);
+  // Unregistered devices are addressed directly, as before
+  if (!device) return true;
+
+  if (device.configuration?.deepSleepEnabled) return false;
+  return device.status !== 'offline';
+}
+
+/**
+ * Drop the oldest finished commands of a device beyond the history limit
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<void>}
+ */
+async function pruneHistory(deviceId) {
+  const finished = (await commandStore.list(record => record.deviceId === deviceId && isTerminal(record)))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  for (const record of finished.slice(COMMAND_CONFIG.historyLimit)) {
+    await commandStore.delete(record.id);
+  }
+}
+
+/**
+ * Create a command record in the queued state
+ * @param {string} deviceId - Target device
+ * @param {Object} command - Command data
+ * @param {string} command.type - 'command' or 'config'
+ * @param {string} command.command - Command name (or config type)
+ * @param {Object} command.parameters - Command parameters (or config settings)
+ * @param {string} command.priority - low | normal | high
+ * @param {number} command.timeout - Milliseconds to wait for completion once sent
+ * @param {number} command.maxAttempts - Delivery attempts before giving up
+ * @param {number} command.ttl - Milliseconds the command may wait in the outbox
+ * @param {Object} command.transientParameters - Parameters kept in memory only until the command finishes
+ * @returns {Promise<Object>} Command record
+ */
+export async function createCommand(deviceId, {
+  type = 'command',
+  command,
+  parameters = {},
+  priority = 'normal',
+  timeout = COMMAND_CONFIG.defaultTimeout,
+  maxAttempts = COMMAND_CONFIG.defaultMaxAttempts,
+  ttl = COMMAND_CONFIG.defaultTtl,
+  applyImmediately,
+  transientParameters: secrets
+}) {
+  const now = new Date();
+  const timestamp = now.toISOString();
+  const record = {
+    id: generateId(type === 'config' ? 'cfg' : 'cmd'),
+    type,
+    deviceId,
+    command,
+    parameters,
+    priority,
+    timeout,
+    status: COMMAND_STATUS.QUEUED,
+    attempts: 0,
+    maxAttempts,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    expiresAt: new Date(now.getTime() + ttl).toISOString(),
+    sentAt: null,
+    result: null,
+    error: null,
+    history: [{ status: COMMAND_STATUS.QUEUED, timestamp }]
+  };
+
+  if (applyImmediately !== undefined) {
+    record.applyImmediately = applyImmediately;
+  }
+
+  if (secrets) {
+    record.redactedParameters = Object.keys(secrets);
+    transientParameters.set(record.id, secrets);
+  }
+
+  await commandStore.create(record.id, record);
+  await pruneHistory(deviceId);
+
+  return record;
+}
+
+/**
+ * Publish a queued command to its device and start its timeout
+ * Publish failures leave the command queued while attempts remain.
+ * @param {Object} queued - Command record in the 'queued' state
+ * @returns {Promise<Object|null>} Updated record ('sent', 'queued' or 'failed'),
+ *   or null when the command is no longer queued
+ */
+export async function deliverCommand(queued) {
+  // The caller's copy may be stale, e.g. cancelled while a queue was flushed
+  const record = await commandStore.get(queued.id);
+  if (record?.status !== COMMAND_STATUS.QUEUED) return null;
+
+  if (isExpired(record)) {
+    return transition(record.id, COMMAND_STATUS.EXPIRED, { error: 'Command expired before delivery' });
+  }
+
+  const attempts = record.attempts + 1;
+  const message = {
+    id: record.id,
+    deviceId: record.deviceId,
+    timestamp: new Date().toISOString(),
+    replyTopic: getDeviceTopic(TOPICS.COMMAND_REPLY, record.deviceId)
+  };
+
+  // Secrets are lost on restart; never publish the payload without them
+  const secrets = transientParameters.get(record.id);
+  if (record.redactedParameters?.length > 0 && !secrets) {
+    return transition(record.id, COMMAND_STATUS.FAILED, {
+      error: `Parameters ${record.redactedParameters.join(', ')} are no longer available, send the command again`
+    });
+  }
+
+  const parameters = { ...record.parameters, ...secrets };
+
+  try {
+    if (record.type === 'config') {
+      await sendDeviceConfig({
+        ...message,
+        configType: record.command,
+        settings: parameters,
+        applyImmediately: record.applyImmediately ?? true
+      });
+    } else {
+      await sendDeviceCommand({
+        ...message,
+        command: record.command,
+        parameters,
+        priority: record.priority
+      });
+    }
+  } catch (error) {
+    if (attempts < record.maxAttempts) {
+      console.warn(`⚠️ Command ${record.id} delivery attempt ${attempts} failed, keeping it queued:`, error.message);
+      return commandStore.update(record.id, { attempts, error: error.message, updatedAt: new Date().toISOString() });
+    }
+
+    return transition(record.id, COMMAND_STATUS.FAILED, { attempts, error: error.message });
+  }
+
+  const sent = await transition(record.id, COMMAND_STATUS.SENT, { attempts, sentAt: new Date().toISOString() });
+  // Cancelled or expired while it was being published
+  if (!sent) return commandStore.get(record.id);
+
+  scheduleTimeout(sent);
+  return sent;
+}
+
+/**
+ * Create a command and send it now, or keep it in the device's outbox until
+ * the device is reachable
+ * @param {string} deviceId - Target device
+ * @param {Object} command - Command data (see createCommand)
+ * @returns {Promise<Object>} Command record ('sent', 'queued' or 'failed')
+ */
+export async function dispatchCommand(deviceId, command) {
+  const record = await createCommand(deviceId, command);
+
+  if (!await isDeviceReachable(deviceId)) {
+    console.log(`📥 Command ${record.id} (${record.command}) queued for ${deviceId}`);
+    return record;
+  }
+
+  return (await deliverCommand(record)) ?? commandStore.get(record.id);
+}
+
+/**
+ * Get the queued commands of a device in delivery order
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Array<Object>>} Queued command records
+ */
+export async function getDeviceQueue(deviceId) {
+  const queued = await commandStore.list(record =>
+    record.deviceId === deviceId && record.status === COMMAND_STATUS.QUEUED
+  );
+
+  return queued.sort((a, b) =>
+    (PRIORITY_ORDER[a.priority] ?? PRIORITY_ORDER.normal) - (PRIORITY_ORDER[b.priority] ?? PRIORITY_ORDER.normal) ||
+    new Date(a.createdAt) - new Date(b.createdAt)
+  );
+}
+
+/**
+ * Deliver all queued commands of a device, highest priority first
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Array<Object>>} Records after the delivery attempt
+ */
+export async function flushDeviceQueue(deviceId) {
+  if (flushingDevices.has(deviceId) || !isMQTTConnected()) return [];
+
+  flushingDevices.add(deviceId);
+  try {
+    const delivered = [];
+    for (const record of await getDeviceQueue(deviceId)) {
+      const result = await deliverCommand(record);
+      if (result) delivered.push(result);
+    }
+
+    if (delivered.length > 0) {
+      console.log(`📤 Delivered ${delivered.length} queued commands to ${deviceId}`);
+    }
+    return delivered;
+  } finally {
+    flushingDevices.delete(deviceId);
+  }
+}
+
+/**
+ * Cancel a queued command
+ * @param {string} deviceId - Device ID
+ * @param {string} commandId - Command id
+ * @returns {Promise<Object|null>} Cancelled record, or null when the command is not queued
+ */
+export async function cancelQueuedCommand(deviceId, commandId) {
+  const record = await getDeviceCommand(deviceId, commandId);
+  if (!record || record.status !== COMMAND_STATUS.QUEUED) return null;
+
+  return transition(commandId, COMMAND_STATUS.CANCELLED);
+}
+
+/**
+ * Expire queued commands whose lifetime has passed
+ * @returns {Promise<number>} Number of expired commands
+ */
+export async function expireQueuedCommands() {
+  const now = new Date();
+  const expired = await commandStore.list(record =>
+    record.status === COMMAND_STATUS.QUEUED && isExpired(record, now)
+  );
+
+  for (const record of expired) {
+    await transition(record.id, COMMAND_STATUS.EXPIRED, { error: 'Command expired before delivery' });
+  }
+
+  return expired.length;
+}
+
+/**
+ * Handle a device reply on the command reply topic
+ * @param {Object} payload - Parsed MQTT payload
+ * @returns {Promise<Object|null>} Updated command record
+ */
+export async function handleCommandReply(payload) {
+  const { error, value } = schemas.commandReply.validate({
+    ...payload,
+    id: payload?.id ?? payload?.commandId
+  }, { stripUnknown: true });
+
+  if (error) {
+    console.warn('⚠️ Invalid command reply:', error.message);
+    return null;
+  }
+
+  const record = await commandStore.get(value.id);
+  if (!record) {
+    console.warn(`⚠️ Reply for unknown command ${value.id}`);
+    return null;
+  }
+
+  if (value.deviceId && value.deviceId !== record.deviceId) {
+    console.warn(`⚠️ Reply for command ${value.id} from unexpected device ${value.deviceId}`);
+    return null;
+  }
+
+  const details = {};
+  if (value.result !== undefined) details.result = value.result;
+  if (value.error) details.error = value.error;
+
+  return transition(record.id, value.status, details);
+}
+
+/**
+ * Get commands sent to a device, newest first
+ * @param {string} deviceId - Device ID
+ * @param {Object} options - Filters
+ * @param {string} options.status - Only commands in this status
+ * @param {number} options.limit - Maximum number of commands
+ * @returns {Promise<Array<Object>>} Command records
+ */
+export async function getDeviceCommands(deviceId, { status, limit = 50 } = {}) {
+  const commands = await commandStore.list(record =>
+    record.deviceId === deviceId && (!status || record.status === status)
+  );
+
+  return commands
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Get a single command of a device
+ * @param {string} deviceId - Device ID
+ * @param {string} commandId - Command id
+ * @returns {Promise<Object|null>} Command record
+ */
+export async function getDeviceCommand(deviceId, commandId) {
+  const record = await commandStore.get(commandId);
+  return record && record.deviceId === deviceId ? record : null;
+}
+
+/**
+ * Load stored commands, resume timeouts, start the outbox expiry sweep and
+ * deliver queued commands when devices check in
+ * @returns {Promise<void>}
+ */
+export async function initializeCommandTracking() {
+  await commandStore.init();
+
+  // Commands that were in flight when the server stopped
+  const inFlight = await commandStore.list(record =>
+    record.status === COMMAND_STATUS.SENT || record.status === COMMAND_STATUS.ACKNOWLEDGED
+  );
+  inFlight.forEach(scheduleTimeout);
+
+  const logFailure = (error) => console.error('❌ Failed to deliver queued commands:', error.message);
+
+  // A heartbeat means the device is awake and listening right now
+  deviceEvents.on('heartbeat', ({ deviceId }) => flushDeviceQueue(deviceId).catch(logFailure));
+  deviceEvents.on('statusChange', ({ deviceId, status }) => {
+    if (status === 'online') flushDeviceQueue(deviceId).catch(logFailure);
+  });
+
+  if (!expiryTimer) {
+    expiryTimer = setInterval(() => expireQueuedCommands().catch(logFailure), COMMAND_CONFIG.expiryCheckInterval);
+  }
+
+  const queued = await commandStore.list(record => record.status === COMMAND_STATUS.QUEUED);
+  console.log(`📋 Command tracking started (${inFlight.length} in flight, ${queued.length} queued)`);
+}
+
+/**
+ * Listen for device replies on the command reply topic
+ * @returns {Promise<void>}
+ */
+export async function startCommandReplies() {
+  await subscribeToDeviceTopic(TOPICS.COMMAND_REPLY, (payload) => {
+    handleCommandReply(payload).catch(error => console.error('❌ Failed to process command reply:', error.message));
+  });
+}
+
+/**
+ * Stop the outbox expiry sweep and pending timeouts
+ */
+export function stopCommandTracking() {
+  clearInterval(expiryTimer);
+  expiryTimer = null;
+  timeoutTimers.forEach(timer => clearTimeout(timer));
+  timeoutTimers.clear();
+}
@@ -0,0 +1,166 @@
+import dotenv from 'dotenv';
+import { getSeriesTimeline } from './influxdb.js';
+import { getSensorFieldKeys } from './sensorFields.js';
+import { listSensorConfigs } from './sensorConfig.js';
+import { listDevices } from './deviceRegistry.js';
+import { fluxDurationToMs, resolveFluxTime } from './fluxQuery.js';
+
+dotenv.config();
+
+// Sample interval assumed for sensors without a stored config (seconds);
+// matches the sampleRate default of sensor configs
+const DEFAULT_SAMPLE_INTERVAL = parseInt(process.env.EXPECTED_SAMPLE_INTERVAL_S) || 60;
+
+// Intervals longer than expected interval * tolerance count as gaps, so
+// ordinary jitter between readings is not reported
+export const DEFAULT_GAP_TOLERANCE = 1.5;
+
+/**
+ * Build a lookup of the expected sample interval per sensor and device
+ * Device configs win over all-devices configs, as for getEffectiveSensorConfig.
+ * @param {number|null} override - Interval for every series (seconds), or null
+ * @returns {Promise<Object>} { intervalFor(field, deviceId), smallest }
+ */
+async function loadSampleIntervals(override) {
+  if (override) {
+    return { intervalFor: () => override, smallest: override };
+  }
+
+  const configs = await listSensorConfigs();
+  const intervalFor = (field, deviceId) => {
+    const config = configs.find(c => c.sensorType === field && c.deviceId === deviceId) ||
+      configs.find(c => c.sensorType === field && c.deviceId === null);
+    return config?.sampleRate || DEFAULT_SAMPLE_INTERVAL;
+  };
+
+  const smallest = Math.min(DEFAULT_SAMPLE_INTERVAL, ...configs.map(config => config.sampleRate || DEFAULT_SAMPLE_INTERVAL));
+  return { intervalFor, smallest };
+}
+
+/**
+ * Describe a gap between two times
+ * @param {Date} start - Last reading before the gap (or range start)
+ * @param {Date} end - First reading after the gap (or range end)
+ * @param {number} intervalMs - Expected sample interval
+ * @param {boolean} ongoing - Whether no reading followed before the range end
+ * @returns {Object} Gap
+ */
+function toGap(start, end, intervalMs, ongoing = false) {
+  const durationMs = end - start;
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    durationMs,
+    // Time beyond the one interval that would have passed anyway
+    downtimeMs: Math.max(durationMs - intervalMs, 0),
+    missedSamples: Math.max(Math.round(durationMs / intervalMs) - 1, 0),
+    ...(ongoing ? { ongoing: true } : {})
+  };
+}
+
+/**
+ * Find the gaps of one series and its uptime
+ * @param {Object} series - Timeline entry (see getSeriesTimeline)
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} intervalSeconds - Expected sample interval
+ * @param {number} tolerance - Gap tolerance factor
+ * @returns {Object} Series report
+ */
+function analyzeSeries(series, start, end, intervalSeconds, tolerance) {
+  const intervalMs = intervalSeconds * 1000;
+  const thresholdMs = intervalMs * tolerance;
+  const rangeMs = end - start;
+  const gaps = [];
+
+  const first = new Date(series.firstReading);
+  const last = new Date(series.lastReading);
+
+  if (first - start > thresholdMs) gaps.push(toGap(start, first, intervalMs));
+  series.intervals
+    .filter(interval => interval.seconds * 1000 > thresholdMs)
+    .forEach(interval => gaps.push(toGap(new Date(interval.start), new Date(interval.end), intervalMs)));
+  if (end - last > thresholdMs) gaps.push(toGap(last, end, intervalMs, true));
+
+  const downtimeMs = gaps.reduce((total, gap) => total + gap.downtimeMs, 0);
+  const expectedSamples = Math.max(Math.floor(rangeMs / intervalMs), 1);
+
+  return {
+    field: series.field,
+    deviceId: series.deviceId,
+    expectedInterval: intervalSeconds,
+    samples: series.samples,
+    expectedSamples,
+    completeness: Math.min((series.samples / expectedSamples) * 100, 100),
+    firstReading: series.firstReading,
+    lastReading: series.lastReading,
+    gaps,
+    uptime: {
+      percent: Math.max(((rangeMs - downtimeMs) / rangeMs) * 100, 0),
+      downtimeMs,
+      gapCount: gaps.length,
+      longestGapMs: gaps.reduce((longest, gap) => Math.max(longest, gap.durationMs), 0)
+    }
+  };
+}
+
+/**
+ * Scan a range for gaps in every sensor field and device
+ * @param {Object} query - Query
+ * @param {string} query.startTime - Range start (now(), relative duration or RFC3339)
+ * @param {string} query.endTime - Range end
+ * @param {Array<string>} query.fields - Sensor field keys (default: all)
+ * @param {string} query.expectedInterval - Interval for every series (e.g. 5m),
+ *   instead of each sensor config's sampleRate
+ * @param {number} query.tolerance - Gap tolerance factor
+ * @param {Object} query.filters - Tag filters (deviceId, location, tag)
+ * @returns {Promise<Object>} { series, silentDevices, summary }
+ */
+export async function findDataGaps({
+  startTime,
+  endTime,
+  fields = getSensorFieldKeys(),
+  expectedInterval,
+  tolerance = DEFAULT_GAP_TOLERANCE,
+  filters = {}
+}) {
+  const now = new Date();
+  const start = resolveFluxTime(startTime, now);
+  const end = resolveFluxTime(endTime, now);
+
+  const override = expectedInterval ? fluxDurationToMs(expectedInterval) / 1000 : null;
+  const { intervalFor, smallest } = await loadSampleIntervals(override);
+
+  const timeline = await getSeriesTimeline(fields, start, end, smallest * tolerance, filters);
+  const series = timeline
+    .map(entry => analyzeSeries(entry, start, end, intervalFor(entry.field, entry.deviceId), tolerance))
+    .sort((a, b) => a.field.localeCompare(b.field) || String(a.deviceId).localeCompare(String(b.deviceId)));
+
+  // Registered devices that sent nothing in the range are down for all of it;
+  // location and tag filters cannot be matched against the registry
+  const reporting = new Set(series.map(entry => entry.deviceId));
+  const wanted = filters.deviceId ? [].concat(filters.deviceId) : null;
+  const silentDevices = !wanted && (filters.location || filters.tag)
+    ? []
+    : (await listDevices())
+      .filter(device => !reporting.has(device.id) && (!wanted || wanted.includes(device.id)))
+      .map(device => ({ deviceId: device.id, lastSeen: device.lastSeen || null }));
+
+  const samples = series.reduce((total, entry) => total + entry.samples, 0);
+  const expectedSamples = series.reduce((total, entry) => total + entry.expectedSamples, 0);
+
+  return {
+    series,
+    silentDevices,
+    summary: {
+      series: series.length,
+      gaps: series.reduce((total, entry) => total + entry.gaps.length, 0),
+      downtimeMs: series.reduce((total, entry) => total + entry.uptime.downtimeMs, 0),
+      completeness: expectedSamples > 0 ? Math.min((samples / expectedSamples) * 100, 100) : null,
+      uptimePercent: series.length > 0
+        ? series.reduce((total, entry) => total + entry.uptime.percent, 0) / series.length
+        : null
+    },
+    range: { start: start.toISOString(), end: end.toISOString() }
+  };
+}
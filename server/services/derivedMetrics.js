@@ -0,0 +1,271 @@
+import { getSensorField } from './sensorFields.js';
+
+// Magnus coefficients over water (Alduchov & Eskridge 1996)
+const MAGNUS_A = 17.625;
+const MAGNUS_B = 243.04;
+
+/**
+ * Clamp a relative humidity reading to (0, 100]
+ * Sensors report slightly above 100% in fog; 0% breaks the logarithms.
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Usable humidity, null when not a positive number
+ */
+function toRelativeHumidity(humidity) {
+  if (!Number.isFinite(humidity) || humidity <= 0) return null;
+  return Math.min(humidity, 100);
+}
+
+/**
+ * Saturation vapour pressure over water
+ * @param {number} temperature - Air temperature (°C)
+ * @returns {number} Pressure (hPa)
+ */
+export function saturationVapourPressure(temperature) {
+  return 6.1094 * Math.exp((MAGNUS_A * temperature) / (temperature + MAGNUS_B));
+}
+
+/**
+ * Actual vapour pressure of the air
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Pressure (hPa)
+ */
+export function vapourPressure(temperature, humidity) {
+  const rh = toRelativeHumidity(humidity);
+  if (rh === null || !Number.isFinite(temperature)) return null;
+  return (rh / 100) * saturationVapourPressure(temperature);
+}
+
+/**
+ * Dew point (Magnus formula)
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Dew point (°C)
+ */
+export function dewPoint(temperature, humidity) {
+  const rh = toRelativeHumidity(humidity);
+  if (rh === null || !Number.isFinite(temperature)) return null;
+
+  const gamma = Math.log(rh / 100) + (MAGNUS_A * temperature) / (MAGNUS_B + temperature);
+  return (MAGNUS_B * gamma) / (MAGNUS_A - gamma);
+}
+
+/**
+ * Heat index (US National Weather Service algorithm)
+ * Below about 27 °C the simple Steadman estimate is used, above it the
+ * Rothfusz regression with its low and high humidity adjustments.
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Heat index (°C)
+ */
+export function heatIndex(temperature, humidity) {
+  const rh = toRelativeHumidity(humidity);
+  if (rh === null || !Number.isFinite(temperature)) return null;
+
+  const t = temperature * 9 / 5 + 32;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  // The simple estimate averaged with the temperature picks the formula
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh
+      - 0.22475541 * t * rh - 0.00683783 * t * t
+      - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+      + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+
+  return (hi - 32) * 5 / 9;
+}
+
+/**
+ * Humidex (Environment Canada)
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Humidex (°C equivalent)
+ */
+export function humidex(temperature, humidity) {
+  const td = dewPoint(temperature, humidity);
+  if (td === null) return null;
+
+  const e = 6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / (273.15 + td)));
+  return temperature + 0.5555 * (e - 10);
+}
+
+/**
+ * Absolute humidity: mass of water vapour per volume of air
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Absolute humidity (g/m³)
+ */
+export function absoluteHumidity(temperature, humidity) {
+  const e = vapourPressure(temperature, humidity);
+  if (e === null) return null;
+  return (216.7 * e) / (273.15 + temperature);
+}
+
+/**
+ * Vapour pressure deficit: how far the air is from saturation
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Deficit (kPa)
+ */
+export function vapourPressureDeficit(temperature, humidity) {
+  const e = vapourPressure(temperature, humidity);
+  if (e === null) return null;
+  return (saturationVapourPressure(temperature) - e) / 10;
+}
+
+/**
+ * Wet-bulb temperature (Stull 2011)
+ * Accurate to about ±1 °C between 5% and 99% humidity and -20 °C to 50 °C.
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Wet-bulb temperature (°C)
+ */
+export function wetBulbTemperature(temperature, humidity) {
+  const rh = toRelativeHumidity(humidity);
+  if (rh === null || !Number.isFinite(temperature)) return null;
+
+  return temperature * Math.atan(0.151977 * Math.sqrt(rh + 8.313659))
+    + Math.atan(temperature + rh)
+    - Math.atan(rh - 1.676331)
+    + 0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh)
+    - 4.686035;
+}
+
+/**
+ * Virtual fields computed from stored sensor fields
+ * They share the registry's field shape (see sensorFields.js) but have no
+ * influxField; inputs are the sensor field keys passed to compute.
+ */
+const DERIVED_FIELD_DEFINITIONS = [
+  {
+    key: 'dew_point',
+    displayName: 'Dew Point',
+    unit: '°C',
+    range: { min: -60, max: 60 },
+    color: '#0ea5e9',
+    icon: 'humidity',
+    compute: dewPoint
+  },
+  {
+    key: 'heat_index',
+    displayName: 'Heat Index',
+    unit: '°C',
+    range: { min: -40, max: 80 },
+    color: '#dc2626',
+    icon: 'temperature',
+    compute: heatIndex
+  },
+  {
+    key: 'humidex',
+    displayName: 'Humidex',
+    unit: '°C',
+    range: { min: -40, max: 80 },
+    color: '#ea580c',
+    icon: 'temperature',
+    compute: humidex
+  },
+  {
+    key: 'absolute_humidity',
+    displayName: 'Absolute Humidity',
+    unit: 'g/m³',
+    range: { min: 0, max: 100 },
+    color: '#6366f1',
+    icon: 'humidity',
+    compute: absoluteHumidity
+  },
+  {
+    key: 'vapour_pressure_deficit',
+    displayName: 'Vapour Pressure Deficit',
+    unit: 'kPa',
+    range: { min: 0, max: 10 },
+    color: '#84cc16',
+    icon: 'humidity',
+    compute: vapourPressureDeficit
+  },
+  {
+    key: 'wet_bulb_temperature',
+    displayName: 'Wet-Bulb Temperature',
+    unit: '°C',
+    range: { min: -40, max: 60 },
+    color: '#14b8a6',
+    icon: 'temperature',
+    compute: wetBulbTemperature
+  }
+];
+
+// Every psychrometric metric is a function of temperature and humidity
+const PSYCHROMETRIC_INPUTS = ['temperature', 'humidity'];
+
+// Aggregates whose window values can be combined into a derived value; min,
+// max and the like take temperature and humidity from different readings
+export const DERIVED_AGGREGATES = ['mean', 'last'];
+
+const derivedFields = DERIVED_FIELD_DEFINITIONS.map(definition => {
+  if (getSensorField(definition.key)) {
+    throw new Error(`Sensor field ${definition.key} clashes with the derived field of the same name`);
+  }
+
+  return {
+    key: definition.key,
+    influxField: null,
+    payloadKeys: [],
+    displayName: definition.displayName,
+    unit: definition.unit,
+    range: definition.range,
+    color: definition.color,
+    icon: definition.icon,
+    dashboard: false,
+    derived: true,
+    inputs: PSYCHROMETRIC_INPUTS,
+    compute: definition.compute
+  };
+});
+
+/**
+ * Get all derived fields, in the registry's field shape
+ * @returns {Array<Object>} Fields with derived: true and their input keys
+ */
+export function getDerivedFields() {
+  return derivedFields.map(({ compute, ...field }) => field);
+}
+
+/**
+ * Get the keys of all derived fields
+ * @returns {Array<string>} Field keys
+ */
+export function getDerivedFieldKeys() {
+  return derivedFields.map(field => field.key);
+}
+
+/**
+ * Get a derived field by key
+ * @param {string} key - Field key
+ * @returns {Object|null} Field, including its compute function
+ */
+export function getDerivedField(key) {
+  return derivedFields.find(field => field.key === key) || null;
+}
+
+/**
+ * Compute derived values from aligned input values
+ * @param {Object} values - Input values keyed by sensor field key (e.g. a pivoted row)
+ * @param {Array<Object>} fields - Derived fields to compute (default: all)
+ * @returns {Object} Values keyed by derived field key, null where an input is missing
+ */
+export function computeDerivedValues(values, fields = derivedFields) {
+  const derived = {};
+  fields.forEach(field => {
+    const inputs = field.inputs.map(input => values[input]);
+    derived[field.key] = inputs.every(value => typeof value === 'number')
+      ? field.compute(...inputs)
+      : null;
+  });
+  return derived;
+}
@@ -0,0 +1,327 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { TOPICS, addPerDeviceClient, mqttEvents, subscribeToDeviceTopic, usesPerDeviceTopics } from './mqtt.js';
+import { schemas } from '../middleware/validation.js';
+import { createRepository } from '../storage/index.js';
+
+dotenv.config();
+
+const REGISTRY_CONFIG = {
+  warningAfter: parseInt(process.env.DEVICE_WARNING_AFTER_MS) || 5 * 60 * 1000,
+  offlineAfter: parseInt(process.env.DEVICE_OFFLINE_AFTER_MS) || 15 * 60 * 1000,
+  watchdogInterval: parseInt(process.env.DEVICE_WATCHDOG_INTERVAL_MS) || 30 * 1000
+};
+
+// Device record schema version and migrations for stored devices
+const DEVICE_SCHEMA_VERSION = 3;
+
+const deviceMigrations = [
+  {
+    version: 2,
+    description: 'rename device version to firmwareVersion',
+    up: ({ version, ...device }) => ({
+      ...device,
+      firmwareVersion: device.firmwareVersion ?? version
+    })
+  },
+  {
+    version: 3,
+    description: 'track whether the device publishes on its per-device topics',
+    up: (device) => ({ ...device, perDeviceTopics: device.perDeviceTopics ?? false })
+  }
+];
+
+// Persistent device registry
+const deviceRegistry = createRepository('devices', {
+  version: DEVICE_SCHEMA_VERSION,
+  migrations: deviceMigrations
+});
+
+/**
+ * Emits 'registered', 'heartbeat' and 'statusChange' device events
+ */
+export const deviceEvents = new EventEmitter();
+
+let watchdogTimer = null;
+let trackingTopics = false;
+
+/**
+ * Calculate device health from the last seen timestamp
+ * @param {string|null} lastSeen - ISO timestamp the device was last heard from
+ * @param {Date} now - Reference time
+ * @returns {string} 'online' | 'warning' | 'offline' | 'unknown'
+ */
+export function computeHealthStatus(lastSeen, now = new Date()) {
+  if (!lastSeen) return 'unknown';
+
+  const elapsed = now - new Date(lastSeen);
+  if (elapsed < REGISTRY_CONFIG.warningAfter) return 'online';
+  if (elapsed < REGISTRY_CONFIG.offlineAfter) return 'warning';
+  return 'offline';
+}
+
+/**
+ * Load stored devices
+ * @returns {Promise<void>}
+ */
+export async function initializeDeviceRegistry() {
+  await deviceRegistry.init();
+  const devices = await deviceRegistry.list();
+
+  // Keep publishing to devices on the topics they were last seen on
+  devices.filter(device => device.perDeviceTopics).forEach(device => addPerDeviceClient(device.id));
+  if (!trackingTopics) {
+    mqttEvents.on('perDeviceClient', (deviceId) => {
+      updateDevice(deviceId, { perDeviceTopics: true })
+        .catch(error => console.error('❌ Device registry update failed:', error.message));
+    });
+    trackingTopics = true;
+  }
+
+  console.log(`📟 Device registry loaded ${devices.length} devices (${deviceRegistry.driver}: ${deviceRegistry.location})`);
+}
+
+/**
+ * Store a device and emit a status change event when its status differs
+ * @param {Object} device - Device record
+ * @param {string|null} previousStatus - Status before the update
+ * @param {string} reason - What caused the update
+ * @returns {Promise<void>}
+ */
+async function storeDevice(device, previousStatus, reason) {
+  await deviceRegistry.upsert(device.id, device);
+
+  if (previousStatus !== device.status) {
+    console.log(`📟 Device ${device.id}: ${previousStatus || 'new'} → ${device.status} (${reason})`);
+    deviceEvents.emit('statusChange', {
+      deviceId: device.id,
+      previousStatus,
+      status: device.status,
+      reason,
+      device,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Get all registered devices
+ * @returns {Promise<Array<Object>>} Devices
+ */
+export async function listDevices() {
+  return deviceRegistry.list();
+}
+
+/**
+ * Get a registered device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object|null>} Device
+ */
+export async function getDevice(deviceId) {
+  return deviceRegistry.get(deviceId);
+}
+
+/**
+ * Check whether a device is registered
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<boolean>} Whether the device exists
+ */
+export async function hasDevice(deviceId) {
+  return deviceRegistry.has(deviceId);
+}
+
+/**
+ * Save a device record as-is
+ * @param {Object} device - Device record with id
+ * @returns {Promise<Object>} Saved device
+ */
+export async function saveDevice(device) {
+  return deviceRegistry.upsert(device.id, device);
+}
+
+/**
+ * Update fields of a registered device
+ * @param {string} deviceId - Device ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} Updated device or null when not registered
+ */
+export async function updateDevice(deviceId, changes) {
+  return deviceRegistry.update(deviceId, changes);
+}
+
+/**
+ * Remove a device from the registry
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<boolean>} Whether a device was removed
+ */
+export async function removeDevice(deviceId) {
+  return deviceRegistry.delete(deviceId);
+}
+
+/**
+ * Register or update a device
+ * @param {string} deviceId - Device ID
+ * @param {Object} deviceInfo - Reported device information
+ * @returns {Promise<Object>} Updated device
+ */
+export async function registerDevice(deviceId, deviceInfo = {}) {
+  const existingDevice = await deviceRegistry.get(deviceId);
+  const previous = existingDevice || {};
+
+  const device = {
+    ...previous,
+    id: deviceId,
+    name: deviceInfo.name || previous.name || deviceId,
+    location: deviceInfo.location || previous.location,
+    status: deviceInfo.status || 'online',
+    lastSeen: deviceInfo.lastSeen || new Date().toISOString(),
+    batteryLevel: deviceInfo.batteryLevel ?? previous.batteryLevel,
+    signalStrength: deviceInfo.signalStrength ?? previous.signalStrength,
+    uptime: deviceInfo.uptime ?? previous.uptime,
+    errorCount: deviceInfo.errorCount ?? previous.errorCount,
+    firmwareVersion: deviceInfo.firmwareVersion ?? previous.firmwareVersion,
+    perDeviceTopics: previous.perDeviceTopics || usesPerDeviceTopics(deviceId),
+    configuration: { ...previous.configuration, ...deviceInfo.configuration }
+  };
+
+  if (!existingDevice) {
+    device.registeredAt = new Date().toISOString();
+  }
+
+  await storeDevice(device, existingDevice ? existingDevice.status : null, deviceInfo.reason || 'update');
+
+  if (!existingDevice) {
+    deviceEvents.emit('registered', { deviceId, device });
+  }
+
+  return device;
+}
+
+/**
+ * Update device last seen timestamp
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<void>}
+ */
+export async function updateDeviceLastSeen(deviceId) {
+  const device = await deviceRegistry.get(deviceId);
+  if (device) {
+    const previousStatus = device.status;
+    await storeDevice({
+      ...device,
+      lastSeen: new Date().toISOString(),
+      status: 'online'
+    }, previousStatus, 'seen');
+  }
+}
+
+/**
+ * Validate a status or heartbeat payload against schemas.deviceStatus
+ * @param {Object} payload - Parsed MQTT payload
+ * @param {Object} defaults - Values used when the payload omits them
+ * @returns {Object|null} Validated status or null when invalid
+ */
+function validateStatusPayload(payload, defaults) {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const { error, value } = schemas.deviceStatus.validate({
+    ...defaults,
+    ...payload,
+    firmwareVersion: payload.firmwareVersion ?? payload.version
+  }, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    console.warn('⚠️ Invalid device status payload:', error.details.map(d => d.message).join('; '));
+    return null;
+  }
+
+  return value;
+}
+
+/**
+ * Handle a message on the devices/status topic
+ * @param {Object} payload - Parsed MQTT payload
+ * @returns {Promise<void>}
+ */
+export async function handleStatusMessage(payload) {
+  const status = validateStatusPayload(payload, { lastSeen: new Date().toISOString() });
+  if (!status) return;
+
+  const { deviceId, online, lastSeen, ...info } = status;
+  await registerDevice(deviceId, {
+    ...info,
+    lastSeen: new Date(lastSeen).toISOString(),
+    status: online ? 'online' : 'offline',
+    reason: 'status'
+  });
+}
+
+/**
+ * Handle a message on the devices/heartbeat topic
+ * @param {Object} payload - Parsed MQTT payload
+ * @returns {Promise<void>}
+ */
+export async function handleHeartbeatMessage(payload) {
+  // Heartbeats are implicit "I'm online" messages, received now
+  const status = validateStatusPayload(payload, { online: true, lastSeen: new Date().toISOString() });
+  if (!status) return;
+
+  const { deviceId, online, lastSeen, ...info } = status;
+  const device = await registerDevice(deviceId, {
+    ...info,
+    lastSeen: new Date().toISOString(),
+    status: online ? 'online' : 'offline',
+    reason: 'heartbeat'
+  });
+
+  deviceEvents.emit('heartbeat', { deviceId, device });
+}
+
+/**
+ * Downgrade devices whose heartbeats stopped to warning/offline
+ * @param {Date} now - Reference time
+ * @returns {Promise<void>}
+ */
+export async function checkDeviceHealth(now = new Date()) {
+  const devices = await deviceRegistry.list();
+
+  for (const device of devices) {
+    // Only degrade live devices; explicit offline reports stay as-is
+    if (device.status !== 'online' && device.status !== 'warning') continue;
+
+    const health = computeHealthStatus(device.lastSeen, now);
+    if (health !== 'unknown' && health !== device.status) {
+      await storeDevice({ ...device, status: health }, device.status, 'watchdog');
+    }
+  }
+}
+
+/**
+ * Wire device status and heartbeat topics into the registry and start the
+ * offline watchdog
+ * @returns {Promise<void>}
+ */
+export async function startDeviceTracking() {
+  const logFailure = (error) => console.error('❌ Device registry update failed:', error.message);
+
+  await Promise.all([
+    subscribeToDeviceTopic(TOPICS.DEVICE_STATUS, (payload) => handleStatusMessage(payload).catch(logFailure)),
+    subscribeToDeviceTopic(TOPICS.DEVICE_HEARTBEAT, (payload) => handleHeartbeatMessage(payload).catch(logFailure))
+  ]);
+
+  if (!watchdogTimer) {
+    watchdogTimer = setInterval(() => checkDeviceHealth().catch(logFailure), REGISTRY_CONFIG.watchdogInterval);
+  }
+
+  console.log('📟 Device tracking started');
+}
+
+/**
+ * Stop the offline watchdog
+ */
+export function stopDeviceTracking() {
+  clearInterval(watchdogTimer);
+  watchdogTimer = null;
+}
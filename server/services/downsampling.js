@@ -0,0 +1,97 @@
+import { fluxDurationToMs, resolveFluxTime } from './fluxQuery.js';
+
+// Default number of points per series the dashboard can draw
+export const DEFAULT_MAX_POINTS = 500;
+
+// Window sizes the automatic resolution picks from, smallest first
+const WINDOW_STEPS = [
+  '1s', '2s', '5s', '10s', '15s', '30s',
+  '1m', '2m', '5m', '10m', '15m', '30m',
+  '1h', '2h', '3h', '6h', '12h',
+  '1d', '2d', '7d', '30d'
+];
+
+/**
+ * Pick the smallest window that keeps a range within maxPoints windows
+ * @param {string} startTime - Range start (now(), relative duration or RFC3339)
+ * @param {string} endTime - Range stop
+ * @param {number} maxPoints - Maximum windows per series
+ * @returns {string} Window duration
+ */
+export function selectWindow(startTime, endTime, maxPoints = DEFAULT_MAX_POINTS) {
+  const now = new Date();
+  const rangeMs = resolveFluxTime(endTime, now) - resolveFluxTime(startTime, now);
+  const targetMs = Math.max(rangeMs, 0) / maxPoints;
+
+  return WINDOW_STEPS.find(step => fluxDurationToMs(step) >= targetMs) || WINDOW_STEPS[WINDOW_STEPS.length - 1];
+}
+
+/**
+ * Decimate a series with largest-triangle-three-buckets
+ * Keeps the first and last point and, per bucket, the point forming the
+ * largest triangle with its neighbours, so peaks and dips survive.
+ * @param {Array<Object>} points - Points of { time, value, ... } sorted by time
+ * @param {number} threshold - Number of points to keep
+ * @returns {Array<Object>} Selected points (the originals, extra properties intact)
+ */
+export function lttb(points, threshold) {
+  if (threshold < 3 || points.length <= threshold) return points;
+
+  const x = (index) => new Date(points[index].time).getTime();
+  const y = (index) => points[index].value;
+
+  const sampled = [points[0]];
+  const bucketSize = (points.length - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket is the triangle's third corner
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, points.length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let index = nextStart; index < nextEnd; index++) {
+      avgX += x(index);
+      avgY += y(index);
+    }
+    avgX /= nextEnd - nextStart;
+    avgY /= nextEnd - nextStart;
+
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    let maxArea = -1;
+    let selected = start;
+    for (let index = start; index < end; index++) {
+      const area = Math.abs(
+        (x(previous) - avgX) * (y(index) - y(previous)) -
+        (x(previous) - x(index)) * (avgY - y(previous))
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        selected = index;
+      }
+    }
+
+    sampled.push(points[selected]);
+    previous = selected;
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+/**
+ * Decimate a series, or every series of a grouped result, with LTTB
+ * @param {Array|Object} data - Points, or arrays of points keyed by group
+ * @param {number} maxPoints - Points to keep per series
+ * @returns {Array|Object} Data of the same shape
+ */
+export function downsampleSeries(data, maxPoints) {
+  if (Array.isArray(data)) return lttb(data, maxPoints);
+
+  const series = {};
+  Object.entries(data).forEach(([group, points]) => {
+    series[group] = lttb(points, maxPoints);
+  });
+  return series;
+}
@@ -0,0 +1,365 @@
+import {
+  flux,
+  fluxDateTime,
+  fluxDuration,
+  fluxExpression,
+  fluxFloat,
+  fluxInteger,
+  fluxString
+} from '@influxdata/influxdb-client';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+export { flux, fluxDateTime, fluxFloat, fluxInteger, fluxString };
+
+// Flux duration literal, e.g. 5m, 1h30m, 2mo
+const DURATION_PATTERN = /^(\d+(ns|us|µs|ms|s|m|h|d|w|mo|y))+$/;
+
+// RFC3339 timestamp, e.g. 2024-01-01T12:00:00Z or 2024-01-01T12:00:00.5+02:00
+const RFC3339_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,9})?(Z|[+-]\d{2}:\d{2})$/;
+
+// Measurement, field, tag and column names
+const IDENTIFIER_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,99}$/;
+
+// Aggregate functions accepted by aggregateWindow(); quantile needs a p value
+export const AGGREGATE_FUNCTIONS = ['mean', 'min', 'max', 'median', 'last', 'sum', 'count', 'stddev', 'quantile'];
+
+/**
+ * Check a Flux duration (window periods)
+ * @param {string} value - Value
+ * @returns {boolean} Whether the value is a duration like 5m or 1h30m
+ */
+export function isFluxDuration(value) {
+  return typeof value === 'string' && DURATION_PATTERN.test(value);
+}
+
+// Milliseconds per duration unit; months and years are calendar-free approximations
+const DURATION_UNITS_MS = {
+  ns: 1e-6,
+  us: 1e-3,
+  µs: 1e-3,
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  mo: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert a Flux duration to milliseconds
+ * @param {string} value - Duration like 5m or 1h30m
+ * @returns {number} Milliseconds
+ */
+export function fluxDurationToMs(value) {
+  if (!isFluxDuration(value)) reject('duration', value, 'a duration like 5m');
+
+  let total = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+)(ns|us|µs|ms|s|mo|m|h|d|w|y)/g)) {
+    total += Number(amount) * DURATION_UNITS_MS[unit];
+  }
+  return total;
+}
+
+/**
+ * Resolve a range bound to an absolute time
+ * @param {string|Date} value - now(), relative duration or RFC3339 timestamp
+ * @param {Date} now - Reference time for now() and relative bounds
+ * @returns {Date} Absolute time
+ */
+export function resolveFluxTime(value, now = new Date()) {
+  if (value instanceof Date) return value;
+  if (!isFluxTime(value)) reject('time', value, 'now(), a relative duration like -1h or an RFC3339 timestamp');
+
+  if (value === 'now()') return now;
+  if (value.startsWith('-')) return new Date(now.getTime() - fluxDurationToMs(value.slice(1)));
+  return new Date(value);
+}
+
+/**
+ * Check a range bound: now(), a relative duration (-1h) or an RFC3339 timestamp
+ * @param {string} value - Value
+ * @returns {boolean} Whether the value is a valid range bound
+ */
+export function isFluxTime(value) {
+  if (typeof value !== 'string') return false;
+  if (value === 'now()') return true;
+  if (/^-/.test(value)) return isFluxDuration(value.slice(1));
+  return RFC3339_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Check a measurement, field, tag or column name
+ * @param {string} value - Value
+ * @returns {boolean} Whether the value is a valid identifier
+ */
+export function isFluxIdentifier(value) {
+  return typeof value === 'string' && IDENTIFIER_PATTERN.test(value);
+}
+
+/**
+ * Throw a ValidationError for a rejected query part
+ * @param {string} field - Name of the query part
+ * @param {*} value - Rejected value
+ * @param {string} expected - What was expected
+ */
+function reject(field, value, expected) {
+  throw new ValidationError('Invalid query parameter', [{ field, message: `"${field}" must be ${expected}`, value }]);
+}
+
+/**
+ * Convert a range bound to a Flux value
+ * @param {string|Date} value - now(), relative duration, RFC3339 timestamp or Date
+ * @param {string} name - Parameter name for errors
+ * @returns {Object} Flux value
+ */
+function toFluxTime(value, name) {
+  if (value instanceof Date) return fluxDateTime(value.toISOString());
+  if (!isFluxTime(value)) reject(name, value, 'now(), a relative duration like -1h or an RFC3339 timestamp');
+
+  if (value === 'now()') return fluxExpression('now()');
+  return value.startsWith('-') ? fluxDuration(value) : fluxDateTime(value);
+}
+
+/**
+ * Check an identifier and return it
+ * @param {string} value - Identifier
+ * @param {string} name - Parameter name for errors
+ * @returns {string} Identifier
+ */
+function toIdentifier(value, name) {
+  if (!isFluxIdentifier(value)) reject(name, value, 'a valid identifier');
+  return value;
+}
+
+/**
+ * Join Flux fragments with a separator
+ * @param {Array<Object>} parts - Parameterized fragments
+ * @param {string} separator - Separator expression (e.g. ' or ')
+ * @returns {Object} Parameterized fragment
+ */
+function joinFlux(parts, separator) {
+  return parts.reduce((joined, part) => flux`${joined}${fluxExpression(separator)}${part}`);
+}
+
+/**
+ * Start a Flux query against a bucket
+ * Every value is validated and passed through the client's parameter
+ * sanitizers; nothing from a request is pasted into the query text.
+ * @param {string} bucket - Bucket name
+ * @returns {Object} Chainable query builder; build() returns the ParameterizedQuery
+ */
+export function createFluxQuery(bucket) {
+  return createBuilder(flux`from(bucket: ${bucket})`);
+}
+
+/**
+ * Start a Flux query from the merged output of several queries
+ * @param {Array<Object>} queries - Query builders (see createFluxQuery)
+ * @returns {Object} Chainable query builder
+ */
+export function createFluxUnion(queries) {
+  return createBuilder(flux`union(tables: [${joinFlux(queries.map(query => query.build()), ', ')}])`);
+}
+
+/**
+ * Create a chainable builder appending steps to a source
+ * @param {Object} source - Parameterized source expression
+ * @returns {Object} Chainable query builder
+ */
+function createBuilder(source) {
+  const steps = [source];
+
+  const query = {
+    /**
+     * @param {string|Date} start - Range start
+     * @param {string|Date} stop - Range stop
+     */
+    range(start, stop = 'now()') {
+      steps.push(flux`|> range(start: ${toFluxTime(start, 'startTime')}, stop: ${toFluxTime(stop, 'endTime')})`);
+      return query;
+    },
+
+    /**
+     * Keep rows whose column equals one of the values
+     * @param {string} column - Column name
+     * @param {string|Array<string>} values - Accepted values
+     */
+    filter(column, values) {
+      const name = toIdentifier(column, column);
+      const conditions = [].concat(values).map(value => flux`r[${name}] == ${String(value)}`);
+      if (conditions.length > 0) {
+        steps.push(flux`|> filter(fn: (r) => ${joinFlux(conditions, ' or ')})`);
+      }
+      return query;
+    },
+
+    /**
+     * Keep rows matching every tag filter
+     * @param {Object} filters - Values keyed by tag name; several values match any of them
+     */
+    filterTags(filters = {}) {
+      Object.entries(filters).forEach(([tag, values]) => {
+        if (values !== undefined && values !== null) query.filter(tag, values);
+      });
+      return query;
+    },
+
+    /**
+     * Append a pipeline step built elsewhere with flux``
+     * @param {Object|null} step - Parameterized step, skipped when empty
+     */
+    pipe(step) {
+      if (step) steps.push(step);
+      return query;
+    },
+
+    /**
+     * @param {Array<string>} columns - Group key columns
+     * @param {string} mode - 'by' to group by the columns, 'except' by all others
+     */
+    group(columns = [], mode = 'by') {
+      const names = columns.map(column => toIdentifier(column, 'groupBy'));
+      if (!['by', 'except'].includes(mode)) reject('mode', mode, 'by or except');
+      steps.push(mode === 'by' ? flux`|> group(columns: ${names})` : flux`|> group(columns: ${names}, mode: ${mode})`);
+      return query;
+    },
+
+    /**
+     * @param {string} every - Window duration
+     * @param {string} fn - Aggregate function (see AGGREGATE_FUNCTIONS)
+     * @param {Object} options - { createEmpty, p, timeSrc } where p is the quantile (0-1)
+     *   and timeSrc the window bound rows are stamped with ('_stop' or '_start')
+     */
+    aggregateWindow(every, fn = 'mean', { createEmpty = false, p, timeSrc = '_stop' } = {}) {
+      if (!isFluxDuration(every)) reject('windowPeriod', every, 'a duration like 5m');
+      if (!AGGREGATE_FUNCTIONS.includes(fn)) reject('aggregate', fn, `one of ${AGGREGATE_FUNCTIONS.join(', ')}`);
+
+      let aggregate = fluxExpression(fn);
+      if (!['_start', '_stop'].includes(timeSrc)) reject('timeSrc', timeSrc, '_start or _stop');
+      if (fn === 'quantile') {
+        if (typeof p !== 'number' || !(p >= 0 && p <= 1)) reject('p', p, 'a number between 0 and 1');
+        aggregate = flux`(column, tables=<-) => tables |> quantile(q: ${fluxFloat(p)}, column: column)`;
+      }
+
+      const stamp = timeSrc === '_stop' ? flux`` : flux`, timeSrc: ${timeSrc}`;
+      steps.push(flux`|> aggregateWindow(every: ${fluxDuration(every)}, fn: ${aggregate}, createEmpty: ${Boolean(createEmpty)}${stamp})`);
+      return query;
+    },
+
+    /**
+     * Window means of _value weighted by another column, stamped like aggregateWindow
+     * @param {string} every - Window duration
+     * @param {string} weightColumn - Column holding the weight of each row
+     */
+    weightedMeanWindow(every, weightColumn) {
+      if (!isFluxDuration(every)) reject('windowPeriod', every, 'a duration like 5m');
+      const weight = toIdentifier(weightColumn, 'weightColumn');
+
+      steps.push(flux`|> aggregateWindow(every: ${fluxDuration(every)}, fn: (column, tables=<-) => tables
+    |> reduce(identity: {total: 0.0, weight: 0.0}, fn: (r, accumulator) => ({total: accumulator.total + r._value * r[${weight}], weight: accumulator.weight + r[${weight}]}))
+    |> map(fn: (r) => ({r with _value: r.total / r.weight}))
+    |> drop(columns: ["total", "weight"]), createEmpty: false)`);
+      return query;
+    },
+
+    /**
+     * @param {Array<string>} columns - Sort columns
+     * @param {boolean} desc - Descending order
+     */
+    sort(columns = ['_time'], desc = false) {
+      const names = columns.map(column => toIdentifier(column, 'sort'));
+      steps.push(flux`|> sort(columns: ${names}, desc: ${Boolean(desc)})`);
+      return query;
+    },
+
+    /**
+     * Turn one column's values into columns, e.g. one column per _field
+     * @param {Array<string>} rowKey - Columns identifying a row
+     * @param {Array<string>} columnKey - Columns whose values become column names
+     * @param {string} valueColumn - Column holding the values
+     */
+    pivot(rowKey = ['_time'], columnKey = ['_field'], valueColumn = '_value') {
+      const rows = rowKey.map(column => toIdentifier(column, 'pivot'));
+      const columns = columnKey.map(column => toIdentifier(column, 'pivot'));
+      steps.push(flux`|> pivot(rowKey: ${rows}, columnKey: ${columns}, valueColumn: ${toIdentifier(valueColumn, 'pivot')})`);
+      return query;
+    },
+
+    /**
+     * Set a column to a string value on every row
+     * @param {string} column - Column name
+     * @param {string} value - Value
+     */
+    set(column, value) {
+      steps.push(flux`|> set(key: ${toIdentifier(column, 'set')}, value: ${String(value)})`);
+      return query;
+    },
+
+    /**
+     * @param {Array<string>} columns - Columns to remove
+     */
+    drop(columns) {
+      const names = columns.map(column => toIdentifier(column, 'drop'));
+      steps.push(flux`|> drop(columns: ${names})`);
+      return query;
+    },
+
+    first() {
+      steps.push(flux`|> first()`);
+      return query;
+    },
+
+    last() {
+      steps.push(flux`|> last()`);
+      return query;
+    },
+
+    count() {
+      steps.push(flux`|> count()`);
+      return query;
+    },
+
+    /**
+     * Add an elapsed column: time since the previous row of the table
+     * @param {string} unit - Duration unit of the column (e.g. 1s)
+     */
+    elapsed(unit = '1s') {
+      if (!isFluxDuration(unit)) reject('unit', unit, 'a duration like 1s');
+      steps.push(flux`|> elapsed(unit: ${fluxDuration(unit)})`);
+      return query;
+    },
+
+    /**
+     * @param {number} n - Maximum rows per table
+     */
+    limit(n) {
+      steps.push(flux`|> limit(n: ${fluxInteger(n)})`);
+      return query;
+    },
+
+    /**
+     * Write the rows to a bucket; string columns become tags
+     * @param {string} bucket - Bucket name
+     */
+    to(bucket) {
+      steps.push(flux`|> to(bucket: ${bucket})`);
+      return query;
+    },
+
+    /**
+     * @param {string} name - Result name
+     */
+    yield(name) {
+      steps.push(flux`|> yield(name: ${toIdentifier(name, 'yield')})`);
+      return query;
+    },
+
+    build() {
+      return joinFlux(steps, '\n  ');
+    }
+  };
+
+  return query;
+}
@@ -0,0 +1,226 @@
+import dotenv from 'dotenv';
+import { getEnvironmentalTable } from './influxdb.js';
+
+dotenv.config();
+
+const FORECAST_CONFIG = {
+  // Station height above sea level (m), for the sea-level pressure correction
+  altitude: parseFloat(process.env.STATION_ALTITUDE_M) || 0,
+  // Seasons are flipped south of the equator
+  hemisphere: process.env.STATION_HEMISPHERE === 'south' ? 'south' : 'north'
+};
+
+// Pressure tendency is the change over this period (meteorological standard)
+const TENDENCY_PERIOD = '3h';
+const TENDENCY_HOURS = 3;
+
+// Window the pressure history is averaged over before fitting the trend
+const TENDENCY_WINDOW = '10m';
+
+// Least history needed for a tendency, in hours
+const MIN_HISTORY_HOURS = 1;
+
+// Standard atmosphere temperature used when no temperature was recorded
+const STANDARD_TEMPERATURE = 15;
+
+// Change over 3h (hPa) above which pressure counts as rising or falling
+const STEADY_THRESHOLD = 1.6;
+
+// Met Office tendency descriptions by absolute 3h change (below max hPa)
+const TENDENCY_DESCRIPTIONS = [
+  { max: 0.1, description: 'steady' },
+  { max: STEADY_THRESHOLD, description: 'slowly' },
+  { max: 3.6, description: '' },
+  { max: 6.1, description: 'quickly' },
+  { max: Infinity, description: 'very rapidly' }
+];
+
+/**
+ * Zambretti forecasts by code
+ * Codes 1-9 follow falling, 10-19 steady and 20-32 rising pressure.
+ */
+const ZAMBRETTI_FORECASTS = {
+  1: 'Settled fine',
+  2: 'Fine weather',
+  3: 'Fine, becoming less settled',
+  4: 'Fairly fine, showery later',
+  5: 'Showery, becoming more unsettled',
+  6: 'Unsettled, rain later',
+  7: 'Rain at times, worse later',
+  8: 'Rain at times, becoming very unsettled',
+  9: 'Very unsettled, rain',
+  10: 'Settled fine',
+  11: 'Fine weather',
+  12: 'Fine, possibly showers',
+  13: 'Fairly fine, showers likely',
+  14: 'Showery, bright intervals',
+  15: 'Changeable, some rain',
+  16: 'Unsettled, rain at times',
+  17: 'Rain at frequent intervals',
+  18: 'Very unsettled, rain',
+  19: 'Stormy, much rain',
+  20: 'Settled fine',
+  21: 'Fine weather',
+  22: 'Becoming fine',
+  23: 'Fairly fine, improving',
+  24: 'Fairly fine, possibly showers early',
+  25: 'Showery early, improving',
+  26: 'Changeable, mending',
+  27: 'Rather unsettled, clearing later',
+  28: 'Unsettled, probably improving',
+  29: 'Unsettled, short fine intervals',
+  30: 'Very unsettled, finer at times',
+  31: 'Stormy, possibly improving',
+  32: 'Stormy, much rain'
+};
+
+// Code formula (from sea-level pressure) and code range per trend
+const ZAMBRETTI_TRENDS = {
+  falling: { code: (pressure) => 127 - 0.12 * pressure, min: 1, max: 9 },
+  steady: { code: (pressure) => 144 - 0.13 * pressure, min: 10, max: 19 },
+  rising: { code: (pressure) => 185 - 0.16 * pressure, min: 20, max: 32 }
+};
+
+/**
+ * Reduce station pressure to sea level (hypsometric formula)
+ * @param {number} pressure - Station pressure (hPa)
+ * @param {number} altitude - Station altitude (m)
+ * @param {number} temperature - Air temperature at the station (°C)
+ * @returns {number} Sea-level pressure (hPa)
+ */
+export function toSeaLevelPressure(pressure, altitude, temperature = STANDARD_TEMPERATURE) {
+  if (!altitude) return pressure;
+  const lapse = 0.0065 * altitude;
+  return pressure * Math.pow(1 - lapse / (temperature + lapse + 273.15), -5.257);
+}
+
+/**
+ * Fit the pressure change per hour by least squares
+ * @param {Array<Object>} points - Points of { time, value }
+ * @returns {number} Change per hour (hPa/h)
+ */
+function pressureSlope(points) {
+  const hours = points.map(point => new Date(point.time).getTime() / 3600000);
+  const meanX = hours.reduce((sum, x) => sum + x, 0) / hours.length;
+  const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+
+  let covariance = 0;
+  let variance = 0;
+  points.forEach((point, index) => {
+    covariance += (hours[index] - meanX) * (point.value - meanY);
+    variance += (hours[index] - meanX) ** 2;
+  });
+
+  return variance > 0 ? covariance / variance : 0;
+}
+
+/**
+ * Classify a 3-hour pressure change
+ * @param {number} change - Change over 3h (hPa)
+ * @returns {Object} { trend, description } e.g. { trend: 'falling', description: 'falling slowly' }
+ */
+export function classifyTendency(change) {
+  let trend = 'steady';
+  if (change >= STEADY_THRESHOLD) trend = 'rising';
+  if (change <= -STEADY_THRESHOLD) trend = 'falling';
+
+  const { description } = TENDENCY_DESCRIPTIONS.find(({ max }) => Math.abs(change) < max);
+  if (description === 'steady') return { trend, description };
+
+  const direction = change > 0 ? 'rising' : 'falling';
+  return { trend, description: description ? `${direction} ${description}` : direction };
+}
+
+/**
+ * Whether a month is summer for the Zambretti seasonal adjustment
+ * @param {Date} date - Date
+ * @param {string} hemisphere - 'north' or 'south'
+ * @returns {boolean} April to September in the north, October to March in the south
+ */
+function isSummer(date, hemisphere) {
+  const month = date.getUTCMonth() + 1;
+  const northernSummer = month >= 4 && month <= 9;
+  return hemisphere === 'south' ? !northernSummer : northernSummer;
+}
+
+/**
+ * Zambretti forecast from sea-level pressure and trend
+ * Falling pressure in summer reads one step fairer, rising pressure in
+ * winter one step less fair, as on the original forecaster's season scale.
+ * @param {number} seaLevelPressure - Sea-level pressure (hPa)
+ * @param {string} trend - 'rising', 'falling' or 'steady'
+ * @param {Object} options - Options
+ * @param {Date} options.date - Forecast date (season)
+ * @param {string} options.hemisphere - 'north' or 'south'
+ * @returns {Object} { code, text }
+ */
+export function zambretti(seaLevelPressure, trend, { date = new Date(), hemisphere = FORECAST_CONFIG.hemisphere } = {}) {
+  const { code, min, max } = ZAMBRETTI_TRENDS[trend];
+  let value = Math.round(code(seaLevelPressure));
+
+  const summer = isSummer(date, hemisphere);
+  if (trend === 'falling' && summer) value -= 1;
+  if (trend === 'rising' && !summer) value += 1;
+
+  const clamped = Math.min(Math.max(value, min), max);
+  return { code: clamped, text: ZAMBRETTI_FORECASTS[clamped] };
+}
+
+/**
+ * Forecast the local weather from the last three hours of pressure
+ * @param {Object} filters - Tag filters (deviceId, location, tag); use one
+ *   station, as pressures from different altitudes do not average
+ * @returns {Promise<Object>} Forecast, with forecast: null when there is too little history
+ */
+export async function getForecast(filters = {}) {
+  const rows = await getEnvironmentalTable(['pressure', 'temperature'], `-${TENDENCY_PERIOD}`, 'now()', TENDENCY_WINDOW, filters);
+  const points = rows
+    .filter(row => typeof row.pressure === 'number')
+    .map(row => ({ time: row.time, value: row.pressure }));
+
+  const generatedAt = new Date();
+  const basedOn = {
+    from: points[0]?.time || null,
+    to: points[points.length - 1]?.time || null,
+    points: points.length
+  };
+
+  const spanHours = points.length > 1
+    ? (new Date(basedOn.to) - new Date(basedOn.from)) / 3600000
+    : 0;
+  if (spanHours < MIN_HISTORY_HOURS) {
+    return {
+      forecast: null,
+      reason: `At least ${MIN_HISTORY_HOURS}h of pressure readings are needed`,
+      basedOn,
+      generatedAt: generatedAt.toISOString()
+    };
+  }
+
+  const temperatures = rows.filter(row => typeof row.temperature === 'number');
+  const temperature = temperatures.length > 0
+    ? temperatures[temperatures.length - 1].temperature
+    : STANDARD_TEMPERATURE;
+
+  const stationPressure = points[points.length - 1].value;
+  const seaLevelPressure = toSeaLevelPressure(stationPressure, FORECAST_CONFIG.altitude, temperature);
+  const change = pressureSlope(points) * TENDENCY_HOURS;
+  const tendency = classifyTendency(change);
+
+  return {
+    forecast: zambretti(seaLevelPressure, tendency.trend, { date: generatedAt }),
+    trend: tendency.trend,
+    tendency: {
+      change,
+      period: TENDENCY_PERIOD,
+      description: tendency.description
+    },
+    pressure: {
+      station: stationPressure,
+      seaLevel: seaLevelPressure,
+      altitude: FORECAST_CONFIG.altitude
+    },
+    basedOn,
+    generatedAt: generatedAt.toISOString()
+  };
+}
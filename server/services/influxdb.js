@@ -1,5 +1,11 @@
 import { InfluxDB, Point } from '@influxdata/influxdb-client';
 import dotenv from 'dotenv';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { buildCalibrationFlux, calibrateValue } from './calibration.js';
+import { getSensorField, getSensorFields, findFieldByInfluxField } from './sensorFields.js';
+import { createFluxQuery, createFluxUnion, flux, fluxInteger } from './fluxQuery.js';
+import { getDerivedField, getDerivedFields, computeDerivedValues, DERIVED_AGGREGATES } from './derivedMetrics.js';
+import { ROLLUP_CONFIG, ROLLUP_WEIGHT, planRollupQuery } from './rollups.js';
 
 dotenv.config();
 
@@ -24,55 +30,524 @@ console.log(`Organization: ${org}`);
 console.log(`Bucket: ${bucket}`);
 console.log(`Token: ${token ? '***' + token.slice(-8) : 'NOT SET'}`);
 
+// Measurement sensor readings are stored in
+const MEASUREMENT = 'environment_data';
+
+// Group name of series whose points lack the groupBy tag
+const UNTAGGED_GROUP = 'unknown';
+
+// Weight of each row in rollup sources of weighted means (see rollupSource)
+const WEIGHT_COLUMN = '_weight';
+
+// Query result cache; TTLs per kind of query (0 disables caching that kind)
+const CACHE_CONFIG = {
+  enabled: process.env.QUERY_CACHE_ENABLED !== 'false',
+  ttl: {
+    data: parseInt(process.env.QUERY_CACHE_DATA_TTL_MS ?? 30000),
+    latest: parseInt(process.env.QUERY_CACHE_LATEST_TTL_MS ?? 5000),
+    connection: parseInt(process.env.QUERY_CACHE_STATUS_TTL_MS ?? 15000)
+  },
+  maxEntries: parseInt(process.env.QUERY_CACHE_MAX_ENTRIES) || 500
+};
+
+const queryCache = new Map();
+// Queries in flight by key; a query is only cached while it is still listed,
+// so invalidation also discards results of queries started before it
+const inFlightQueries = new Map();
+
+const cacheStats = {
+  hits: 0,
+  misses: 0,
+  coalesced: 0,
+  invalidations: 0,
+  lastInvalidatedAt: null
+};
+
 /**
- * Get environmental data for a specific time range
- * @param {string} field - The field to query (temperature, humidity, pressure)
- * @param {string} startTime - Start time (ISO string or relative time like '-1h')
- * @param {string} endTime - End time (ISO string or 'now()')
- * @param {string} windowPeriod - Aggregation window (e.g., '5m', '1h')
- * @returns {Promise<Array>} Array of data points
+ * Serialize query parameters with sorted keys so equal queries share a key
+ * @param {*} value - Parameters
+ * @returns {string} Normalized key
+ */
+function normalizeParams(value) {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(normalizeParams).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${normalizeParams(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Latest point time a query range can return, for cache invalidation
+ * Ranges ending at now() or relative to it move with time, so new points
+ * always fall into them.
+ * @param {string|Date} endTime - Range end
+ * @returns {number} Time in ms, or Infinity when the range reaches now
+ */
+function rangeUntil(endTime) {
+  if (endTime instanceof Date) return endTime.getTime();
+  return endTime === 'now()' || endTime.startsWith('-') ? Infinity : Date.parse(endTime);
+}
+
+/**
+ * Serve a query from the cache, join an identical query in flight or run it
+ * Cached results are shared between callers and must not be modified.
+ * @param {string} kind - Kind of query (see CACHE_CONFIG.ttl)
+ * @param {Object} params - Parameters identifying the query
+ * @param {Function} run - Runs the query
+ * @param {number} until - Latest point time the result can hold (see rangeUntil);
+ *   -Infinity when it does not depend on stored points
+ * @returns {Promise<*>} Query result
+ */
+function cachedQuery(kind, params, run, until = Infinity) {
+  const ttl = CACHE_CONFIG.ttl[kind];
+  if (!CACHE_CONFIG.enabled || !ttl) return run();
+
+  const key = `${kind}:${normalizeParams(params)}`;
+  const entry = queryCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    cacheStats.hits++;
+    return Promise.resolve(entry.value);
+  }
+
+  if (inFlightQueries.has(key)) {
+    cacheStats.coalesced++;
+    return inFlightQueries.get(key).pending;
+  }
+
+  cacheStats.misses++;
+  const pending = run()
+    .then(value => {
+      if (inFlightQueries.get(key)?.pending === pending) {
+        queryCache.delete(key);
+        queryCache.set(key, { value, until, expiresAt: Date.now() + ttl });
+        // Drop the oldest entries beyond the limit
+        while (queryCache.size > CACHE_CONFIG.maxEntries) {
+          queryCache.delete(queryCache.keys().next().value);
+        }
+      }
+      return value;
+    })
+    .finally(() => {
+      if (inFlightQueries.get(key)?.pending === pending) inFlightQueries.delete(key);
+    });
+
+  inFlightQueries.set(key, { pending, until });
+  return pending;
+}
+
+/**
+ * Drop cached query results
+ * Writes only drop results whose range reaches the written points; other
+ * changes, such as calibration, drop everything.
+ * @param {Date} since - Oldest point written (default: drop all results)
+ */
+export function invalidateQueryCache(since) {
+  const from = since ? since.getTime() : -Infinity;
+
+  [queryCache, inFlightQueries].forEach(entries => {
+    entries.forEach((entry, key) => {
+      if (entry.until >= from) entries.delete(key);
+    });
+  });
+
+  cacheStats.invalidations++;
+  cacheStats.lastInvalidatedAt = new Date().toISOString();
+}
+
+/**
+ * Get query cache statistics
+ * @returns {Object} Hit, miss and coalescing counters, entries and TTLs
+ */
+export function getQueryCacheStats() {
+  const lookups = cacheStats.hits + cacheStats.misses + cacheStats.coalesced;
+  return {
+    ...cacheStats,
+    hitRate: lookups > 0 ? (cacheStats.hits + cacheStats.coalesced) / lookups : null,
+    entries: queryCache.size,
+    inFlight: inFlightQueries.size,
+    enabled: CACHE_CONFIG.enabled,
+    ttl: CACHE_CONFIG.ttl
+  };
+}
+
+/**
+ * Merge tag filter options into one map of tag values
+ * @param {Object} filters - Tag filters
+ * @param {Array<string>} filters.deviceId - Device IDs
+ * @param {Array<string>} filters.location - Locations
+ * @param {Object} filters.tag - Other tag values keyed by tag name
+ * @returns {Object} Values keyed by tag name
+ */
+function toTagFilters({ deviceId, location, tag } = {}) {
+  // Unset options must not clear the same tags given under tag
+  return {
+    ...tag,
+    ...(deviceId ? { deviceId } : {}),
+    ...(location ? { location } : {})
+  };
+}
+
+/**
+ * Columns that decide which points are aggregated together
+ * Without groupBy the matching devices are merged into one series.
+ * @param {string} groupBy - Tag to split series by
+ * @returns {Array<string>} Group key columns
+ */
+function groupColumns(groupBy) {
+  return [...(groupBy ? [groupBy] : []), '_measurement', '_field'];
+}
+
+/**
+ * Split points into one series per group
+ * @param {Array<Object>} points - Points with a group property
+ * @returns {Object} Points keyed by group
+ */
+function splitSeries(points) {
+  const series = {};
+  points.forEach(({ group, ...point }) => {
+    (series[group] = series[group] || []).push(point);
+  });
+  return series;
+}
+
+/**
+ * Run a query and collect its rows
+ * @param {Object} query - Parameterized Flux query
+ * @returns {Promise<Array<Object>>} Rows as objects
+ */
+function collectRows(query) {
+  const rows = [];
+
+  return new Promise((resolve, reject) => {
+    queryApi.queryRows(query, {
+      next(row, tableMeta) {
+        rows.push(tableMeta.toObject(row));
+      },
+      error(error) {
+        console.error('InfluxDB query error:', error);
+        reject(error);
+      },
+      complete() {
+        resolve(rows);
+      },
+    });
+  });
+}
+
+/**
+ * Look up sensor fields, rejecting unknown keys
+ * @param {Array<string>} keys - Sensor field keys
+ * @returns {Array<Object>} Sensor fields
+ */
+function toSensorFields(keys) {
+  return keys.map(key => {
+    const sensorField = getSensorField(key);
+    if (!sensorField) {
+      throw new ValidationError('Unknown sensor field', [{ field: 'field', message: `"${key}" is not a registered sensor field`, value: key }]);
+    }
+    return sensorField;
+  });
+}
+
+/**
+ * Split requested field keys into stored fields to query and derived fields
+ * The inputs of derived fields are queried too, even when not requested.
+ * @param {Array<string>} keys - Sensor or derived field keys
+ * @returns {Object} { stored, derived } field lists
+ */
+function resolveFields(keys) {
+  const derived = keys.map(getDerivedField).filter(Boolean);
+  const storedKeys = new Set(keys.filter(key => !getDerivedField(key)));
+  derived.forEach(field => field.inputs.forEach(input => storedKeys.add(input)));
+
+  return { stored: toSensorFields([...storedKeys]), derived };
+}
+
+/**
+ * Add derived values to pivoted rows
+ * Rows of aggregates not in DERIVED_AGGREGATES get null derived values.
+ * Cached rows are shared, so rows are copied rather than modified.
+ * @param {Array<Object>} rows - Pivoted rows
+ * @param {Array<Object>} derived - Derived fields
+ * @param {string} aggregate - Aggregate the rows were queried with
+ * @returns {Array<Object>} Rows with a column per derived field
+ */
+function withDerivedValues(rows, derived, aggregate = 'mean') {
+  if (derived.length === 0) return rows;
+  const derivable = DERIVED_AGGREGATES.includes(aggregate);
+  return rows.map(row => ({ ...row, ...computeDerivedValues(derivable ? row : {}, derived) }));
+}
+
+/**
+ * Query several sensor fields at once, pivoted into one row per window
+ * Fields share their windows, so values of one row belong to the same _time.
+ * Results are cached (see cachedQuery).
+ * @param {Array<Object>} sensorFields - Sensor fields
+ * @param {string} startTime - Start time
+ * @param {string} endTime - End time
+ * @param {string} windowPeriod - Aggregation window
+ * @param {Object} options - Query options (see getEnvironmentalData); aggregate is a single function here
+ * @returns {Promise<Array<Object>>} Rows of { time, group, <field key>: value or null }
+ */
+function queryPivotedRows(sensorFields, startTime, endTime, windowPeriod, options) {
+  const fields = sensorFields.map(field => field.key);
+  return cachedQuery('data', { fields, startTime, endTime, windowPeriod, options }, () =>
+    fetchPivotedRows(sensorFields, startTime, endTime, windowPeriod, options),
+  rangeUntil(endTime));
+}
+
+/**
+ * Run the pivoted query of queryPivotedRows without the cache
+ * @param {Array<Object>} sensorFields - Sensor fields
+ * @param {string} startTime - Start time
+ * @param {string} endTime - End time
+ * @param {string} windowPeriod - Aggregation window
+ * @param {Object} options - Query options
+ * @returns {Promise<Array<Object>>} Rows
+ */
+async function fetchPivotedRows(sensorFields, startTime, endTime, windowPeriod, { raw = false, aggregate = 'mean', p, groupBy, ...filters }) {
+  const influxFields = sensorFields.map(field => field.influxField);
+  const plan = planRollupQuery(startTime, endTime, windowPeriod, aggregate);
+  const source = plan
+    ? rollupSource(influxFields, plan, filters)
+    : createFluxQuery(bucket)
+      .range(startTime, endTime)
+      .filter('_measurement', MEASUREMENT)
+      .filter('_field', influxFields)
+      .filterTags(toTagFilters(filters));
+
+  const query = source
+    .pipe(raw ? null : buildCalibrationFlux(sensorFields.map(field => field.key)))
+    .group(groupColumns(groupBy));
+  if (plan?.weighted) {
+    query.weightedMeanWindow(windowPeriod, WEIGHT_COLUMN);
+  } else {
+    query.aggregateWindow(windowPeriod, aggregate, { p });
+  }
+
+  const rows = await collectRows(
+    query
+      .group(groupBy ? [groupBy] : [])
+      .pivot(['_time'], ['_field'], '_value')
+      .sort(['_time'])
+      .yield(aggregate)
+      .build()
+  );
+
+  return rows.map(o => {
+    const row = { time: o._time };
+    if (groupBy) row.group = o[groupBy] ?? UNTAGGED_GROUP;
+    sensorFields.forEach(({ key, influxField }) => {
+      row[key] = o[influxField] ?? null;
+    });
+    return row;
+  });
+}
+
+/**
+ * Build the source of a query routed to rollups (see planRollupQuery)
+ * Rollups cover [from, until); the partial period at the start and the
+ * periods not rolled up yet at the end are raw data aggregated to the rollup
+ * period, so every part reaches the query's own window as one point per
+ * series and period. Calibration is linear and applied after, as for raw
+ * points. Weighted plans instead keep raw points as they are and give every
+ * row a _weight column: the count of a rolled-up mean, one for a raw point.
+ * @param {Array<string>} influxFields - Influx field names
+ * @param {Object} plan - Rollup plan
+ * @param {Object} filters - Tag filters
+ * @returns {Object} Query builder with one table per series
+ */
+function rollupSource(influxFields, { level, aggregate, weighted, start, from, until, end }, filters) {
+  const rolledUp = createFluxQuery(ROLLUP_CONFIG.bucket)
+    .range(from, until)
+    .filter('_measurement', ROLLUP_CONFIG.measurement)
+    .filter('rollup', level.every)
+    .filter('aggregate', weighted ? [aggregate, ROLLUP_WEIGHT] : aggregate)
+    .filter('_field', influxFields)
+    .filterTags(toTagFilters(filters));
+
+  if (weighted) {
+    // Each period mean with its count as weight, in one row
+    rolledUp
+      .group(['aggregate', '_time', '_value'], 'except')
+      .pivot(['_time'], ['aggregate'], '_value')
+      .pipe(flux`|> map(fn: (r) => ({r with _value: r[${aggregate}], _weight: r[${ROLLUP_WEIGHT}]}))`)
+      .drop([aggregate, ROLLUP_WEIGHT]);
+  }
+
+  rolledUp
+    .drop(weighted ? ['rollup'] : ['rollup', 'aggregate'])
+    // Same measurement as raw points, so both land in the same groups
+    .set('_measurement', MEASUREMENT);
+
+  const rawPeriods = (rangeStart, rangeStop) => {
+    const rawPoints = createFluxQuery(bucket)
+      .range(rangeStart, rangeStop)
+      .filter('_measurement', MEASUREMENT)
+      .filter('_field', influxFields)
+      .filterTags(toTagFilters(filters));
+
+    // Raw points weigh one reading each
+    return weighted
+      ? rawPoints.pipe(flux`|> map(fn: (r) => ({r with _weight: 1.0}))`)
+      : rawPoints.aggregateWindow(level.every, aggregate, { timeSrc: '_start' });
+  };
+
+  const parts = [rolledUp];
+  if (start < from) parts.push(rawPeriods(start, from));
+  if (until < end) parts.push(rawPeriods(until, end));
+
+  // Re-apply the range so every table has the same _start and _stop; the
+  // resolved bounds, as Influx would resolve now() a moment later
+  return createFluxUnion(parts).range(start, end);
+}
+
+/**
+ * Keep the time, group and requested columns of rows
+ * @param {Array<Object>} rows - Rows of { time, group?, <field key>: value }
+ * @param {Array<string>} keys - Field keys
+ * @returns {Array<Object>} Rows without other columns (e.g. inputs of derived fields)
+ */
+function toRows(rows, keys) {
+  return rows.map(({ time, group, ...values }) => {
+    const row = group === undefined ? { time } : { time, group };
+    keys.forEach(key => {
+      row[key] = values[key];
+    });
+    return row;
+  });
+}
+
+/**
+ * Turn rows into one array per column
+ * @param {Array<Object>} rows - Rows of { time, <field key>: value }
+ * @param {Array<string>} keys - Field keys
+ * @returns {Object} { time: [...], <field key>: [...] }
+ */
+function toColumns(rows, keys) {
+  const columns = { time: rows.map(row => row.time) };
+  keys.forEach(key => {
+    columns[key] = rows.map(row => row[key]);
+  });
+  return columns;
+}
+
+/**
+ * Get several sensor fields as a table from one pivoted query
+ * @param {Array<string>} fields - Sensor or derived field keys
+ * @param {string} startTime - Start time
+ * @param {string} endTime - End time
+ * @param {string} windowPeriod - Aggregation window
+ * @param {Object} options - Query options (see getEnvironmentalData); aggregate is a single function here
+ * @param {string} options.shape - 'rows' for [{ time, temperature, humidity, ... }],
+ *   'columns' for { time: [...], temperature: [...], ... }
+ * @returns {Promise<Array|Object>} Table, or tables keyed by tag value with groupBy
  */
-export async function getEnvironmentalData(field, startTime = '-1h', endTime = 'now()', windowPeriod = '5m') {
+export async function getEnvironmentalTable(fields, startTime = '-1h', endTime = 'now()', windowPeriod = '5m', { shape = 'rows', ...options } = {}) {
   try {
-    const fieldMapping = {
-      temperature: 'aht20_temperature_celsius',
-      humidity: 'aht20_humidity_percent',
-      pressure: 'bmp280_pressure_hpa'
-    };
+    const { stored, derived } = resolveFields(fields);
+    const rows = withDerivedValues(await queryPivotedRows(stored, startTime, endTime, windowPeriod, options), derived, options.aggregate);
+    const toShape = (tableRows) => (shape === 'columns' ? toColumns(tableRows, fields) : toRows(tableRows, fields));
 
-    const influxField = fieldMapping[field] || field;
+    if (!options.groupBy) return toShape(rows);
 
-    const query = `
-      from(bucket: "${bucket}")
-        |> range(start: ${startTime}, stop: ${endTime})
-        |> filter(fn: (r) => r["_measurement"] == "environment_data")
-        |> filter(fn: (r) => r["_field"] == "${influxField}")
-        |> aggregateWindow(every: ${windowPeriod}, fn: mean, createEmpty: false)
-        |> yield(name: "mean")
-    `;
+    const tables = {};
+    Object.entries(splitSeries(rows)).forEach(([group, groupRows]) => {
+      tables[group] = toShape(groupRows);
+    });
+    return tables;
+  } catch (error) {
+    console.error('Error querying InfluxDB:', error);
+    throw error;
+  }
+}
 
-    const result = [];
-    
-    return new Promise((resolve, reject) => {
-      queryApi.queryRows(query, {
-        next(row, tableMeta) {
-          const o = tableMeta.toObject(row);
-          result.push({
-            time: o._time,
-            value: o._value,
-            field: o._field,
-            measurement: o._measurement
+/**
+ * Get one series per sensor field, all fields from one pivoted query per aggregate
+ * @param {Array<string>} fields - Sensor field keys
+ * @param {string} startTime - Start time
+ * @param {string} endTime - End time
+ * @param {string} windowPeriod - Aggregation window
+ * @param {Object} options - Query options (see getEnvironmentalData)
+ * @returns {Promise<Object>} Series keyed by field key
+ */
+async function getFieldSeries(fields, startTime, endTime, windowPeriod, { aggregate = 'mean', groupBy, ...options }) {
+  const { stored, derived } = resolveFields(fields);
+  const aggregates = [].concat(aggregate);
+  const results = await Promise.all(aggregates.map(async fn => withDerivedValues(
+    await queryPivotedRows(stored, startTime, endTime, windowPeriod, { ...options, groupBy, aggregate: fn }),
+    derived,
+    fn
+  )));
+
+  const series = {};
+  fields.forEach(key => {
+    const influxField = getSensorField(key)?.influxField || key;
+    // Windows of the first aggregate, with the others attached by group and time
+    const points = new Map();
+    results.forEach((rows, index) => {
+      rows.forEach(row => {
+        if (row[key] === null) return;
+        const id = `${row.group}|${row.time}`;
+
+        if (index === 0) {
+          points.set(id, {
+            time: row.time,
+            value: row[key],
+            field: influxField,
+            measurement: MEASUREMENT,
+            ...(aggregates.length > 1 ? { aggregates: {} } : {}),
+            ...(groupBy ? { group: row.group } : {})
           });
-        },
-        error(error) {
-          console.error('InfluxDB query error:', error);
-          reject(error);
-        },
-        complete() {
-          resolve(result);
-        },
+        }
+
+        const point = points.get(id);
+        if (point?.aggregates) point.aggregates[aggregates[index]] = row[key];
       });
     });
+
+    const list = Array.from(points.values());
+    series[key] = groupBy ? splitSeries(list) : list;
+  });
+
+  return series;
+}
+
+/**
+ * Get environmental data for a specific time range
+ * @param {string} field - Sensor field key (see sensorFields.js)
+ * @param {string} startTime - Start time (ISO string or relative time like '-1h')
+ * @param {string} endTime - End time (ISO string or 'now()')
+ * @param {string} windowPeriod - Aggregation window (e.g., '5m', '1h')
+ * @param {Object} options - Query options
+ * @param {boolean} options.raw - Skip calibration and return stored values
+ * @param {string|Array<string>} options.aggregate - Aggregate function(s) per window, see AGGREGATE_FUNCTIONS;
+ *   with several, value holds the first and aggregates holds all of them (e.g. min/max bands)
+ * @param {number} options.p - Quantile for the quantile aggregate (0-1)
+ * @param {Array<string>} options.deviceId - Only these devices
+ * @param {Array<string>} options.location - Only these locations
+ * @param {Object} options.tag - Only points with these tag values
+ * @param {string} options.groupBy - Return one series per value of this tag
+ * @returns {Promise<Array|Object>} Array of data points, or arrays keyed by tag value with groupBy
+ */
+export async function getEnvironmentalData(field, startTime = '-1h', endTime = 'now()', windowPeriod = '5m', options = {}) {
+  const underivable = [].concat(options.aggregate || 'mean').filter(fn => !DERIVED_AGGREGATES.includes(fn));
+  if (getDerivedField(field) && underivable.length > 0) {
+    throw new ValidationError('Unsupported aggregate', [{
+      field: 'aggregate',
+      message: `"${field}" is derived and can only be aggregated with ${DERIVED_AGGREGATES.join(', ')}`,
+      value: underivable
+    }]);
+  }
+
+  try {
+    const series = await getFieldSeries([field], startTime, endTime, windowPeriod, options);
+    return series[field];
   } catch (error) {
     console.error('Error querying InfluxDB:', error);
     throw error;
@@ -80,24 +555,21 @@ export async function getEnvironmentalData(field, startTime = '-1h', endTime = '
 }
 
 /**
- * Get all environmental data (temperature, humidity, pressure) for a time range
+ * Get all environmental data (every registered sensor field and derived field) for a time range
+ * All fields come from a single query per aggregate.
  * @param {string} startTime - Start time
  * @param {string} endTime - End time  
  * @param {string} windowPeriod - Aggregation window
- * @returns {Promise<Object>} Object with temperature, humidity, and pressure arrays
+ * @param {Object} options - Query options (see getEnvironmentalData)
+ * @returns {Promise<Object>} Object with an array per sensor field key (arrays keyed by tag value with groupBy)
  */
-export async function getAllEnvironmentalData(startTime = '-1h', endTime = 'now()', windowPeriod = '5m') {
+export async function getAllEnvironmentalData(startTime = '-1h', endTime = 'now()', windowPeriod = '5m', options = {}) {
   try {
-    const [temperature, humidity, pressure] = await Promise.all([
-      getEnvironmentalData('temperature', startTime, endTime, windowPeriod),
-      getEnvironmentalData('humidity', startTime, endTime, windowPeriod),
-      getEnvironmentalData('pressure', startTime, endTime, windowPeriod)
-    ]);
+    const keys = [...getSensorFields(), ...getDerivedFields()].map(field => field.key);
+    const data = await getFieldSeries(keys, startTime, endTime, windowPeriod, options);
 
     return {
-      temperature,
-      humidity,
-      pressure,
+      ...data,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -106,19 +578,56 @@ export async function getAllEnvironmentalData(startTime = '-1h', endTime = 'now(
   }
 }
 
+/**
+ * Add derived fields to the latest readings of one series
+ * Inputs are each sensor's last reading, so the derived reading takes the
+ * time of the oldest input.
+ * @param {Object} readings - Latest readings keyed by sensor field key
+ */
+function addDerivedReadings(readings) {
+  const values = {};
+  Object.entries(readings).forEach(([key, reading]) => {
+    values[key] = reading.value;
+  });
+
+  Object.entries(computeDerivedValues(values)).forEach(([key, value]) => {
+    if (value === null) return;
+
+    readings[key] = {
+      value,
+      time: getDerivedField(key).inputs.map(input => readings[input].time).sort()[0],
+      field: key,
+      derived: true
+    };
+  });
+}
+
 /**
  * Get latest environmental data point
+ * @param {Object} options - Query options (tag filters and groupBy as in getEnvironmentalData)
+ * @param {boolean} options.raw - Skip calibration and return stored values
+ * @returns {Promise<Object>} Latest data point for each sensor, keyed by tag value first with groupBy
+ */
+export async function getLatestData(options = {}) {
+  return cachedQuery('latest', options, () => fetchLatestData(options));
+}
+
+/**
+ * Run the latest data query without the cache
+ * @param {Object} options - Query options (see getLatestData)
  * @returns {Promise<Object>} Latest data point for each sensor
  */
-export async function getLatestData() {
+async function fetchLatestData({ raw = false, groupBy, ...filters } = {}) {
   try {
-    const query = `
-      from(bucket: "${bucket}")
-        |> range(start: -1h)
-        |> filter(fn: (r) => r["_measurement"] == "environment_data")
-        |> filter(fn: (r) => r["_field"] == "aht20_temperature_celsius" or r["_field"] == "aht20_humidity_percent" or r["_field"] == "bmp280_pressure_hpa")
-        |> last()
-    `;
+    const query = createFluxQuery(bucket)
+      .range('-1h')
+      .filter('_measurement', MEASUREMENT)
+      .filter('_field', getSensorFields().map(field => field.influxField))
+      .filterTags(toTagFilters(filters))
+      .group(groupColumns(groupBy))
+      .sort(['_time'])
+      .last()
+      .build();
 
     const result = {};
     
@@ -126,11 +635,17 @@ export async function getLatestData() {
       queryApi.queryRows(query, {
         next(row, tableMeta) {
           const o = tableMeta.toObject(row);
-          const fieldType = o._field.includes('temperature') ? 'temperature' :
-                           o._field.includes('humidity') ? 'humidity' : 'pressure';
+          const sensorField = findFieldByInfluxField(o._field);
+          if (!sensorField) return;
+          
+          let target = result;
+          if (groupBy) {
+            const group = o[groupBy] ?? UNTAGGED_GROUP;
+            target = result[group] = result[group] || {};
+          }
           
-          result[fieldType] = {
-            value: o._value,
+          target[sensorField.key] = {
+            value: raw ? o._value : calibrateValue(o._value, sensorField.key, o.deviceId || null, o._time),
             time: o._time,
             field: o._field
           };
@@ -140,6 +655,11 @@ export async function getLatestData() {
           reject(error);
         },
         complete() {
+          if (groupBy) {
+            Object.values(result).forEach(addDerivedReadings);
+          } else {
+            addDerivedReadings(result);
+          }
           resolve(result);
         },
       });
@@ -150,6 +670,149 @@ export async function getLatestData() {
   }
 }
 
+/**
+ * Get the reading timeline of every sensor field and device in a range
+ * Only intervals longer than minGapSeconds are returned, so the query stays
+ * small however many readings the range holds.
+ * @param {Array<string>} fields - Sensor field keys
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range stop
+ * @param {number} minGapSeconds - Shortest interval between readings returned
+ * @param {Object} filters - Tag filters (deviceId, location, tag)
+ * @returns {Promise<Array<Object>>} Series of { field, deviceId, samples, firstReading,
+ *   lastReading, intervals: [{ start, end, seconds }] }
+ */
+export async function getSeriesTimeline(fields, startTime, endTime, minGapSeconds, filters = {}) {
+  const params = { fields, startTime, endTime, minGapSeconds, filters };
+  return cachedQuery('data', params, () => fetchSeriesTimeline(params), rangeUntil(endTime));
+}
+
+/**
+ * Run the timeline queries of getSeriesTimeline without the cache
+ * @param {Object} params - Parameters of getSeriesTimeline
+ * @returns {Promise<Array<Object>>} Series
+ */
+async function fetchSeriesTimeline({ fields, startTime, endTime, minGapSeconds, filters }) {
+  const sensorFields = toSensorFields(fields);
+
+  // One table per field and device
+  const series = () => createFluxQuery(bucket)
+    .range(startTime, endTime)
+    .filter('_measurement', MEASUREMENT)
+    .filter('_field', sensorFields.map(field => field.influxField))
+    .filterTags(toTagFilters(filters))
+    .group(['_field', 'deviceId'])
+    .sort(['_time']);
+
+  const [counts, firsts, lasts, intervals] = await Promise.all([
+    collectRows(series().count().build()),
+    collectRows(series().first().build()),
+    collectRows(series().last().build()),
+    collectRows(series()
+      .elapsed('1s')
+      .pipe(flux`|> filter(fn: (r) => r.elapsed > ${fluxInteger(Math.floor(minGapSeconds))})`)
+      .build())
+  ]);
+
+  const timeline = new Map();
+  const entry = (o) => {
+    const key = `${o._field}|${o.deviceId ?? ''}`;
+    if (!timeline.has(key)) {
+      timeline.set(key, {
+        field: findFieldByInfluxField(o._field)?.key || o._field,
+        deviceId: o.deviceId ?? null,
+        samples: 0,
+        firstReading: null,
+        lastReading: null,
+        intervals: []
+      });
+    }
+    return timeline.get(key);
+  };
+
+  counts.forEach(o => { entry(o).samples = o._value; });
+  firsts.forEach(o => { entry(o).firstReading = o._time; });
+  lasts.forEach(o => { entry(o).lastReading = o._time; });
+  intervals.forEach(o => {
+    entry(o).intervals.push({
+      start: new Date(new Date(o._time).getTime() - o.elapsed * 1000).toISOString(),
+      end: o._time,
+      seconds: o.elapsed
+    });
+  });
+
+  return Array.from(timeline.values());
+}
+
+/**
+ * Write rollups of every sensor field for a range
+ * Each series (field and tag set) gets one point per period and aggregate,
+ * stamped with the period start and tagged with rollup and aggregate.
+ * Rewriting a range replaces its points, e.g. after late readings.
+ * @param {string} every - Rollup period (e.g. 1h)
+ * @param {Array<string>} aggregates - Aggregate functions (see ROLLUP_AGGREGATES)
+ * @param {Date} start - Range start, on a period boundary
+ * @param {Date} stop - Range end (exclusive), on a period boundary
+ * @returns {Promise<number>} Points written
+ */
+export async function writeRollups(every, aggregates, start, stop) {
+  const influxFields = getSensorFields().map(field => field.influxField);
+  let written = 0;
+
+  for (const aggregate of aggregates) {
+    const counts = await collectRows(
+      createFluxQuery(bucket)
+        .range(start, stop)
+        .filter('_measurement', MEASUREMENT)
+        .filter('_field', influxFields)
+        .aggregateWindow(every, aggregate, { timeSrc: '_start' })
+        // Counts are integers; the field keeps one type across aggregates
+        .pipe(aggregate === 'count' ? flux`|> toFloat()` : null)
+        .set('_measurement', ROLLUP_CONFIG.measurement)
+        .set('rollup', every)
+        .set('aggregate', aggregate)
+        .to(ROLLUP_CONFIG.bucket)
+        .count()
+        .build()
+    );
+    written += counts.reduce((total, o) => total + o._value, 0);
+  }
+
+  // Queries served by the rewritten periods were cached from the old rollups
+  invalidateQueryCache(start);
+  return written;
+}
+
+/**
+ * Build an InfluxDB point from plain values
+ * @param {string} measurement - Measurement name
+ * @param {Object} fields - Field values
+ * @param {Object} tags - Tag values
+ * @param {Date} timestamp - Point timestamp
+ * @returns {Point} InfluxDB point
+ */
+function buildPoint(measurement, fields, tags = {}, timestamp = new Date()) {
+  const point = new Point(measurement);
+  
+  // Add tags
+  Object.entries(tags).forEach(([key, value]) => {
+    point.tag(key, value);
+  });
+  
+  // Add fields
+  Object.entries(fields).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      point.floatField(key, value);
+    } else {
+      point.stringField(key, value);
+    }
+  });
+  
+  point.timestamp(timestamp);
+  
+  return point;
+}
+
 /**
  * Write data point to InfluxDB
  * @param {string} measurement - Measurement name
@@ -159,26 +822,10 @@ export async function getLatestData() {
  */
 export async function writeDataPoint(measurement, fields, tags = {}) {
   try {
-    const point = new Point(measurement);
-    
-    // Add tags
-    Object.entries(tags).forEach(([key, value]) => {
-      point.tag(key, value);
-    });
-    
-    // Add fields
-    Object.entries(fields).forEach(([key, value]) => {
-      if (typeof value === 'number') {
-        point.floatField(key, value);
-      } else {
-        point.stringField(key, value);
-      }
-    });
-    
-    point.timestamp(new Date());
-    
-    writeApi.writePoint(point);
+    const timestamp = new Date();
+    writeApi.writePoint(buildPoint(measurement, fields, tags, timestamp));
     await writeApi.flush();
+    invalidateQueryCache(timestamp);
     
     console.log('Data point written to InfluxDB');
   } catch (error) {
@@ -187,19 +834,52 @@ export async function writeDataPoint(measurement, fields, tags = {}) {
   }
 }
 
+/**
+ * Write a batch of data points to InfluxDB in a single request
+ * @param {Array<Object>} records - Records of { measurement, fields, tags, timestamp }
+ * @returns {Promise<void>}
+ */
+export async function writeDataPoints(records) {
+  if (records.length === 0) return;
+
+  try {
+    const points = records.map(({ measurement, fields, tags, timestamp }) =>
+      buildPoint(measurement, fields, tags, timestamp)
+    );
+    
+    writeApi.writePoints(points);
+    await writeApi.flush();
+
+    const oldest = Math.min(...records.map(({ timestamp }) => (timestamp ? timestamp.getTime() : Date.now())));
+    invalidateQueryCache(new Date(oldest));
+    
+    console.log(`${points.length} data points written to InfluxDB`);
+  } catch (error) {
+    console.error('Error writing batch to InfluxDB:', error);
+    throw error;
+  }
+}
+
 /**
  * Test InfluxDB connection and bucket availability
  * @returns {Promise<Object>} Connection test result
  */
 export async function testConnection() {
+  return cachedQuery('connection', {}, runConnectionTest, -Infinity);
+}
+
+/**
+ * Run the connection test query without the cache
+ * @returns {Promise<Object>} Connection test result
+ */
+async function runConnectionTest() {
   try {
     console.log('Testing InfluxDB connection...');
     // Try a simple query to test bucket access
-    const testQuery = `
-      from(bucket: "${bucket}")
-        |> range(start: -1m)
-        |> limit(n: 1)
-    `;
+    const testQuery = createFluxQuery(bucket)
+      .range('-1m')
+      .limit(1)
+      .build();
 
     const result = [];
     return new Promise((resolve, reject) => {
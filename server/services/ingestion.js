@@ -0,0 +1,275 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { TOPICS, subscribeToDeviceTopic } from './mqtt.js';
+import { writeDataPoints } from './influxdb.js';
+import { calibrateValue } from './calibration.js';
+import { getSensorFields, findFieldByInfluxField } from './sensorFields.js';
+import { sanitizeDeviceId, sanitizeString } from '../middleware/validation.js';
+
+dotenv.config();
+
+const INGESTION_CONFIG = {
+  measurement: 'environment_data',
+  batchSize: parseInt(process.env.INGEST_BATCH_SIZE) || 50,
+  flushInterval: parseInt(process.env.INGEST_FLUSH_INTERVAL) || 5000,
+  // Points kept for retry while InfluxDB is unreachable; the oldest are dropped beyond this
+  maxBuffered: parseInt(process.env.INGEST_MAX_BUFFER) || 10000
+};
+
+/**
+ * Emits 'reading' (with calibrated values) for every accepted sensor message
+ * and 'flush' (with the batch size and timestamps) after each successful batch write
+ */
+export const ingestionEvents = new EventEmitter();
+
+let buffer = [];
+let flushTimer = null;
+let flushing = null;
+// Set while a failed batch waits for the timer, so full buffers don't retry on every message
+let writeFailed = false;
+let unsubscribe = null;
+
+const stats = {
+  received: 0,
+  accepted: 0,
+  rejected: 0,
+  written: 0,
+  failedWrites: 0,
+  dropped: 0,
+  lastFlush: null,
+  lastError: null
+};
+
+/**
+ * Parse a timestamp from a device payload
+ * Accepts ISO strings, epoch seconds and epoch milliseconds.
+ * @param {string|number} value - Timestamp value
+ * @returns {Date} Parsed timestamp (now when missing or invalid)
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null) return new Date();
+
+  let date;
+  if (typeof value === 'number') {
+    // Devices without RTC commonly report epoch seconds
+    date = new Date(value < 1e12 ? value * 1000 : value);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Map a device payload onto environment_data field names
+ * @param {Object} payload - Parsed MQTT payload
+ * @returns {Object} Field values keyed by InfluxDB field name
+ */
+export function mapPayloadToFields(payload) {
+  const fields = {};
+  const setField = (field, value) => {
+    const numeric = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof numeric === 'number' && Number.isFinite(numeric)) {
+      fields[field] = numeric;
+    }
+  };
+
+  const sensorFields = getSensorFields();
+
+  // Flat payload: { temperature, humidity, pressure }
+  sensorFields.forEach(({ key, influxField }) => {
+    if (key in payload) setField(influxField, payload[key]);
+  });
+
+  // Registered payload paths, e.g. { aht20: { temperature, humidity }, bmp280: { pressure } }
+  sensorFields.forEach(({ payloadKeys, influxField }) => {
+    payloadKeys.forEach(path => {
+      const value = path.split('.').reduce((current, part) =>
+        current && typeof current === 'object' ? current[part] : undefined, payload);
+      if (value !== undefined) setField(influxField, value);
+    });
+  });
+
+  // Payload already using InfluxDB field names, at top level or under "fields"
+  [payload, payload.fields || {}].forEach(source => {
+    Object.entries(source).forEach(([key, value]) => {
+      if (findFieldByInfluxField(key)) setField(key, value);
+    });
+  });
+
+  return fields;
+}
+
+/**
+ * Convert an MQTT sensor message into a normalized reading
+ * @param {Object} payload - Parsed MQTT payload
+ * @returns {Object|null} Reading or null when the payload holds no sensor values
+ */
+export function normalizeReading(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const fields = mapPayloadToFields(payload);
+  if (Object.keys(fields).length === 0) return null;
+
+  const deviceId = sanitizeDeviceId(payload.deviceId || payload.device_id);
+  const location = sanitizeString(payload.location, 100);
+
+  const tags = {};
+  if (deviceId) tags.deviceId = deviceId;
+  if (location) tags.location = location;
+
+  const values = {};
+  Object.entries(fields).forEach(([influxField, value]) => {
+    values[findFieldByInfluxField(influxField).key] = value;
+  });
+
+  return {
+    measurement: INGESTION_CONFIG.measurement,
+    deviceId,
+    location: location || null,
+    timestamp: parseTimestamp(payload.timestamp),
+    fields,
+    tags,
+    values
+  };
+}
+
+/**
+ * Apply calibration profiles to a reading's dashboard values
+ * Raw values are what gets stored; listeners see calibrated values.
+ * @param {Object} reading - Normalized reading
+ * @returns {Object} Reading with calibrated values and the raw values in rawValues
+ */
+function calibrateReading(reading) {
+  const values = {};
+  Object.entries(reading.values).forEach(([field, value]) => {
+    values[field] = calibrateValue(value, field, reading.deviceId, reading.timestamp);
+  });
+
+  return { ...reading, values, rawValues: reading.values };
+}
+
+/**
+ * Put a failed batch back in front of the buffer for the next flush
+ * Beyond maxBuffered the oldest points are dropped and counted.
+ * @param {Array<Object>} batch - Points that failed to write
+ */
+function rebufferFailedBatch(batch) {
+  buffer = [...batch, ...buffer];
+
+  const overflow = buffer.length - INGESTION_CONFIG.maxBuffered;
+  if (overflow > 0) {
+    buffer = buffer.slice(overflow);
+    stats.dropped += overflow;
+    console.error(`❌ Ingestion buffer full, dropped ${overflow} oldest points (${stats.dropped} in total)`);
+  }
+}
+
+/**
+ * Write buffered points to InfluxDB
+ * Failed batches are kept and retried on the next flush; rewriting points
+ * that did reach InfluxDB only overwrites them with the same values.
+ * @returns {Promise<number>} Number of points written
+ */
+export async function flushIngestionBuffer() {
+  // Serialize flushes so batches are written in order; another waiter may
+  // have started a flush by the time this one resumes
+  while (flushing) await flushing;
+  if (buffer.length === 0) return 0;
+
+  const batch = buffer;
+  buffer = [];
+
+  const flush = (async () => {
+    try {
+      await writeDataPoints(batch);
+      stats.written += batch.length;
+      stats.lastFlush = new Date().toISOString();
+      ingestionEvents.emit('flush', { count: batch.length, timestamps: batch.map(record => record.timestamp) });
+      writeFailed = false;
+      return batch.length;
+    } catch (error) {
+      stats.failedWrites += batch.length;
+      stats.lastError = error.message;
+      console.error(`❌ Failed to write ${batch.length} ingested points, retrying on next flush:`, error.message);
+      rebufferFailedBatch(batch);
+      writeFailed = true;
+      return 0;
+    }
+  })();
+
+  flushing = flush;
+  const written = await flush;
+  // A newer flush may have replaced this one
+  if (flushing === flush) flushing = null;
+  return written;
+}
+
+/**
+ * Handle a message received on the sensor data topic
+ * @param {Object} payload - Parsed MQTT payload
+ */
+export function handleSensorMessage(payload) {
+  stats.received++;
+
+  const reading = normalizeReading(payload);
+  if (!reading) {
+    stats.rejected++;
+    console.warn('⚠️ Ignoring sensor message without numeric readings:', payload);
+    return;
+  }
+
+  stats.accepted++;
+  buffer.push({
+    measurement: reading.measurement,
+    fields: reading.fields,
+    tags: reading.tags,
+    timestamp: reading.timestamp
+  });
+
+  ingestionEvents.emit('reading', calibrateReading(reading));
+
+  if (buffer.length >= INGESTION_CONFIG.batchSize && !writeFailed) {
+    flushIngestionBuffer();
+  }
+}
+
+/**
+ * Start persisting MQTT sensor readings into InfluxDB
+ * @returns {Promise<void>}
+ */
+export async function startIngestion() {
+  if (unsubscribe) return;
+
+  unsubscribe = await subscribeToDeviceTopic(TOPICS.SENSOR_DATA, handleSensorMessage);
+  flushTimer = setInterval(flushIngestionBuffer, INGESTION_CONFIG.flushInterval);
+
+  console.log(`📥 Sensor ingestion started (batch size ${INGESTION_CONFIG.batchSize}, flush every ${INGESTION_CONFIG.flushInterval}ms)`);
+}
+
+/**
+ * Stop ingestion and write any buffered points
+ * @returns {Promise<void>}
+ */
+export async function stopIngestion() {
+  if (!unsubscribe) return;
+
+  clearInterval(flushTimer);
+  flushTimer = null;
+
+  await unsubscribe().catch(() => {});
+  unsubscribe = null;
+  await flushIngestionBuffer();
+}
+
+/**
+ * Get ingestion pipeline statistics
+ * @returns {Object} Counters and buffer state
+ */
+export function getIngestionStats() {
+  return {
+    ...stats,
+    buffered: buffer.length,
+    running: unsubscribe !== null
+  };
+}
@@ -1,5 +1,7 @@
+import { EventEmitter } from 'events';
 import mqtt from 'mqtt';
 import dotenv from 'dotenv';
+import { isValidMQTTTopic } from '../middleware/validation.js';
 
 dotenv.config();
 
@@ -19,12 +21,180 @@ export const TOPICS = {
   SENSOR_COMMANDS: 'sensors/commands',
   SENSOR_CONFIG: 'sensors/config',
   DEVICE_STATUS: 'devices/status',
-  DEVICE_HEARTBEAT: 'devices/heartbeat'
+  DEVICE_HEARTBEAT: 'devices/heartbeat',
+  COMMAND_REPLY: 'devices/commands/reply',
+  ALERTS: 'alerts/notifications'
 };
 
+/**
+ * Topic addressing modes
+ * - legacy: shared topics only (TOPICS)
+ * - per-device: one topic per device built from DEVICE_TOPIC_TEMPLATE
+ * - compat: listen on both; publish per-device to devices seen on their own
+ *   topics and on the shared topics to everyone else
+ */
+export const TOPIC_MODES = ['legacy', 'per-device', 'compat'];
+
+const DEFAULT_DEVICE_TOPIC_TEMPLATE = 'weatherly/{deviceId}/{channel}';
+
+export const TOPIC_CONFIG = {
+  mode: TOPIC_MODES.includes(process.env.MQTT_TOPIC_MODE) ? process.env.MQTT_TOPIC_MODE : 'compat',
+  deviceTemplate: process.env.MQTT_DEVICE_TOPIC_TEMPLATE || DEFAULT_DEVICE_TOPIC_TEMPLATE
+};
+
+if (!TOPIC_CONFIG.deviceTemplate.includes('{deviceId}') || !TOPIC_CONFIG.deviceTemplate.includes('{channel}')) {
+  console.warn(`⚠️ MQTT_DEVICE_TOPIC_TEMPLATE must contain {deviceId} and {channel}, using ${DEFAULT_DEVICE_TOPIC_TEMPLATE}`);
+  TOPIC_CONFIG.deviceTemplate = DEFAULT_DEVICE_TOPIC_TEMPLATE;
+}
+
+// Per-device channel names substituted for {channel} in the device template
+const DEVICE_CHANNELS = {
+  [TOPICS.SENSOR_DATA]: 'data',
+  [TOPICS.SENSOR_COMMANDS]: 'cmd',
+  [TOPICS.SENSOR_CONFIG]: 'config',
+  [TOPICS.DEVICE_STATUS]: 'status',
+  [TOPICS.DEVICE_HEARTBEAT]: 'heartbeat',
+  [TOPICS.COMMAND_REPLY]: 'reply'
+};
+
+/**
+ * Find the shared topics a per-device template would also match
+ * A template like {deviceId}/{channel} turns sensors/data into data from a
+ * device called "sensors", so such templates are rejected.
+ * @param {string} template - Device topic template
+ * @returns {Array<string>} Shared topics matched by the template's subscriptions
+ */
+export function findSharedTopicOverlap(template) {
+  const subscriptions = Object.values(DEVICE_CHANNELS).map(channel =>
+    template.replace('{deviceId}', '+').replace('{channel}', channel)
+  );
+  return Object.values(TOPICS).filter(topic =>
+    subscriptions.some(subscription => topicMatches(subscription, topic))
+  );
+}
+
+const sharedTopicOverlap = findSharedTopicOverlap(TOPIC_CONFIG.deviceTemplate);
+if (sharedTopicOverlap.length > 0) {
+  console.warn(`⚠️ MQTT_DEVICE_TOPIC_TEMPLATE ${TOPIC_CONFIG.deviceTemplate} matches shared topics ${sharedTopicOverlap.join(', ')}, using ${DEFAULT_DEVICE_TOPIC_TEMPLATE}`);
+  TOPIC_CONFIG.deviceTemplate = DEFAULT_DEVICE_TOPIC_TEMPLATE;
+}
+
 let mqttClient = null;
 let messageHandlers = new Map();
 
+// Callbacks waiting for the next successful connection
+let connectCallbacks = [];
+
+// Devices that have published on their per-device topics (used in compat mode);
+// the device registry persists them and restores them on startup
+const perDeviceClients = new Set();
+
+/**
+ * Emits 'perDeviceClient' with the device ID the first time a device is seen
+ * on its per-device topics
+ */
+export const mqttEvents = new EventEmitter();
+
+/**
+ * Record that a device uses its per-device topics
+ * @param {string} deviceId - Device ID
+ */
+export function addPerDeviceClient(deviceId) {
+  if (perDeviceClients.has(deviceId)) return;
+
+  perDeviceClients.add(deviceId);
+  mqttEvents.emit('perDeviceClient', deviceId);
+}
+
+/**
+ * Check whether a device has been seen on its per-device topics
+ * @param {string} deviceId - Device ID
+ * @returns {boolean} Whether the device uses per-device topics
+ */
+export function usesPerDeviceTopics(deviceId) {
+  return perDeviceClients.has(deviceId);
+}
+
+/**
+ * Build the per-device topic for a channel
+ * @param {string} topic - Shared topic identifying the channel (a TOPICS value)
+ * @param {string} deviceId - Device ID, or '+' for a wildcard subscription
+ * @returns {string} Per-device topic
+ */
+export function formatDeviceTopic(topic, deviceId) {
+  return TOPIC_CONFIG.deviceTemplate
+    .replace('{deviceId}', deviceId)
+    .replace('{channel}', DEVICE_CHANNELS[topic]);
+}
+
+/**
+ * Check whether a topic matches an MQTT subscription pattern
+ * @param {string} pattern - Subscription pattern (may contain + and #)
+ * @param {string} topic - Concrete topic
+ * @returns {boolean} Whether the topic matches
+ */
+export function topicMatches(pattern, topic) {
+  if (pattern === topic) return true;
+
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    if (patternLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (patternLevels[i] !== '+' && patternLevels[i] !== topicLevels[i]) return false;
+  }
+
+  return patternLevels.length === topicLevels.length;
+}
+
+/**
+ * Extract the device ID from a per-device topic
+ * @param {string} topic - Shared topic identifying the channel (a TOPICS value)
+ * @param {string} receivedTopic - Topic the message arrived on
+ * @returns {string|null} Device ID or null when the topic is not per-device
+ */
+export function extractDeviceId(topic, receivedTopic) {
+  const [prefix, suffix] = formatDeviceTopic(topic, '\u0000').split('\u0000');
+  if (!receivedTopic.startsWith(prefix) || !receivedTopic.endsWith(suffix)) return null;
+
+  const deviceId = receivedTopic.slice(prefix.length, receivedTopic.length - suffix.length);
+  return deviceId && !deviceId.includes('/') ? deviceId : null;
+}
+
+/**
+ * Get the topics to subscribe to for a channel in the configured mode
+ * @param {string} topic - Shared topic identifying the channel (a TOPICS value)
+ * @returns {Array<string>} Subscription topics
+ */
+export function getSubscriptionTopics(topic) {
+  switch (TOPIC_CONFIG.mode) {
+    case 'legacy':
+      return [topic];
+    case 'per-device':
+      return [formatDeviceTopic(topic, '+')];
+    default:
+      return [topic, formatDeviceTopic(topic, '+')];
+  }
+}
+
+/**
+ * Get the topic to publish a device message on in the configured mode
+ * @param {string} topic - Shared topic identifying the channel (a TOPICS value)
+ * @param {string} deviceId - Target device (messages without one use the shared topic)
+ * @returns {string} Publish topic
+ */
+export function getDeviceTopic(topic, deviceId) {
+  if (!deviceId || TOPIC_CONFIG.mode === 'legacy') return topic;
+  if (TOPIC_CONFIG.mode === 'compat' && !perDeviceClients.has(deviceId)) return topic;
+
+  const deviceTopic = formatDeviceTopic(topic, deviceId);
+  if (!isValidMQTTTopic(deviceTopic)) {
+    throw new Error(`Invalid device topic: ${deviceTopic}`);
+  }
+  return deviceTopic;
+}
+
 /**
  * Initialize MQTT client connection
  * @returns {Promise<Object>} MQTT client instance
@@ -52,7 +222,7 @@ export async function initializeMQTT() {
           TOPICS.SENSOR_DATA,
           TOPICS.DEVICE_STATUS,
           TOPICS.DEVICE_HEARTBEAT
-        ];
+        ].flatMap(getSubscriptionTopics);
         
         topicsToSubscribe.forEach(topic => {
           mqttClient.subscribe(topic, (err) => {
@@ -63,6 +233,10 @@ export async function initializeMQTT() {
             }
           });
         });
+
+        const callbacks = connectCallbacks;
+        connectCallbacks = [];
+        callbacks.forEach(callback => callback());
         
         resolve(mqttClient);
       });
@@ -86,14 +260,17 @@ export async function initializeMQTT() {
             parsedMessage = { raw: messageStr };
           }
           
-          // Call registered handlers for this topic
-          const handlers = messageHandlers.get(topic) || [];
-          handlers.forEach(handler => {
-            try {
-              handler(parsedMessage, topic);
-            } catch (handlerError) {
-              console.error('❌ Error in message handler:', handlerError);
-            }
+          // Call registered handlers for every pattern matching this topic
+          messageHandlers.forEach((handlers, pattern) => {
+            if (!topicMatches(pattern, topic)) return;
+
+            handlers.forEach(handler => {
+              try {
+                handler(parsedMessage, topic);
+              } catch (handlerError) {
+                console.error('❌ Error in message handler:', handlerError);
+              }
+            });
           });
           
         } catch (error) {
@@ -228,6 +405,34 @@ export async function unsubscribeFromTopic(topic, handler = null) {
   });
 }
 
+/**
+ * Subscribe to a device channel on its shared and/or per-device topics
+ * Messages from per-device topics get their deviceId from the topic.
+ * @param {string} topic - Shared topic identifying the channel (a TOPICS value)
+ * @param {Function} handler - Called with (message, receivedTopic, deviceId)
+ * @returns {Promise<Function>} Async function removing the subscription
+ */
+export async function subscribeToDeviceTopic(topic, handler) {
+  const deviceHandler = (message, receivedTopic) => {
+    const topicDeviceId = receivedTopic === topic ? null : extractDeviceId(topic, receivedTopic);
+
+    if (topicDeviceId) {
+      addPerDeviceClient(topicDeviceId);
+      const payload = message && typeof message === 'object' ? { ...message, deviceId: topicDeviceId } : message;
+      return handler(payload, receivedTopic, topicDeviceId);
+    }
+
+    return handler(message, receivedTopic, message?.deviceId || null);
+  };
+
+  const subscriptions = getSubscriptionTopics(topic);
+  await Promise.all(subscriptions.map(subscription => subscribeToTopic(subscription, deviceHandler)));
+
+  return async () => {
+    await Promise.all(subscriptions.map(subscription => unsubscribeFromTopic(subscription, deviceHandler)));
+  };
+}
+
 /**
  * Send command to IoT device
  * @param {Object} command - Command object
@@ -240,7 +445,7 @@ export async function sendDeviceCommand(command) {
     ...command
   };
 
-  await publishMessage(TOPICS.SENSOR_COMMANDS, commandMessage);
+  await publishMessage(getDeviceTopic(TOPICS.SENSOR_COMMANDS, commandMessage.deviceId), commandMessage);
 }
 
 /**
@@ -255,7 +460,20 @@ export async function sendDeviceConfig(config) {
     ...config
   };
 
-  await publishMessage(TOPICS.SENSOR_CONFIG, configMessage);
+  await publishMessage(getDeviceTopic(TOPICS.SENSOR_CONFIG, configMessage.deviceId), configMessage);
+}
+
+/**
+ * Run a callback once the client is connected: immediately if it already is,
+ * otherwise on the next connect, including reconnects after a failed first attempt
+ * @param {Function} callback - Callback to run
+ */
+export function onConnected(callback) {
+  if (isConnected()) {
+    callback();
+  } else {
+    connectCallbacks.push(callback);
+  }
 }
 
 /**
@@ -0,0 +1,287 @@
+import dotenv from 'dotenv';
+import { RateLimiterMemory } from 'rate-limiter-flexible';
+import { TOPICS } from './mqtt.js';
+import { alertEvents } from './alerts.js';
+import { deviceEvents, getDevice } from './deviceRegistry.js';
+import { createNotificationChannel, loadTemplates, renderTemplate } from '../notifications/index.js';
+
+dotenv.config();
+
+const NOTIFICATION_CONFIG = {
+  webhook: {
+    url: process.env.NOTIFY_WEBHOOK_URL,
+    secret: process.env.NOTIFY_WEBHOOK_SECRET
+  },
+  email: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.NOTIFY_EMAIL_FROM || 'weatherly@localhost',
+    to: process.env.NOTIFY_EMAIL_TO
+  },
+  mqtt: {
+    enabled: process.env.NOTIFY_MQTT_ENABLED !== 'false',
+    topic: process.env.NOTIFY_MQTT_TOPIC || TOPICS.ALERTS
+  },
+  templatesFile: process.env.NOTIFY_TEMPLATES_FILE,
+  retryAttempts: parseInt(process.env.NOTIFY_RETRY_ATTEMPTS) || 3,
+  retryDelay: parseInt(process.env.NOTIFY_RETRY_DELAY_MS) || 1000,
+  // Notifications per channel and source (sensor or device) within the window
+  rateLimitPoints: parseInt(process.env.NOTIFY_RATE_LIMIT) || 5,
+  rateLimitWindow: parseInt(process.env.NOTIFY_RATE_LIMIT_WINDOW_S) || 3600,
+  recentLimit: 100
+};
+
+const channels = new Map();
+const stats = new Map();
+const recent = [];
+let templates = null;
+let rateLimiter = null;
+let listening = false;
+
+/**
+ * Create the channels that have their settings configured
+ * A channel with invalid settings is logged and left out, so it does not
+ * take the other channels down with it.
+ * @returns {Array<Object>} Channels
+ */
+function createConfiguredChannels() {
+  const { webhook, email, mqtt } = NOTIFICATION_CONFIG;
+  const wanted = [];
+
+  if (webhook.url) wanted.push(['webhook', webhook]);
+  if (email.host && email.to) wanted.push(['email', email]);
+  if (mqtt.enabled) wanted.push(['mqtt', mqtt]);
+
+  return wanted.flatMap(([type, options]) => {
+    try {
+      return [createNotificationChannel(type, options)];
+    } catch (error) {
+      console.error(`❌ ${type} notification channel disabled:`, error.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Wait before the next delivery attempt
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Keep a delivery result for the status endpoint
+ * @param {Object} delivery - Delivery result
+ */
+function recordDelivery(delivery) {
+  const channelStats = stats.get(delivery.channel);
+  channelStats[delivery.status]++;
+  if (delivery.status === 'sent') channelStats.lastSentAt = delivery.timestamp;
+  if (delivery.error) channelStats.lastError = delivery.error;
+
+  recent.unshift(delivery);
+  recent.length = Math.min(recent.length, NOTIFICATION_CONFIG.recentLimit);
+}
+
+/**
+ * Render an event with a channel's template
+ * @param {string} event - Event type
+ * @param {string} channelName - Channel name
+ * @param {Object} context - Template values
+ * @returns {Object} Notification
+ */
+function renderNotification(event, channelName, context) {
+  const template = templates[event]?.[channelName] || { subject: event, text: event };
+
+  return {
+    event,
+    subject: renderTemplate(template.subject, context),
+    text: renderTemplate(template.text, context),
+    data: context,
+    timestamp: context.timestamp
+  };
+}
+
+/**
+ * Deliver a notification on one channel, retrying with exponential backoff
+ * @param {Object} channel - Channel
+ * @param {Object} notification - Rendered notification
+ * @returns {Promise<Object>} Delivery result
+ */
+async function sendWithRetry(channel, notification) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= NOTIFICATION_CONFIG.retryAttempts; attempt++) {
+    try {
+      await channel.send(notification);
+      return { status: 'sent', attempts: attempt, error: null };
+    } catch (error) {
+      lastError = error;
+      if (attempt < NOTIFICATION_CONFIG.retryAttempts) {
+        await delay(NOTIFICATION_CONFIG.retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  return { status: 'failed', attempts: NOTIFICATION_CONFIG.retryAttempts, error: lastError.message };
+}
+
+/**
+ * Send an event to every configured channel
+ * @param {string} event - Event type (threshold_breach, device_offline, test)
+ * @param {string} sourceKey - What the event is about; rate limits apply per channel and source
+ * @param {Object} context - Template values
+ * @returns {Promise<Array<Object>>} Delivery results
+ */
+export async function notify(event, sourceKey, context) {
+  const timestamp = new Date().toISOString();
+  const values = { ...context, timestamp };
+
+  return Promise.all(Array.from(channels.values()).map(async (channel) => {
+    const delivery = { event, channel: channel.name, target: channel.target, sourceKey, timestamp };
+
+    try {
+      await rateLimiter.consume(`${channel.name}:${sourceKey}`);
+    } catch (rejection) {
+      if (rejection instanceof Error) throw rejection;
+
+      const result = { ...delivery, status: 'rateLimited', attempts: 0, error: null };
+      recordDelivery(result);
+      return result;
+    }
+
+    const result = { ...delivery, ...await sendWithRetry(channel, renderNotification(event, channel.name, values)) };
+    recordDelivery(result);
+
+    if (result.status === 'failed') {
+      console.error(`❌ ${channel.name} notification failed after ${result.attempts} attempts:`, result.error);
+    } else {
+      console.log(`🔔 ${event} notification sent via ${channel.name}`);
+    }
+
+    return result;
+  }));
+}
+
+/**
+ * Notify about a newly opened threshold alert
+ * @param {Object} alert - Alert record
+ * @returns {Promise<Array<Object>>} Delivery results
+ */
+async function notifyThresholdBreach(alert) {
+  const device = alert.deviceId ? await getDevice(alert.deviceId) : null;
+
+  return notify('threshold_breach', `${alert.deviceId || 'unknown'}:${alert.sensorType}`, {
+    alertId: alert.id,
+    sensorType: alert.sensorType,
+    deviceId: alert.deviceId,
+    deviceName: device?.name || alert.deviceId || 'unknown device',
+    location: alert.location || device?.location,
+    value: alert.value,
+    threshold: alert.threshold,
+    direction: alert.kind === 'above_max' ? 'above' : 'below',
+    openedAt: alert.openedAt
+  });
+}
+
+/**
+ * Notify about a device going offline
+ * @param {Object} change - deviceEvents 'statusChange' payload
+ * @returns {Promise<Array<Object>>} Delivery results
+ */
+async function notifyDeviceOffline({ deviceId, previousStatus, device }) {
+  return notify('device_offline', deviceId, {
+    deviceId,
+    deviceName: device.name || deviceId,
+    location: device.location,
+    lastSeen: device.lastSeen,
+    previousStatus
+  });
+}
+
+/**
+ * Send a test notification to every configured channel
+ * Test notifications share a single rate limit budget per channel.
+ * @returns {Promise<Array<Object>>} Delivery results
+ */
+export async function sendTestNotification() {
+  return notify('test', 'test', {});
+}
+
+/**
+ * Get configured channels with their delivery counters and recent deliveries
+ * @returns {Object} Channels and recent deliveries
+ */
+export function getNotificationStatus() {
+  return {
+    channels: Array.from(channels.values()).map(channel => ({
+      name: channel.name,
+      target: channel.target,
+      ...stats.get(channel.name)
+    })),
+    rateLimit: {
+      points: NOTIFICATION_CONFIG.rateLimitPoints,
+      windowSeconds: NOTIFICATION_CONFIG.rateLimitWindow
+    },
+    recent
+  };
+}
+
+/**
+ * Handle an alert opened by threshold alerting
+ * @param {Object} alert - Alert record
+ */
+function handleAlertOpened(alert) {
+  notifyThresholdBreach(alert).catch(error => console.error('❌ Failed to send alert notification:', error.message));
+}
+
+/**
+ * Handle a device status change from the registry
+ * @param {Object} change - Status change
+ */
+function handleDeviceStatusChange(change) {
+  if (change.status !== 'offline') return;
+  notifyDeviceOffline(change).catch(error => console.error('❌ Failed to send device notification:', error.message));
+}
+
+/**
+ * Set up the configured channels and send notifications for threshold
+ * breaches and devices going offline
+ */
+export function startNotifications() {
+  if (listening) return;
+
+  templates = loadTemplates(NOTIFICATION_CONFIG.templatesFile);
+  rateLimiter = new RateLimiterMemory({
+    points: NOTIFICATION_CONFIG.rateLimitPoints,
+    duration: NOTIFICATION_CONFIG.rateLimitWindow
+  });
+
+  createConfiguredChannels().forEach(channel => {
+    channels.set(channel.name, channel);
+    stats.set(channel.name, { sent: 0, failed: 0, rateLimited: 0, lastSentAt: null, lastError: null });
+  });
+
+  alertEvents.on('opened', handleAlertOpened);
+  deviceEvents.on('statusChange', handleDeviceStatusChange);
+  listening = true;
+
+  console.log(`🔔 Notifications started (${Array.from(channels.keys()).join(', ') || 'no channels configured'})`);
+}
+
+/**
+ * Stop sending notifications and close channel connections
+ */
+export function stopNotifications() {
+  alertEvents.off('opened', handleAlertOpened);
+  deviceEvents.off('statusChange', handleDeviceStatusChange);
+  listening = false;
+
+  channels.forEach(channel => channel.close?.());
+  channels.clear();
+}
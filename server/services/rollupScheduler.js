@@ -0,0 +1,269 @@
+import { writeRollups } from './influxdb.js';
+import { ingestionEvents } from './ingestion.js';
+import { fluxDurationToMs, resolveFluxTime } from './fluxQuery.js';
+import {
+  ROLLUP_CONFIG,
+  ROLLUP_AGGREGATES,
+  ROLLUP_WEIGHT,
+  getRollupLevels,
+  getRollupCoverage,
+  recordRolledRange,
+  recordRollupError,
+  markStalePeriods,
+  takeStalePeriods,
+  floorToPeriod
+} from './rollups.js';
+
+// Written per period; counts weight the means when queries average them
+const WRITTEN_AGGREGATES = [...ROLLUP_AGGREGATES, ROLLUP_WEIGHT];
+
+let rollupTimer = null;
+
+// Rollup jobs run one at a time, in the order they were queued
+let jobQueue = Promise.resolve();
+let activeJob = null;
+let queuedJobs = 0;
+
+/**
+ * Queue a rollup job behind the running ones
+ * @param {Object} job - Job description, reported by getRollupStatus
+ * @param {Function} run - Runs the job
+ * @returns {Promise<*>} Job result
+ */
+function enqueue(job, run) {
+  queuedJobs++;
+  const result = jobQueue.then(async () => {
+    queuedJobs--;
+    activeJob = { ...job, startedAt: new Date().toISOString() };
+    try {
+      return await run();
+    } finally {
+      activeJob = null;
+    }
+  });
+
+  jobQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * End of the last period of a level that is closed for writing
+ * @param {Object} level - Rollup level
+ * @param {Date} now - Reference time
+ * @returns {Date} Period boundary
+ */
+function closedUntil(level, now = new Date()) {
+  return floorToPeriod(new Date(now.getTime() - ROLLUP_CONFIG.lag), level.everyMs);
+}
+
+/**
+ * Roll up a range of a level chunk by chunk, recording coverage after each
+ * Chunks run oldest first when extending coverage forwards and newest first
+ * when extending it backwards, so coverage grows without holes.
+ * @param {Object} level - Rollup level
+ * @param {Date} start - Range start, on a period boundary
+ * @param {Date} end - Range end, on a period boundary
+ * @param {boolean} newestFirst - Order of the chunks
+ * @returns {Promise<number>} Points written
+ */
+async function rollUpRange(level, start, end, newestFirst) {
+  const chunks = [];
+  for (let chunkStart = start.getTime(); chunkStart < end.getTime(); chunkStart += level.chunkMs) {
+    chunks.push([new Date(chunkStart), new Date(Math.min(chunkStart + level.chunkMs, end.getTime()))]);
+  }
+  if (newestFirst) chunks.reverse();
+
+  let written = 0;
+  try {
+    for (const [chunkStart, chunkEnd] of chunks) {
+      written += await writeRollups(level.every, WRITTEN_AGGREGATES, chunkStart, chunkEnd);
+      await recordRolledRange(level.id, chunkStart, chunkEnd);
+    }
+  } catch (error) {
+    await recordRollupError(level.id, error);
+    throw error;
+  }
+
+  return written;
+}
+
+/**
+ * Roll up again the periods of a level that received late readings
+ * Consecutive periods are written together. Coverage does not change; on
+ * failure the periods are marked again for the next run.
+ * @param {Object} level - Rollup level
+ * @returns {Promise<number>} Points written
+ */
+async function rollUpStalePeriods(level) {
+  const periods = await takeStalePeriods(level.id);
+  const ranges = [];
+  periods.forEach(period => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1].getTime() === period.getTime()) {
+      last[1] = new Date(period.getTime() + level.everyMs);
+    } else {
+      ranges.push([period, new Date(period.getTime() + level.everyMs)]);
+    }
+  });
+
+  let written = 0;
+  try {
+    for (const [start, end] of ranges) {
+      written += await writeRollups(level.every, WRITTEN_AGGREGATES, start, end);
+    }
+  } catch (error) {
+    await markStalePeriods(periods);
+    await recordRollupError(level.id, error);
+    throw error;
+  }
+
+  return written;
+}
+
+/**
+ * Roll up the periods of every level closed since the last run, after
+ * rolling up again the periods that received late readings
+ * A level without rollups starts ROLLUP_BACKFILL back.
+ * @returns {Promise<void>}
+ */
+async function rollUpClosedPeriods() {
+  const now = new Date();
+
+  for (const level of getRollupLevels()) {
+    if (getRollupCoverage(level.id)?.stalePeriods?.length) {
+      try {
+        const written = await rollUpStalePeriods(level);
+        console.log(`🧮 Rolled up late readings again for ${level.id} (${written} points)`);
+      } catch (error) {
+        console.error(`❌ ${level.id} rollup of late readings failed:`, error.message);
+      }
+    }
+
+    const coverage = getRollupCoverage(level.id);
+    const end = closedUntil(level, now);
+    const start = coverage?.coveredUntil
+      ? new Date(coverage.coveredUntil)
+      : floorToPeriod(new Date(now.getTime() - fluxDurationToMs(ROLLUP_CONFIG.backfill)), level.everyMs);
+    if (start >= end) continue;
+
+    try {
+      const written = await rollUpRange(level, start, end, !coverage?.coveredUntil);
+      console.log(`🧮 Rolled up ${level.id} ${start.toISOString()} to ${end.toISOString()} (${written} points)`);
+    } catch (error) {
+      console.error(`❌ ${level.id} rollup failed:`, error.message);
+    }
+  }
+}
+
+/**
+ * Mark the rolled-up periods an ingested batch wrote into
+ * @param {Object} flush - Flush event of { count, timestamps }
+ */
+function handleFlush({ timestamps }) {
+  markStalePeriods(timestamps)
+    .catch(error => console.error('❌ Failed to mark periods with late readings:', error.message));
+}
+
+/**
+ * Start rolling up closed periods on an interval
+ */
+export function startRollups() {
+  if (!ROLLUP_CONFIG.enabled || rollupTimer) return;
+
+  const tick = () => {
+    // Skip while earlier jobs, such as a long backfill, are still running
+    if (activeJob || queuedJobs > 0) return;
+    enqueue({ type: 'scheduled' }, rollUpClosedPeriods)
+      .catch(error => console.error('❌ Scheduled rollup failed:', error.message));
+  };
+
+  tick();
+  rollupTimer = setInterval(tick, ROLLUP_CONFIG.interval);
+  ingestionEvents.on('flush', handleFlush);
+
+  console.log(`🧮 Rollups started (${getRollupLevels().map(level => level.every).join(', ')} every ${ROLLUP_CONFIG.interval}ms)`);
+}
+
+/**
+ * Stop the rollup schedule; a job already running is left to finish
+ */
+export function stopRollups() {
+  clearInterval(rollupTimer);
+  rollupTimer = null;
+  ingestionEvents.off('flush', handleFlush);
+}
+
+/**
+ * Queue a backfill of historical data
+ * The range is widened to touch the existing coverage, so routed queries can
+ * use it, and ends at the last closed period.
+ * @param {Object} request - Validated backfill request (see schemas.rollupBackfill)
+ * @param {string} request.startTime - Range start
+ * @param {string} request.endTime - Range end (default: end of the covered range)
+ * @param {Array<string>} request.level - Level ids (default: all)
+ * @returns {Object} Queued job { type, levels: [{ id, startTime, endTime }], queuedAt }
+ */
+export function backfillRollups({ startTime, endTime, level: levelIds }) {
+  const now = new Date();
+  const levels = getRollupLevels().filter(level => !levelIds || levelIds.includes(level.id));
+
+  const ranges = levels.map(level => {
+    const coverage = getRollupCoverage(level.id);
+    const latest = closedUntil(level, now);
+    const start = floorToPeriod(resolveFluxTime(startTime, now), level.everyMs);
+
+    let end = endTime ? floorToPeriod(resolveFluxTime(endTime, now), level.everyMs) : latest;
+    if (coverage?.coveredUntil && end > new Date(coverage.coveredUntil)) end = new Date(coverage.coveredUntil);
+    if (coverage?.coveredFrom && end < new Date(coverage.coveredFrom)) end = new Date(coverage.coveredFrom);
+    if (end > latest) end = latest;
+
+    return { level, start, end };
+  }).filter(({ start, end }) => start < end);
+
+  const job = {
+    type: 'backfill',
+    levels: ranges.map(({ level, start, end }) => ({
+      id: level.id,
+      startTime: start.toISOString(),
+      endTime: end.toISOString()
+    })),
+    queuedAt: now.toISOString()
+  };
+
+  enqueue(job, async () => {
+    for (const { level, start, end } of ranges) {
+      const written = await rollUpRange(level, start, end, true);
+      console.log(`🧮 Backfilled ${level.id} ${start.toISOString()} to ${end.toISOString()} (${written} points)`);
+    }
+  }).catch(error => console.error('❌ Rollup backfill failed:', error.message));
+
+  return job;
+}
+
+/**
+ * Get rollup configuration, coverage per level and running jobs
+ * @returns {Object} Rollup status
+ */
+export function getRollupStatus() {
+  return {
+    enabled: ROLLUP_CONFIG.enabled,
+    running: Boolean(rollupTimer),
+    bucket: ROLLUP_CONFIG.bucket,
+    measurement: ROLLUP_CONFIG.measurement,
+    aggregates: ROLLUP_AGGREGATES,
+    levels: getRollupLevels().map(level => {
+      const coverage = getRollupCoverage(level.id);
+      return {
+        id: level.id,
+        every: level.every,
+        coveredFrom: coverage?.coveredFrom || null,
+        coveredUntil: coverage?.coveredUntil || null,
+        stalePeriods: coverage?.stalePeriods?.length || 0,
+        lastRunAt: coverage?.lastRunAt || null,
+        lastError: coverage?.lastError || null
+      };
+    }),
+    activeJob,
+    queuedJobs
+  };
+}
@@ -0,0 +1,265 @@
+import dotenv from 'dotenv';
+import { createRepository } from '../storage/index.js';
+import { fluxDurationToMs, isFluxDuration, resolveFluxTime } from './fluxQuery.js';
+
+dotenv.config();
+
+const DEFAULT_INTERVAL = 5 * 60 * 1000;
+const DEFAULT_LAG = 5 * 60 * 1000;
+const DEFAULT_BACKFILL = '30d';
+
+export const ROLLUP_CONFIG = {
+  enabled: process.env.ROLLUPS_ENABLED !== 'false',
+  // Rollups get their own measurement, in the data bucket unless one is set
+  bucket: process.env.ROLLUP_BUCKET || process.env.INFLUXDB_BUCKET,
+  measurement: process.env.ROLLUP_MEASUREMENT || 'environment_rollup',
+  // How often closed periods are rolled up
+  interval: parseInt(process.env.ROLLUP_INTERVAL_MS) || DEFAULT_INTERVAL,
+  // Wait after a period ends before rolling it up, so late readings make it in
+  lag: parseInt(process.env.ROLLUP_LAG_MS ?? DEFAULT_LAG),
+  // History rolled up when a level has no rollups yet
+  backfill: process.env.ROLLUP_BACKFILL || DEFAULT_BACKFILL
+};
+
+// Bad values would otherwise only fail inside the scheduler, on every run
+if (!(ROLLUP_CONFIG.interval > 0)) {
+  console.warn(`⚠️ ROLLUP_INTERVAL_MS must be a positive number of milliseconds, using ${DEFAULT_INTERVAL}`);
+  ROLLUP_CONFIG.interval = DEFAULT_INTERVAL;
+}
+
+if (!(ROLLUP_CONFIG.lag >= 0)) {
+  console.warn(`⚠️ ROLLUP_LAG_MS must be zero or a positive number of milliseconds, using ${DEFAULT_LAG}`);
+  ROLLUP_CONFIG.lag = DEFAULT_LAG;
+}
+
+if (!isFluxDuration(ROLLUP_CONFIG.backfill) || fluxDurationToMs(ROLLUP_CONFIG.backfill) <= 0) {
+  console.warn(`⚠️ ROLLUP_BACKFILL must be a duration like 30d, using ${DEFAULT_BACKFILL}`);
+  ROLLUP_CONFIG.backfill = DEFAULT_BACKFILL;
+}
+
+// Aggregates written per period; queries using other aggregates read raw data
+export const ROLLUP_AGGREGATES = ['min', 'mean', 'max'];
+
+// Also written per period: the number of readings behind it, which weights
+// period means when they are averaged into longer windows
+export const ROLLUP_WEIGHT = 'count';
+
+// Rollup levels, finest first; chunk is the range written per query
+const ROLLUP_LEVELS = [
+  { id: 'hourly', every: '1h', chunk: '7d' },
+  { id: 'daily', every: '1d', chunk: '30d' }
+].map(level => ({
+  ...level,
+  everyMs: fluxDurationToMs(level.every),
+  chunkMs: fluxDurationToMs(level.chunk)
+}));
+
+// Coverage record schema version and migrations
+const ROLLUP_SCHEMA_VERSION = 2;
+
+const rollupMigrations = [
+  {
+    version: 2,
+    description: 'clear coverage so periods are rolled up again with counts',
+    up: (record) => ({ ...record, coveredFrom: null, coveredUntil: null, stalePeriods: [] })
+  }
+];
+
+const rollupStore = createRepository('rollups', {
+  version: ROLLUP_SCHEMA_VERSION,
+  migrations: rollupMigrations
+});
+
+// Coverage per level id, kept in sync with the store so queries can be
+// routed synchronously
+let coverage = {};
+
+/**
+ * Round a time down to a multiple of a period (UTC, as Flux windows)
+ * @param {Date} time - Time
+ * @param {number} periodMs - Period
+ * @returns {Date} Start of the period containing the time
+ */
+export function floorToPeriod(time, periodMs) {
+  return new Date(Math.floor(time.getTime() / periodMs) * periodMs);
+}
+
+/**
+ * Round a time up to a multiple of a period
+ * @param {Date} time - Time
+ * @param {number} periodMs - Period
+ * @returns {Date} Next period boundary, or the time itself on a boundary
+ */
+function ceilToPeriod(time, periodMs) {
+  return new Date(Math.ceil(time.getTime() / periodMs) * periodMs);
+}
+
+/**
+ * Reload the coverage cache from the store
+ * @returns {Promise<void>}
+ */
+async function refreshCoverage() {
+  const stored = await rollupStore.list();
+  coverage = Object.fromEntries(stored.map(record => [record.id, record]));
+}
+
+/**
+ * Load stored rollup coverage
+ * @returns {Promise<void>}
+ */
+export async function initializeRollups() {
+  await rollupStore.init();
+  await refreshCoverage();
+  console.log(`🧮 Loaded rollup coverage for ${Object.keys(coverage).length} of ${ROLLUP_LEVELS.length} levels`);
+}
+
+/**
+ * Get the rollup levels
+ * @returns {Array<Object>} Levels of { id, every, chunk, everyMs, chunkMs }, finest first
+ */
+export function getRollupLevels() {
+  return ROLLUP_LEVELS;
+}
+
+/**
+ * Get the range a level has rollups for
+ * @param {string} levelId - Level id
+ * @returns {Object|null} { id, coveredFrom, coveredUntil, stalePeriods, lastRunAt, lastError }
+ */
+export function getRollupCoverage(levelId) {
+  return coverage[levelId] || null;
+}
+
+/**
+ * Record a range rolled up for a level
+ * The covered range grows only when the new range touches it, so it never
+ * spans periods without rollups.
+ * @param {string} levelId - Level id
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end (exclusive)
+ * @returns {Promise<Object>} Stored coverage
+ */
+export async function recordRolledRange(levelId, start, end) {
+  const current = coverage[levelId];
+  const record = { id: levelId, lastRunAt: new Date().toISOString(), lastError: null };
+
+  if (!current?.coveredFrom) {
+    record.coveredFrom = start.toISOString();
+    record.coveredUntil = end.toISOString();
+  } else {
+    const from = new Date(current.coveredFrom);
+    const until = new Date(current.coveredUntil);
+    const touches = start <= until && end >= from;
+    record.coveredFrom = (touches && start < from ? start : from).toISOString();
+    record.coveredUntil = (touches && end > until ? end : until).toISOString();
+  }
+
+  await rollupStore.upsert(levelId, { ...current, ...record });
+  await refreshCoverage();
+  return coverage[levelId];
+}
+
+/**
+ * Mark covered periods that received readings after they were rolled up
+ * Readings held back by a device, or delayed past ROLLUP_LAG, land in periods
+ * already rolled up; their periods are rolled up again on the next run.
+ * @param {Array<Date>} timestamps - Timestamps of the written readings
+ * @returns {Promise<number>} Periods newly marked, over all levels
+ */
+export async function markStalePeriods(timestamps) {
+  let marked = 0;
+
+  for (const level of ROLLUP_LEVELS) {
+    const current = coverage[level.id];
+    if (!current?.coveredFrom) continue;
+
+    const from = new Date(current.coveredFrom);
+    const until = new Date(current.coveredUntil);
+    const stale = new Set(current.stalePeriods || []);
+    const before = stale.size;
+
+    timestamps.forEach(timestamp => {
+      const period = floorToPeriod(timestamp, level.everyMs);
+      if (period >= from && period < until) stale.add(period.toISOString());
+    });
+    if (stale.size === before) continue;
+
+    marked += stale.size - before;
+    // Update the cache right away so a run reading it sees the new periods
+    coverage[level.id] = { ...current, stalePeriods: [...stale].sort() };
+    await rollupStore.upsert(level.id, coverage[level.id]);
+  }
+
+  if (marked > 0) await refreshCoverage();
+  return marked;
+}
+
+/**
+ * Take the stale periods of a level, clearing the mark
+ * Periods marked while they are rolled up again stay marked for the next run.
+ * @param {string} levelId - Level id
+ * @returns {Promise<Array<Date>>} Period starts, oldest first
+ */
+export async function takeStalePeriods(levelId) {
+  const current = coverage[levelId];
+  if (!current?.stalePeriods?.length) return [];
+
+  coverage[levelId] = { ...current, stalePeriods: [] };
+  await rollupStore.upsert(levelId, coverage[levelId]);
+  await refreshCoverage();
+  return current.stalePeriods.map(period => new Date(period));
+}
+
+/**
+ * Record a failed rollup run
+ * @param {string} levelId - Level id
+ * @param {Error} error - Failure
+ * @returns {Promise<void>}
+ */
+export async function recordRollupError(levelId, error) {
+  await rollupStore.upsert(levelId, {
+    ...coverage[levelId],
+    id: levelId,
+    lastRunAt: new Date().toISOString(),
+    lastError: error.message
+  });
+  await refreshCoverage();
+}
+
+/**
+ * Decide whether a windowed query can read rollups instead of raw data
+ * The coarsest level whose period divides the window and that covers the
+ * start of the range is used. Periods the level does not cover (the partial
+ * period at each end, and recent periods not rolled up yet) come from raw
+ * data aggregated to the same period.
+ * @param {string|Date} startTime - Range start
+ * @param {string|Date} endTime - Range end
+ * @param {string} windowPeriod - Aggregation window
+ * @param {string} aggregate - Aggregate function
+ * @returns {Object|null} { level, aggregate, weighted, start, from, until, end }
+ *   where [from, until) is read from rollups and weighted tells means to be
+ *   averaged by their counts, or null to read raw data only
+ */
+export function planRollupQuery(startTime, endTime, windowPeriod, aggregate) {
+  if (!ROLLUP_CONFIG.enabled || !ROLLUP_AGGREGATES.includes(aggregate)) return null;
+
+  const windowMs = fluxDurationToMs(windowPeriod);
+  const now = new Date();
+  const start = resolveFluxTime(startTime, now);
+  const end = resolveFluxTime(endTime, now);
+
+  for (const level of [...ROLLUP_LEVELS].reverse()) {
+    const covered = coverage[level.id];
+    if (windowMs < level.everyMs || windowMs % level.everyMs !== 0 || !covered?.coveredFrom) continue;
+
+    const from = ceilToPeriod(start, level.everyMs);
+    const lastPeriod = floorToPeriod(end, level.everyMs);
+    const coveredUntil = new Date(covered.coveredUntil);
+    const until = lastPeriod < coveredUntil ? lastPeriod : coveredUntil;
+    if (from < new Date(covered.coveredFrom) || from >= until) continue;
+
+    return { level, aggregate, weighted: aggregate === 'mean', start, from, until, end };
+  }
+
+  return null;
+}
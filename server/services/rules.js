@@ -0,0 +1,336 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { ingestionEvents } from './ingestion.js';
+import { dispatchCommand, COMMAND_STATUS } from './commands.js';
+import { createRepository } from '../storage/index.js';
+import { generateId } from '../utils/ids.js';
+
+dotenv.config();
+
+const RULES_CONFIG = {
+  historyLimit: parseInt(process.env.RULE_HISTORY_LIMIT) || 500
+};
+
+// Operators that fire when the value rises above the threshold
+const RISING_OPERATORS = ['>', '>='];
+
+const ruleStore = createRepository('rules');
+const executionStore = createRepository('ruleExecutions');
+
+// When each rule's condition started to hold; only the firing time is persisted
+const pendingSince = new Map();
+
+// Readings are evaluated one at a time so a rule cannot fire twice for one breach
+let evaluationQueue = Promise.resolve();
+let listening = false;
+
+/**
+ * Emits 'executed' for every rule trigger or clear
+ */
+export const ruleEvents = new EventEmitter();
+
+/**
+ * Compare a value against a threshold
+ * @param {number} value - Reading value
+ * @param {string} operator - '>', '>=', '<' or '<='
+ * @param {number} threshold - Threshold value
+ * @returns {boolean} Whether the comparison holds
+ */
+function compare(value, operator, threshold) {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    default: return false;
+  }
+}
+
+/**
+ * Check whether an active rule's condition has cleared
+ * The value has to move back past the threshold by the hysteresis margin, so
+ * readings hovering around the threshold don't toggle the target device.
+ * @param {number} value - Reading value
+ * @param {Object} condition - Rule condition
+ * @returns {boolean} Whether the condition cleared
+ */
+function isCleared(value, { operator, value: threshold, hysteresis = 0 }) {
+  const margin = RISING_OPERATORS.includes(operator) ? -hysteresis : hysteresis;
+  return !compare(value, operator, threshold + margin);
+}
+
+/**
+ * Load stored rules and execution history
+ * @returns {Promise<void>}
+ */
+export async function initializeRules() {
+  await Promise.all([ruleStore.init(), executionStore.init()]);
+  const rules = await ruleStore.list();
+  console.log(`⚙️  Rules engine loaded ${rules.length} rules (${rules.filter(rule => rule.enabled).length} enabled)`);
+}
+
+/**
+ * Get all rules
+ * @returns {Promise<Array<Object>>} Rules, oldest first
+ */
+export async function listRules() {
+  const rules = await ruleStore.list();
+  return rules.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Get a rule
+ * @param {string} ruleId - Rule id
+ * @returns {Promise<Object|null>} Rule
+ */
+export async function getRule(ruleId) {
+  return ruleStore.get(ruleId);
+}
+
+/**
+ * Create a rule
+ * @param {Object} definition - Validated rule definition (see schemas.rule)
+ * @returns {Promise<Object>} Created rule
+ */
+export async function createRule(definition) {
+  const timestamp = new Date().toISOString();
+  const rule = {
+    ...definition,
+    id: generateId('rule'),
+    state: { active: false, lastTriggeredAt: null, lastClearedAt: null },
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  return ruleStore.create(rule.id, rule);
+}
+
+/**
+ * Replace a rule's definition
+ * The rule starts over in the inactive state; its cooldown is kept.
+ * @param {string} ruleId - Rule id
+ * @param {Object} definition - Validated rule definition (see schemas.rule)
+ * @returns {Promise<Object|null>} Updated rule or null when missing
+ */
+export async function updateRule(ruleId, definition) {
+  const existing = await ruleStore.get(ruleId);
+  if (!existing) return null;
+
+  pendingSince.delete(ruleId);
+
+  return ruleStore.upsert(ruleId, {
+    ...definition,
+    id: ruleId,
+    state: { ...existing.state, active: false },
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Enable or disable a rule
+ * @param {string} ruleId - Rule id
+ * @param {boolean} enabled - Whether the rule is evaluated
+ * @returns {Promise<Object|null>} Updated rule or null when missing
+ */
+export async function setRuleEnabled(ruleId, enabled) {
+  const existing = await ruleStore.get(ruleId);
+  if (!existing) return null;
+
+  pendingSince.delete(ruleId);
+
+  return ruleStore.update(ruleId, {
+    enabled,
+    state: enabled ? existing.state : { ...existing.state, active: false },
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Delete a rule (its execution history is kept)
+ * @param {string} ruleId - Rule id
+ * @returns {Promise<boolean>} Whether a rule was deleted
+ */
+export async function deleteRule(ruleId) {
+  pendingSince.delete(ruleId);
+  return ruleStore.delete(ruleId);
+}
+
+/**
+ * Get rule executions, newest first
+ * @param {Object} options - Filters
+ * @param {string} options.ruleId - Only executions of this rule
+ * @param {number} options.limit - Maximum number of executions
+ * @returns {Promise<Array<Object>>} Executions
+ */
+export async function getRuleHistory({ ruleId, limit = 50 } = {}) {
+  const executions = await executionStore.list(execution => !ruleId || execution.ruleId === ruleId);
+
+  return executions
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, limit);
+}
+
+/**
+ * Drop the oldest executions beyond the history limit
+ * @returns {Promise<void>}
+ */
+async function pruneHistory() {
+  const executions = await getRuleHistory({ limit: Infinity });
+
+  for (const execution of executions.slice(RULES_CONFIG.historyLimit)) {
+    await executionStore.delete(execution.id);
+  }
+}
+
+/**
+ * Send a rule action to its target device
+ * @param {Object} action - Rule action
+ * @returns {Promise<Object>} Command id, status and error
+ */
+async function runAction(action) {
+  try {
+    const command = await dispatchCommand(action.deviceId, {
+      command: action.command,
+      parameters: action.parameters,
+      priority: action.priority
+    });
+
+    return {
+      commandId: command.id,
+      commandStatus: command.status,
+      error: command.status === COMMAND_STATUS.FAILED ? command.error : null
+    };
+  } catch (error) {
+    return { commandId: null, commandStatus: null, error: error.message };
+  }
+}
+
+/**
+ * Fire or clear a rule and record the execution
+ * @param {Object} rule - Rule
+ * @param {string} type - 'trigger' or 'clear'
+ * @param {Object} reading - Reading that caused the execution
+ * @returns {Promise<Object>} Execution record
+ */
+async function executeRule(rule, type, reading) {
+  const action = type === 'trigger' ? rule.action : rule.clearAction;
+  const timestamp = reading.timestamp.toISOString();
+
+  const state = type === 'trigger'
+    ? { ...rule.state, active: true, lastTriggeredAt: timestamp }
+    : { ...rule.state, active: false, lastClearedAt: timestamp };
+  await ruleStore.update(rule.id, { state });
+
+  const outcome = action ? await runAction(action) : { commandId: null, commandStatus: null, error: null };
+
+  const execution = {
+    id: generateId('exec'),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    type,
+    field: rule.condition.field,
+    value: reading.values[rule.condition.field],
+    threshold: rule.condition.value,
+    sourceDeviceId: reading.deviceId,
+    targetDeviceId: action ? action.deviceId : null,
+    command: action ? action.command : null,
+    ...outcome,
+    success: !outcome.error,
+    timestamp
+  };
+
+  await executionStore.create(execution.id, execution);
+  await pruneHistory();
+
+  const icon = execution.success ? '⚙️ ' : '❌';
+  console.log(`${icon} Rule "${rule.name}" ${type === 'trigger' ? 'fired' : 'cleared'} (${execution.field} = ${execution.value})${execution.command ? ` → ${execution.command} to ${execution.targetDeviceId}` : ''}`);
+  ruleEvents.emit('executed', execution);
+
+  return execution;
+}
+
+/**
+ * Evaluate one rule against a reading
+ * @param {Object} rule - Enabled rule
+ * @param {Object} reading - Normalized reading
+ * @returns {Promise<Object|null>} Execution record when the rule fired or cleared
+ */
+async function evaluateRule(rule, reading) {
+  const { condition } = rule;
+  const value = reading.values[condition.field];
+  if (typeof value !== 'number') return null;
+  if (rule.sourceDeviceId && rule.sourceDeviceId !== reading.deviceId) return null;
+
+  const at = reading.timestamp.getTime();
+
+  if (rule.state.active) {
+    return isCleared(value, condition) ? executeRule(rule, 'clear', reading) : null;
+  }
+
+  if (!compare(value, condition.operator, condition.value)) {
+    pendingSince.delete(rule.id);
+    return null;
+  }
+
+  if (!pendingSince.has(rule.id)) {
+    pendingSince.set(rule.id, at);
+  }
+
+  if (at - pendingSince.get(rule.id) < condition.duration) return null;
+
+  const lastTriggered = rule.state.lastTriggeredAt ? new Date(rule.state.lastTriggeredAt).getTime() : null;
+  if (lastTriggered !== null && at - lastTriggered < rule.cooldown) return null;
+
+  pendingSince.delete(rule.id);
+  return executeRule(rule, 'trigger', reading);
+}
+
+/**
+ * Evaluate all enabled rules against a reading
+ * @param {Object} reading - Normalized reading (see ingestion normalizeReading)
+ * @returns {Promise<Array<Object>>} Executions caused by the reading
+ */
+export function evaluateReading(reading) {
+  const evaluation = evaluationQueue.then(async () => {
+    const rules = await ruleStore.list(rule => rule.enabled);
+    const executions = [];
+
+    for (const rule of rules) {
+      const execution = await evaluateRule(rule, reading);
+      if (execution) executions.push(execution);
+    }
+
+    return executions;
+  });
+
+  evaluationQueue = evaluation.catch(() => {});
+  return evaluation;
+}
+
+/**
+ * Handle a reading emitted by the ingestion pipeline
+ * @param {Object} reading - Normalized reading
+ */
+function handleReading(reading) {
+  evaluateReading(reading).catch(error => console.error('❌ Rule evaluation failed:', error.message));
+}
+
+/**
+ * Start evaluating rules against ingested readings
+ */
+export function startRules() {
+  if (listening) return;
+
+  ingestionEvents.on('reading', handleReading);
+  listening = true;
+  console.log('⚙️  Rules engine started');
+}
+
+/**
+ * Stop evaluating rules
+ */
+export function stopRules() {
+  ingestionEvents.off('reading', handleReading);
+  listening = false;
+}
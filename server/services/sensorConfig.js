@@ -0,0 +1,207 @@
+import { createRepository } from '../storage/index.js';
+import { COMMAND_STATUS, commandEvents, dispatchCommand, getDeviceCommand } from './commands.js';
+import { deviceEvents, listDevices } from './deviceRegistry.js';
+
+// Key used for configs that apply to every device
+const ALL_DEVICES = '*';
+
+// Command name of sensor config deliveries
+const SENSOR_CONFIG_COMMAND = 'sensor_config';
+
+// Delivery states after which a config is sent again when the device comes online
+const RETRY_DELIVERY_STATUSES = [COMMAND_STATUS.FAILED, COMMAND_STATUS.TIMED_OUT, COMMAND_STATUS.EXPIRED];
+
+const configStore = createRepository('sensorConfigs');
+let tracking = false;
+
+/**
+ * Build the storage key of a sensor config
+ * @param {string} sensorType - Sensor type (temperature, humidity, ...)
+ * @param {string|null} deviceId - Device ID, or null for all devices
+ * @returns {string} Config id
+ */
+function configId(sensorType, deviceId) {
+  return `${deviceId || ALL_DEVICES}:${sensorType}`;
+}
+
+/**
+ * Record the delivery state of a config command for one device
+ * @param {Object} command - Command record
+ * @returns {Object} Delivery entry
+ */
+function toDelivery(command) {
+  return {
+    commandId: command.id,
+    status: command.status,
+    error: command.error || null,
+    updatedAt: command.updatedAt
+  };
+}
+
+/**
+ * Keep config delivery status in step with the config commands' lifecycle
+ * @param {Object} change - commandEvents 'statusChange' payload
+ * @returns {Promise<void>}
+ */
+async function handleCommandStatusChange({ command }) {
+  if (command.type !== 'config' || command.command !== SENSOR_CONFIG_COMMAND) return;
+
+  const [config] = await configStore.list(stored =>
+    stored.delivery?.[command.deviceId]?.commandId === command.id
+  );
+  if (!config) return;
+
+  await configStore.update(config.id, {
+    delivery: { ...config.delivery, [command.deviceId]: toDelivery(command) }
+  });
+}
+
+/**
+ * Load stored sensor configs and track their delivery to devices
+ * @returns {Promise<void>}
+ */
+export async function initializeSensorConfigs() {
+  await configStore.init();
+
+  if (!tracking) {
+    commandEvents.on('statusChange', (change) => {
+      handleCommandStatusChange(change).catch(error => console.error('❌ Failed to update sensor config delivery:', error.message));
+    });
+    // New devices and devices coming back online get the all-devices configs they missed
+    deviceEvents.on('statusChange', ({ deviceId, status }) => {
+      if (status !== 'online') return;
+      deliverMissingConfigs(deviceId).catch(error => console.error(`❌ Failed to send sensor configs to ${deviceId}:`, error.message));
+    });
+    tracking = true;
+  }
+}
+
+/**
+ * Store the configuration of a sensor type, for one device or all devices
+ * @param {Object} config - Validated config (see schemas.sensorConfig)
+ * @returns {Promise<Object>} Stored config
+ */
+export async function saveSensorConfig(config) {
+  const id = configId(config.sensorType, config.deviceId);
+  const existing = await configStore.get(id);
+  const timestamp = new Date().toISOString();
+
+  return configStore.upsert(id, {
+    ...config,
+    id,
+    deviceId: config.deviceId || null,
+    delivery: existing?.delivery || {},
+    createdAt: existing ? existing.createdAt : timestamp,
+    updatedAt: timestamp
+  });
+}
+
+/**
+ * Send a stored config to its device, or to every registered device for
+ * all-devices configs, through the command outbox
+ * Calibration stays server-side and is not sent.
+ * @param {Object} config - Stored config
+ * @returns {Promise<Object>} Config with per-device delivery status
+ */
+export async function deliverSensorConfig(config) {
+  const targets = config.deviceId
+    ? [config.deviceId]
+    : (await listDevices()).map(device => device.id);
+
+  for (const deviceId of targets) {
+    await deliverToDevice(config, deviceId);
+  }
+
+  return configStore.get(config.id);
+}
+
+/**
+ * Send a stored config to one device and record the delivery
+ * @param {Object} config - Stored config
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<void>}
+ */
+async function deliverToDevice(config, deviceId) {
+  const dispatched = await dispatchCommand(deviceId, {
+    type: 'config',
+    command: SENSOR_CONFIG_COMMAND,
+    parameters: {
+      sensorType: config.sensorType,
+      enabled: config.enabled,
+      sampleRate: config.sampleRate,
+      ...(config.threshold ? { threshold: config.threshold } : {})
+    },
+    applyImmediately: true
+  });
+
+  // Re-read both so replies that arrived meanwhile are not overwritten
+  const command = await getDeviceCommand(deviceId, dispatched.id) || dispatched;
+  const current = await configStore.get(config.id);
+  await configStore.update(config.id, {
+    delivery: { ...current.delivery, [deviceId]: toDelivery(command) }
+  });
+}
+
+/**
+ * Send a device the all-devices configs it has not received
+ * Configs whose delivery failed are sent again; sensor types with a
+ * device-specific config are skipped, as that config takes precedence.
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<number>} Number of configs sent
+ */
+export async function deliverMissingConfigs(deviceId) {
+  const configs = await configStore.list(config => config.deviceId === null);
+  let sent = 0;
+
+  for (const config of configs) {
+    const delivery = config.delivery?.[deviceId];
+    if (delivery && !RETRY_DELIVERY_STATUSES.includes(delivery.status)) continue;
+    if (await configStore.has(configId(config.sensorType, deviceId))) continue;
+
+    await deliverToDevice(config, deviceId);
+    sent++;
+  }
+
+  if (sent > 0) console.log(`⚙️ Sent ${sent} sensor configs to ${deviceId}`);
+  return sent;
+}
+
+/**
+ * Get the config that applies to a sensor of a device
+ * Device-specific configs take precedence over the all-devices config.
+ * @param {string} sensorType - Sensor type
+ * @param {string|null} deviceId - Device ID
+ * @returns {Promise<Object|null>} Effective config
+ */
+export async function getEffectiveSensorConfig(sensorType, deviceId = null) {
+  if (deviceId) {
+    const deviceConfig = await configStore.get(configId(sensorType, deviceId));
+    if (deviceConfig) return deviceConfig;
+  }
+
+  return configStore.get(configId(sensorType, null));
+}
+
+/**
+ * Get a stored config
+ * @param {string} sensorType - Sensor type
+ * @param {string|null} deviceId - Device ID, or null for the all-devices config
+ * @returns {Promise<Object|null>} Config
+ */
+export async function getSensorConfig(sensorType, deviceId = null) {
+  return configStore.get(configId(sensorType, deviceId));
+}
+
+/**
+ * List stored sensor configs
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.sensorType - Only configs of this sensor type
+ * @param {string} filters.deviceId - Only configs of this device
+ * @returns {Promise<Array<Object>>} Configs
+ */
+export async function listSensorConfigs({ sensorType, deviceId } = {}) {
+  return configStore.list(config =>
+    (!sensorType || config.sensorType === sensorType) &&
+    (!deviceId || config.deviceId === deviceId)
+  );
+}
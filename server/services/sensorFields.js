@@ -0,0 +1,169 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { isFluxIdentifier } from './fluxQuery.js';
+
+dotenv.config();
+
+/**
+ * Built-in sensor fields
+ * key is the name used by the API, rules, alerts and the dashboard;
+ * influxField is the environment_data field it is stored as. Flat payloads
+ * use the key itself, payloadKeys add further (dotted, nested) payload paths.
+ * Fields with dashboard: false are ingested and queryable but not charted.
+ * maxRate is the largest plausible change per minute; faster changes are
+ * flagged by anomaly detection.
+ */
+const DEFAULT_SENSOR_FIELDS = [
+  {
+    key: 'temperature',
+    influxField: 'aht20_temperature_celsius',
+    payloadKeys: ['aht20.temperature'],
+    displayName: 'Temperature',
+    unit: '°C',
+    range: { min: -40, max: 85 },
+    maxRate: 2,
+    color: '#ef4444',
+    icon: 'temperature'
+  },
+  {
+    key: 'humidity',
+    influxField: 'aht20_humidity_percent',
+    payloadKeys: ['aht20.humidity'],
+    displayName: 'Humidity',
+    unit: '%',
+    range: { min: 0, max: 100 },
+    maxRate: 10,
+    color: '#3b82f6',
+    icon: 'humidity'
+  },
+  {
+    key: 'pressure',
+    influxField: 'bmp280_pressure_hpa',
+    payloadKeys: ['bmp280.pressure'],
+    displayName: 'Pressure',
+    unit: 'hPa',
+    range: { min: 300, max: 1100 },
+    maxRate: 1,
+    color: '#10b981',
+    icon: 'pressure'
+  },
+  {
+    key: 'bmp280_temperature',
+    influxField: 'bmp280_temperature_celsius',
+    payloadKeys: ['bmp280.temperature'],
+    displayName: 'Temperature (BMP280)',
+    unit: '°C',
+    range: { min: -40, max: 85 },
+    maxRate: 2,
+    color: '#f97316',
+    icon: 'temperature',
+    dashboard: false
+  }
+];
+
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+
+/**
+ * Check a field definition and fill in defaults
+ * @param {Object} definition - Field definition
+ * @returns {Object} Field
+ */
+function normalizeField(definition) {
+  const { key, influxField } = definition;
+
+  if (!FIELD_KEY_PATTERN.test(key || '')) {
+    throw new Error(`Invalid sensor field key: ${key}`);
+  }
+  if (!isFluxIdentifier(influxField)) {
+    throw new Error(`Invalid Influx field for sensor field ${key}: ${influxField}`);
+  }
+
+  return {
+    key,
+    influxField,
+    payloadKeys: definition.payloadKeys || [],
+    displayName: definition.displayName || key,
+    unit: definition.unit || '',
+    range: {
+      min: definition.range?.min ?? null,
+      max: definition.range?.max ?? null
+    },
+    maxRate: definition.maxRate ?? null,
+    color: definition.color || '#6b7280',
+    icon: definition.icon || key,
+    dashboard: definition.dashboard !== false
+  };
+}
+
+/**
+ * Load the field registry: built-in fields merged with SENSOR_FIELDS_FILE
+ * The file holds an array of definitions; entries with a built-in key
+ * override that field, other entries add new fields.
+ * @param {string} filePath - Optional JSON file
+ * @returns {Array<Object>} Fields
+ */
+function loadSensorFields(filePath) {
+  const definitions = DEFAULT_SENSOR_FIELDS.map(field => ({ ...field }));
+
+  if (filePath) {
+    JSON.parse(fs.readFileSync(filePath, 'utf8')).forEach(override => {
+      const index = definitions.findIndex(field => field.key === override.key);
+      if (index === -1) {
+        definitions.push(override);
+      } else {
+        definitions[index] = { ...definitions[index], ...override };
+      }
+    });
+  }
+
+  const fields = definitions.map(normalizeField);
+
+  const influxFields = new Set();
+  fields.forEach(field => {
+    if (influxFields.has(field.influxField)) {
+      throw new Error(`Influx field ${field.influxField} is mapped by more than one sensor field`);
+    }
+    influxFields.add(field.influxField);
+  });
+
+  return fields;
+}
+
+// Loaded once at startup; validation schemas are built from it
+const sensorFields = loadSensorFields(process.env.SENSOR_FIELDS_FILE);
+
+/**
+ * Get all registered sensor fields
+ * @param {Object} filters - Optional filters
+ * @param {boolean} filters.dashboard - Only fields shown on the dashboard
+ * @returns {Array<Object>} Fields
+ */
+export function getSensorFields({ dashboard } = {}) {
+  return sensorFields.filter(field => !dashboard || field.dashboard);
+}
+
+/**
+ * Get the keys of all registered sensor fields
+ * @returns {Array<string>} Field keys
+ */
+export function getSensorFieldKeys() {
+  return sensorFields.map(field => field.key);
+}
+
+/**
+ * Get a sensor field by key
+ * @param {string} key - Field key
+ * @returns {Object|null} Field
+ */
+export function getSensorField(key) {
+  return sensorFields.find(field => field.key === key) || null;
+}
+
+/**
+ * Get the sensor field stored as an InfluxDB field
+ * @param {string} influxField - InfluxDB field name
+ * @returns {Object|null} Field
+ */
+export function findFieldByInfluxField(influxField) {
+  return sensorFields.find(field => field.influxField === influxField) || null;
+}
@@ -0,0 +1,147 @@
+import { resolveFluxTime } from './fluxQuery.js';
+
+// Percentiles reported for every series
+const PERCENTILES = [5, 25, 75, 95];
+
+// Aggregates summaries read per window: distribution statistics use the
+// means, extremes the min and max so short spikes are not averaged away
+export const SUMMARY_AGGREGATES = ['mean', 'min', 'max'];
+
+// Offset of the earlier period per comparison; previous is the range's own length
+const COMPARISON_OFFSETS_MS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+// Statistics compared between periods
+const COMPARED_STATISTICS = ['count', 'avg', 'timeWeightedAvg', 'median', 'min', 'max', 'std', 'latest'];
+
+/**
+ * Percentile of sorted values, interpolating between the closest ranks
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+export function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Average weighted by the time each value covers
+ * Consecutive points are joined by straight lines, so sparse stretches count
+ * for as long as they last instead of by their number of points.
+ * @param {Array<Object>} points - Points of { time, value } sorted by time
+ * @returns {number} Average
+ */
+function timeWeightedAverage(points) {
+  let area = 0;
+  let duration = 0;
+  for (let index = 1; index < points.length; index++) {
+    const dt = new Date(points[index].time) - new Date(points[index - 1].time);
+    area += ((points[index].value + points[index - 1].value) / 2) * dt;
+    duration += dt;
+  }
+  return duration > 0 ? area / duration : points[0].value;
+}
+
+/**
+ * Compute summary statistics of a series
+ * min and max come from the points' min/max aggregates when present (see
+ * SUMMARY_AGGREGATES), everything else from their values.
+ * @param {Array<Object>} points - Data points of { time, value, aggregates? } sorted by time
+ * @returns {Object|null} Statistics, null without values
+ */
+export function summarizeSeries(points) {
+  const valid = points.filter(point => typeof point.value === 'number');
+  if (valid.length === 0) return null;
+
+  const values = valid.map(point => point.value);
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = values.length;
+  const avg = values.reduce((sum, value) => sum + value, 0) / count;
+
+  // Sample standard deviation; a single value has none
+  const variance = count > 1
+    ? values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (count - 1)
+    : 0;
+
+  // First occurrence of the extremes
+  const low = (point) => point.aggregates?.min ?? point.value;
+  const high = (point) => point.aggregates?.max ?? point.value;
+  const minPoint = valid.reduce((lowest, point) => (low(point) < low(lowest) ? point : lowest));
+  const maxPoint = valid.reduce((highest, point) => (high(point) > high(highest) ? point : highest));
+
+  const first = valid[0];
+  const last = valid[valid.length - 1];
+  const hours = (new Date(last.time) - new Date(first.time)) / 3600000;
+
+  const percentiles = {};
+  PERCENTILES.forEach(p => {
+    percentiles[`p${p}`] = percentile(sorted, p);
+  });
+
+  return {
+    count,
+    min: low(minPoint),
+    minTime: minPoint.time,
+    max: high(maxPoint),
+    maxTime: maxPoint.time,
+    avg,
+    timeWeightedAvg: timeWeightedAverage(valid),
+    median: percentile(sorted, 50),
+    std: Math.sqrt(variance),
+    percentiles,
+    rateOfChange: {
+      change: last.value - first.value,
+      // Net change per hour from the first to the last value
+      perHour: hours > 0 ? (last.value - first.value) / hours : null
+    },
+    latest: last.value ?? null,
+    latestTime: last.time ?? null
+  };
+}
+
+/**
+ * Work out the earlier period a range is compared with
+ * @param {string} startTime - Range start (now(), relative duration or RFC3339)
+ * @param {string} endTime - Range end
+ * @param {string} compare - 'previous' (the period just before, of equal length),
+ *   'day' (same range a day earlier) or 'week' (same range a week earlier)
+ * @param {Date} now - Reference time for now() and relative bounds
+ * @returns {Object} { startTime, endTime } as Dates
+ */
+export function comparisonPeriod(startTime, endTime, compare, now = new Date()) {
+  const start = resolveFluxTime(startTime, now);
+  const end = resolveFluxTime(endTime, now);
+  const offset = COMPARISON_OFFSETS_MS[compare] ?? end - start;
+
+  return {
+    startTime: new Date(start.getTime() - offset),
+    endTime: new Date(end.getTime() - offset)
+  };
+}
+
+/**
+ * Differences between the statistics of two periods
+ * @param {Object} current - Statistics of the range (see summarizeSeries)
+ * @param {Object} previous - Statistics of the earlier period
+ * @returns {Object} { <statistic>: { previous, delta, percent } }; percent is
+ *   null when the earlier value is 0
+ */
+export function compareSummaries(current, previous) {
+  const deltas = {};
+  COMPARED_STATISTICS.forEach(key => {
+    if (typeof current[key] !== 'number' || typeof previous[key] !== 'number') return;
+
+    const delta = current[key] - previous[key];
+    deltas[key] = {
+      previous: previous[key],
+      delta,
+      percent: previous[key] !== 0 ? (delta / Math.abs(previous[key])) * 100 : null
+    };
+  });
+  return deltas;
+}
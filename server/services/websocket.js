@@ -0,0 +1,223 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { TOPICS, subscribeToDeviceTopic } from './mqtt.js';
+
+const WS_CONFIG = {
+  path: process.env.WS_PATH || '/ws',
+  heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000
+};
+
+// MQTT topics that are fanned out to connected browsers
+export const BROADCAST_TOPICS = [
+  TOPICS.SENSOR_DATA,
+  TOPICS.DEVICE_STATUS,
+  TOPICS.DEVICE_HEARTBEAT
+];
+
+let wss = null;
+let heartbeatTimer = null;
+let clientCounter = 0;
+const clients = new Map();
+
+/**
+ * Send a JSON message to a single socket
+ * @param {WebSocket} socket - Target socket
+ * @param {Object} message - Message to send
+ */
+function sendToSocket(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Normalize a topic list received from a client
+ * @param {Array|string} topics - Requested topics
+ * @returns {Array<string>} Topics that can be broadcast
+ */
+function normalizeTopics(topics) {
+  const requested = Array.isArray(topics) ? topics : [topics];
+  return requested.filter(topic => BROADCAST_TOPICS.includes(topic));
+}
+
+/**
+ * Handle a message sent by a browser client
+ * @param {Object} client - Client state
+ * @param {string} raw - Raw message data
+ */
+function handleClientMessage(client, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (parseError) {
+    sendToSocket(client.socket, { type: 'error', message: 'Invalid JSON message' });
+    return;
+  }
+
+  // null, arrays and primitives are valid JSON but not messages
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    sendToSocket(client.socket, { type: 'error', message: 'Message must be a JSON object' });
+    return;
+  }
+
+  switch (message.type) {
+    case 'subscribe': {
+      const topics = normalizeTopics(message.topics);
+      topics.forEach(topic => client.topics.add(topic));
+      sendToSocket(client.socket, { type: 'subscribed', topics: Array.from(client.topics) });
+      break;
+    }
+    case 'unsubscribe': {
+      const topics = normalizeTopics(message.topics);
+      topics.forEach(topic => client.topics.delete(topic));
+      sendToSocket(client.socket, { type: 'subscribed', topics: Array.from(client.topics) });
+      break;
+    }
+    case 'ping':
+      sendToSocket(client.socket, { type: 'pong', timestamp: new Date().toISOString() });
+      break;
+    default:
+      sendToSocket(client.socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+  }
+}
+
+/**
+ * Initialize WebSocket server on top of an existing HTTP server
+ * @param {Object} server - Node HTTP server returned by app.listen()
+ * @returns {WebSocketServer} WebSocket server instance
+ */
+export function initializeWebSocket(server) {
+  wss = new WebSocketServer({ server, path: WS_CONFIG.path });
+
+  wss.on('connection', (socket, req) => {
+    const client = {
+      id: `ws_${++clientCounter}`,
+      socket,
+      topics: new Set(),
+      isAlive: true
+    };
+    clients.set(client.id, client);
+
+    // Allow initial subscriptions through the query string (?topics=a,b)
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    if (searchParams.has('topics')) {
+      normalizeTopics(searchParams.get('topics').split(',')).forEach(topic => client.topics.add(topic));
+    }
+
+    console.log(`🔗 WebSocket client connected: ${client.id} (${clients.size} total)`);
+
+    sendToSocket(socket, {
+      type: 'welcome',
+      clientId: client.id,
+      availableTopics: BROADCAST_TOPICS,
+      topics: Array.from(client.topics)
+    });
+
+    socket.on('pong', () => {
+      client.isAlive = true;
+    });
+
+    socket.on('message', (data) => {
+      // A bad frame must never take the server down
+      try {
+        handleClientMessage(client, data.toString());
+      } catch (error) {
+        console.error(`❌ WebSocket message from ${client.id} failed:`, error.message);
+        sendToSocket(socket, { type: 'error', message: 'Message could not be handled' });
+      }
+    });
+
+    socket.on('close', () => {
+      clients.delete(client.id);
+      console.log(`🔌 WebSocket client disconnected: ${client.id} (${clients.size} total)`);
+    });
+
+    socket.on('error', (error) => {
+      console.error(`❌ WebSocket client error (${client.id}):`, error.message);
+    });
+  });
+
+  // Drop connections that stop answering pings
+  heartbeatTimer = setInterval(() => {
+    clients.forEach(client => {
+      if (!client.isAlive) {
+        client.socket.terminate();
+        return;
+      }
+      client.isAlive = false;
+      client.socket.ping();
+    });
+  }, WS_CONFIG.heartbeatInterval);
+
+  wss.on('close', () => clearInterval(heartbeatTimer));
+
+  console.log(`🔗 WebSocket server listening on path ${WS_CONFIG.path}`);
+
+  return wss;
+}
+
+/**
+ * Broadcast a message to all clients subscribed to a topic
+ * @param {string} topic - Topic name
+ * @param {Object} data - Message payload
+ * @returns {number} Number of clients the message was sent to
+ */
+export function broadcast(topic, data) {
+  let delivered = 0;
+
+  clients.forEach(client => {
+    if (client.topics.has(topic)) {
+      sendToSocket(client.socket, {
+        type: 'message',
+        topic,
+        data,
+        timestamp: new Date().toISOString()
+      });
+      delivered++;
+    }
+  });
+
+  return delivered;
+}
+
+/**
+ * Forward MQTT messages on the broadcast topics to WebSocket clients
+ * Per-device topics are broadcast under their shared topic name.
+ * @returns {Promise<void>}
+ */
+export async function bridgeMQTTToWebSocket() {
+  await Promise.all(BROADCAST_TOPICS.map(topic =>
+    subscribeToDeviceTopic(topic, (message) => broadcast(topic, message))
+  ));
+  console.log('🔗 MQTT → WebSocket bridge active');
+}
+
+/**
+ * Get number of connected WebSocket clients
+ * @returns {number} Client count
+ */
+export function getClientCount() {
+  return clients.size;
+}
+
+/**
+ * Close WebSocket server and all client connections
+ * @returns {Promise<void>}
+ */
+export async function closeWebSocket() {
+  return new Promise((resolve) => {
+    if (!wss) {
+      resolve();
+      return;
+    }
+
+    clearInterval(heartbeatTimer);
+    clients.forEach(client => client.socket.terminate());
+    clients.clear();
+
+    wss.close(() => {
+      console.log('🔌 WebSocket server closed');
+      wss = null;
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,231 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createJsonFileDriver } from './jsonFileDriver.js';
+import { createMemoryDriver } from './memoryDriver.js';
+import { ConflictError } from '../middleware/errorHandler.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 'json',
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '../data')
+};
+
+// Available storage drivers, keyed by STORAGE_DRIVER value
+const drivers = {
+  json: createJsonFileDriver,
+  memory: createMemoryDriver
+};
+
+/**
+ * Register an additional storage driver
+ * @param {string} name - Driver name used in STORAGE_DRIVER
+ * @param {Function} factory - (collectionName, options) => { read, write }
+ */
+export function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+/**
+ * Apply pending schema migrations to every record
+ * @param {Object} records - Records keyed by id
+ * @param {number} fromVersion - Stored schema version
+ * @param {Array<Object>} migrations - Migrations as { version, description, up(record) }
+ * @returns {Object} Migrated records
+ */
+function migrateRecords(records, fromVersion, migrations) {
+  const pending = migrations
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+
+  return pending.reduce((current, migration) => {
+    console.log(`🗄️  Applying migration v${migration.version}: ${migration.description || 'no description'}`);
+    const migrated = {};
+    Object.entries(current).forEach(([id, record]) => {
+      migrated[id] = migration.up(record);
+    });
+    return migrated;
+  }, records);
+}
+
+/**
+ * Create a persistent keyed collection
+ * Records are cached in memory and the whole collection is written back
+ * through the configured driver on every change. A change whose write fails
+ * is rolled back, and callers only ever get copies of the cached records.
+ * @param {string} name - Collection name
+ * @param {Object} options - Repository options
+ * @param {number} options.version - Current schema version of the records
+ * @param {Array<Object>} options.migrations - Schema migrations
+ * @param {string} options.driver - Driver override (defaults to STORAGE_DRIVER)
+ * @returns {Object} Repository
+ */
+export function createRepository(name, { version = 1, migrations = [], driver = STORAGE_CONFIG.driver } = {}) {
+  const createDriver = drivers[driver];
+  if (!createDriver) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  const store = createDriver(name, { dataDir: STORAGE_CONFIG.dataDir });
+  const records = new Map();
+  let loaded = null;
+
+  const persist = () => store.write({
+    schemaVersion: version,
+    updatedAt: new Date().toISOString(),
+    records: Object.fromEntries(records)
+  });
+
+  const copy = (record) => structuredClone(record);
+
+  // Apply a change (undefined deletes) and persist it, restoring the previous
+  // record when the write fails unless a newer change has replaced it meanwhile
+  const commit = async (id, record) => {
+    const previous = records.get(id);
+    if (record === undefined) {
+      records.delete(id);
+    } else {
+      records.set(id, record);
+    }
+
+    try {
+      await persist();
+    } catch (error) {
+      if (records.get(id) === record) {
+        if (previous === undefined) {
+          records.delete(id);
+        } else {
+          records.set(id, previous);
+        }
+      }
+      throw error;
+    }
+  };
+
+  const load = async () => {
+    const data = await store.read();
+    if (!data) return;
+
+    const storedVersion = data.schemaVersion || 1;
+    if (storedVersion > version) {
+      throw new Error(`${name} storage has schema v${storedVersion}, newer than supported v${version}`);
+    }
+
+    const migrated = storedVersion < version
+      ? migrateRecords(data.records || {}, storedVersion, migrations)
+      : data.records || {};
+
+    Object.entries(migrated).forEach(([id, record]) => records.set(id, record));
+
+    if (storedVersion < version) {
+      await persist();
+    }
+  };
+
+  return {
+    name,
+    driver: store.name,
+    location: store.location,
+
+    /**
+     * Load stored records (safe to call more than once)
+     * @returns {Promise<void>}
+     */
+    async init() {
+      if (!loaded) {
+        loaded = load().catch(error => {
+          loaded = null;
+          throw error;
+        });
+      }
+      return loaded;
+    },
+
+    /**
+     * Get a record by id
+     * @param {string} id - Record id
+     * @returns {Promise<Object|null>} Record
+     */
+    async get(id) {
+      await this.init();
+      return records.has(id) ? copy(records.get(id)) : null;
+    },
+
+    /**
+     * Check whether a record exists
+     * @param {string} id - Record id
+     * @returns {Promise<boolean>} Whether the record exists
+     */
+    async has(id) {
+      await this.init();
+      return records.has(id);
+    },
+
+    /**
+     * List records, optionally filtered
+     * @param {Function} predicate - Optional filter
+     * @returns {Promise<Array<Object>>} Records
+     */
+    async list(predicate = null) {
+      await this.init();
+      const all = Array.from(records.values());
+      return (predicate ? all.filter(predicate) : all).map(copy);
+    },
+
+    /**
+     * Create a new record
+     * @param {string} id - Record id
+     * @param {Object} record - Record data
+     * @returns {Promise<Object>} Created record
+     */
+    async create(id, record) {
+      await this.init();
+      if (records.has(id)) {
+        throw new ConflictError(`${name} record already exists: ${id}`);
+      }
+      await commit(id, copy(record));
+      return copy(record);
+    },
+
+    /**
+     * Merge changes into an existing record
+     * @param {string} id - Record id
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} Updated record or null when missing
+     */
+    async update(id, changes) {
+      await this.init();
+      if (!records.has(id)) return null;
+      const record = copy({ ...records.get(id), ...changes });
+      await commit(id, record);
+      return copy(record);
+    },
+
+    /**
+     * Create or replace a record
+     * @param {string} id - Record id
+     * @param {Object} record - Record data
+     * @returns {Promise<Object>} Stored record
+     */
+    async upsert(id, record) {
+      await this.init();
+      await commit(id, copy(record));
+      return copy(record);
+    },
+
+    /**
+     * Delete a record
+     * @param {string} id - Record id
+     * @returns {Promise<boolean>} Whether a record was deleted
+     */
+    async delete(id) {
+      await this.init();
+      if (!records.has(id)) return false;
+      await commit(id, undefined);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * JSON file storage driver
+ * Each collection is stored as <dataDir>/<name>.json and replaced atomically
+ * (write to a temp file, then rename) so a crash never leaves half a file.
+ * @param {string} name - Collection name
+ * @param {Object} options - Driver options
+ * @param {string} options.dataDir - Directory holding the collection files
+ * @returns {Object} Driver with read() and write()
+ */
+export function createJsonFileDriver(name, { dataDir }) {
+  const filePath = path.join(dataDir, `${name}.json`);
+  let writeChain = Promise.resolve();
+
+  return {
+    name: 'json',
+    location: filePath,
+
+    /**
+     * Read the stored collection
+     * @returns {Promise<Object|null>} Stored data or null when the file does not exist
+     */
+    async read() {
+      try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(content);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Replace the stored collection
+     * @param {Object} data - Data to store
+     * @returns {Promise<void>}
+     */
+    async write(data) {
+      // Serialize writes so an older snapshot never overwrites a newer one
+      const run = writeChain.then(async () => {
+        await fs.mkdir(dataDir, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+      });
+      writeChain = run.catch(() => {});
+      return run;
+    }
+  };
+}
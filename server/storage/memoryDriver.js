@@ -0,0 +1,22 @@
+/**
+ * In-memory storage driver
+ * Useful for development and tests; nothing survives a restart.
+ * @param {string} name - Collection name
+ * @returns {Object} Driver with read() and write()
+ */
+export function createMemoryDriver(name) {
+  let stored = null;
+
+  return {
+    name: 'memory',
+    location: `memory:${name}`,
+
+    async read() {
+      return stored ? JSON.parse(JSON.stringify(stored)) : null;
+    },
+
+    async write(data) {
+      stored = JSON.parse(JSON.stringify(data));
+    }
+  };
+}
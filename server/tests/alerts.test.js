@@ -0,0 +1,121 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+
+let alerts;
+let sensorConfig;
+// Readings a second apart, so alerts sort by the time they opened
+let clock = Date.now();
+
+before(async () => {
+  sensorConfig = await import('../services/sensorConfig.js');
+  alerts = await import('../services/alerts.js');
+
+  await sensorConfig.initializeSensorConfigs();
+  await alerts.startAlerting();
+  alerts.stopAlerting();
+});
+
+/**
+ * Evaluate a single-sensor reading
+ * @param {string} deviceId - Device ID
+ * @param {string} sensorType - Sensor type
+ * @param {number} value - Reading value
+ * @returns {Promise<void>}
+ */
+function evaluate(deviceId, sensorType, value) {
+  return alerts.evaluateThresholds({
+    deviceId,
+    location: null,
+    timestamp: new Date(clock += 1000),
+    values: { [sensorType]: value }
+  });
+}
+
+/**
+ * Alerts of a device and sensor, oldest first
+ * @param {string} deviceId - Device ID
+ * @param {string} sensorType - Sensor type
+ * @returns {Promise<Array<Object>>} Alerts
+ */
+async function alertsOf(deviceId, sensorType) {
+  const list = await alerts.listAlerts({ deviceId, sensorType, limit: Infinity });
+  return list.reverse();
+}
+
+describe('threshold checks', () => {
+  test('report the breached limit', () => {
+    assert.deepEqual(alerts.checkThreshold(36, { min: 2, max: 35 }), { kind: 'above_max', limit: 35 });
+    assert.deepEqual(alerts.checkThreshold(1, { min: 2, max: 35 }), { kind: 'below_min', limit: 2 });
+    assert.equal(alerts.checkThreshold(35, { min: 2, max: 35 }), null);
+    assert.equal(alerts.checkThreshold(100, { min: 2 }), null);
+  });
+
+  test('clear only past the hysteresis margin', () => {
+    const threshold = { min: 2, max: 35, hysteresis: 1 };
+    assert.equal(alerts.isBreachCleared(34.5, 'above_max', threshold), false);
+    assert.equal(alerts.isBreachCleared(34, 'above_max', threshold), true);
+    assert.equal(alerts.isBreachCleared(2.5, 'below_min', threshold), false);
+    assert.equal(alerts.isBreachCleared(3, 'below_min', threshold), true);
+    assert.equal(alerts.isBreachCleared(35, 'above_max', { max: 35 }), true);
+  });
+});
+
+describe('alert evaluation', () => {
+  before(async () => {
+    await sensorConfig.saveSensorConfig({ sensorType: 'temperature', enabled: true, threshold: { min: 2, max: 35 } });
+    await sensorConfig.saveSensorConfig({
+      sensorType: 'temperature',
+      deviceId: 'greenhouse-1',
+      enabled: true,
+      threshold: { min: 2, max: 35, hysteresis: 1 }
+    });
+  });
+
+  test('opens one alert per breach and tracks its peak', async () => {
+    await evaluate('node-1', 'temperature', 36);
+    await evaluate('node-1', 'temperature', 38);
+    await evaluate('node-1', 'temperature', 37);
+
+    const history = await alertsOf('node-1', 'temperature');
+    const [alert] = history;
+    assert.equal(history.length, 1);
+    assert.equal(alert.status, alerts.ALERT_STATUS.OPEN);
+    assert.equal(alert.kind, 'above_max');
+    assert.equal(alert.threshold, 35);
+    assert.equal(alert.peakValue, 38);
+  });
+
+  test('resolves once back within range and reopens on the opposite breach', async () => {
+    await evaluate('node-2', 'temperature', 36);
+    await evaluate('node-2', 'temperature', 20);
+    await evaluate('node-2', 'temperature', 1);
+
+    const [first, second] = await alertsOf('node-2', 'temperature');
+    assert.equal(first.status, alerts.ALERT_STATUS.RESOLVED);
+    assert.equal(second.status, alerts.ALERT_STATUS.OPEN);
+    assert.equal(second.kind, 'below_min');
+  });
+
+  test('stays open within the hysteresis margin', async () => {
+    await evaluate('greenhouse-1', 'temperature', 36);
+    await evaluate('greenhouse-1', 'temperature', 34.5);
+    await evaluate('greenhouse-1', 'temperature', 35.5);
+
+    let history = await alertsOf('greenhouse-1', 'temperature');
+    assert.equal(history.length, 1);
+    assert.equal(history[0].status, alerts.ALERT_STATUS.OPEN);
+
+    await evaluate('greenhouse-1', 'temperature', 34);
+    history = await alertsOf('greenhouse-1', 'temperature');
+    assert.equal(history.length, 1);
+    assert.equal(history[0].status, alerts.ALERT_STATUS.RESOLVED);
+  });
+
+  test('ignores sensors without a threshold', async () => {
+    await evaluate('node-3', 'humidity', 100);
+    assert.deepEqual(await alertsOf('node-3', 'humidity'), []);
+  });
+});
@@ -0,0 +1,137 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+
+const {
+  DETECTION_DEFAULTS,
+  detectOutOfRange,
+  detectFlatlines,
+  detectSpikes,
+  detectRateOfChange,
+  detectAnomalies
+} = await import('../services/anomalyDetection.js');
+
+const field = { key: 'temperature', unit: '°C', range: { min: -40, max: 85 }, maxRate: 2 };
+
+const spikeOptions = { method: 'mad', threshold: DETECTION_DEFAULTS.threshold.mad, window: DETECTION_DEFAULTS.window };
+
+/**
+ * Build a series one minute apart
+ * @param {Array<number>} values - Point values
+ * @returns {Array<Object>} Points of { time, value }
+ */
+function series(values) {
+  const start = Date.UTC(2024, 0, 1);
+  return values.map((value, index) => ({ time: new Date(start + index * 60000).toISOString(), value }));
+}
+
+/**
+ * Gently varying values around 20
+ * @param {number} count - Number of values
+ * @returns {Array<number>} Values
+ */
+function noisy(count) {
+  return Array.from({ length: count }, (_, index) => 20 + ((index * 7) % 5) / 10);
+}
+
+describe('out of range', () => {
+  test('checks window extremes, not just the mean', () => {
+    const points = series([20, 21, 22]);
+    points[1].aggregates = { mean: 21, min: -60, max: 25 };
+
+    const anomalies = detectOutOfRange(points, field);
+    assert.equal(anomalies.length, 1);
+    assert.equal(anomalies[0].time, points[1].time);
+    assert.equal(anomalies[0].value, -60);
+  });
+
+  test('ignores fields without a range', () => {
+    assert.deepEqual(detectOutOfRange(series([1000]), { ...field, range: { min: null, max: null } }), []);
+  });
+});
+
+describe('flatlines', () => {
+  test('report runs of unchanged values lasting long enough', () => {
+    const points = series([20, 21, ...Array(31).fill(19.5), 20]);
+    const [anomaly, ...rest] = detectFlatlines(points, 30 * 60000);
+
+    assert.equal(rest.length, 0);
+    assert.equal(anomaly.type, 'flatline');
+    assert.equal(anomaly.time, points[2].time);
+    assert.equal(anomaly.endTime, points[32].time);
+    assert.equal(anomaly.details.points, 31);
+  });
+
+  test('ignore short runs', () => {
+    assert.deepEqual(detectFlatlines(series([20, ...Array(10).fill(19.5), 20]), 30 * 60000), []);
+    assert.deepEqual(detectFlatlines(series([19.5, 19.5]), 0), []);
+  });
+
+  test('tolerate float noise from averaging', () => {
+    const values = Array.from({ length: 40 }, (_, index) => 19.5 + (index % 2) * 1e-12);
+    assert.equal(detectFlatlines(series(values), 30 * 60000).length, 1);
+  });
+});
+
+describe('spikes', () => {
+  test('flag a point far from its neighbours', () => {
+    const values = noisy(41);
+    values[20] = 30;
+    const anomalies = detectSpikes(series(values), spikeOptions);
+
+    assert.equal(anomalies.length, 1);
+    assert.equal(anomalies[0].value, 30);
+    assert.ok(anomalies[0].details.score > spikeOptions.threshold);
+  });
+
+  test('work with plain z-scores', () => {
+    const values = noisy(41);
+    values[20] = 30;
+    const anomalies = detectSpikes(series(values), { ...spikeOptions, method: 'zscore', threshold: 3 });
+    assert.deepEqual(anomalies.map(anomaly => anomaly.value), [30]);
+  });
+
+  test('need neighbours on both sides', () => {
+    const values = noisy(41);
+    values[0] = 30;
+    values[40] = 30;
+    assert.deepEqual(detectSpikes(series(values), spikeOptions), []);
+  });
+
+  test('are not reported in steady trends', () => {
+    const values = Array.from({ length: 41 }, (_, index) => 10 + index * 0.1);
+    assert.deepEqual(detectSpikes(series(values), spikeOptions), []);
+  });
+});
+
+describe('rate of change', () => {
+  test('flags changes faster than maxRate per minute', () => {
+    const anomalies = detectRateOfChange(series([20, 21, 25, 24]), field);
+
+    assert.equal(anomalies.length, 1);
+    assert.equal(anomalies[0].value, 25);
+    assert.equal(anomalies[0].details.rate, 4);
+  });
+
+  test('is skipped for fields without maxRate', () => {
+    assert.deepEqual(detectRateOfChange(series([0, 100]), { ...field, maxRate: null }), []);
+  });
+});
+
+describe('detectAnomalies', () => {
+  test('runs every check and sorts by time', () => {
+    const values = noisy(41);
+    values[10] = 90;
+    values[30] = 30;
+    const anomalies = detectAnomalies(series(values), field, { ...spikeOptions, flatlineDuration: '30m' });
+
+    const types = anomalies.map(anomaly => anomaly.type);
+    assert.ok(types.includes('out_of_range'));
+    assert.ok(types.includes('spike'));
+    assert.ok(types.includes('rate_of_change'));
+    const times = anomalies.map(anomaly => new Date(anomaly.time).getTime());
+    assert.deepEqual(times, [...times].sort((a, b) => a - b));
+  });
+});
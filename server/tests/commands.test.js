@@ -0,0 +1,69 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Commands are stored in files so a second module instance can stand in for a restart
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'json';
+process.env.DATA_DIR = await mkdtemp(path.join(tmpdir(), 'weatherly-commands-'));
+
+let commands;
+
+before(async () => {
+  commands = await import('../services/commands.js');
+});
+
+after(async () => {
+  await rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('transient command parameters', () => {
+  test('are never stored', async () => {
+    const record = await commands.createCommand('node-1', {
+      type: 'config',
+      command: 'general_settings',
+      parameters: { ssid: 'home' },
+      transientParameters: { wifiPassword: 'secret' }
+    });
+
+    assert.deepEqual(record.parameters, { ssid: 'home' });
+    assert.deepEqual(record.redactedParameters, ['wifiPassword']);
+  });
+
+  test('a command whose secrets were lost fails instead of being published', async () => {
+    const record = await commands.createCommand('node-1', {
+      type: 'config',
+      command: 'general_settings',
+      parameters: { ssid: 'home' },
+      transientParameters: { wifiPassword: 'secret' }
+    });
+
+    // A fresh instance of the module reads the stored command, as after a restart
+    const restarted = await import(`../services/commands.js?restart=${Date.now()}`);
+    const delivered = await restarted.deliverCommand(record);
+
+    assert.equal(delivered.status, commands.COMMAND_STATUS.FAILED);
+    assert.match(delivered.error, /wifiPassword/);
+  });
+
+  test('a command keeps its secrets across delivery attempts', async () => {
+    const record = await commands.createCommand('node-1', {
+      type: 'config',
+      command: 'general_settings',
+      parameters: {},
+      transientParameters: { wifiPassword: 'secret' },
+      maxAttempts: 3
+    });
+
+    // MQTT is not connected, so both attempts fail to publish
+    const first = await commands.deliverCommand(record);
+    const second = await commands.deliverCommand(first);
+
+    assert.equal(first.status, commands.COMMAND_STATUS.QUEUED);
+    assert.equal(second.status, commands.COMMAND_STATUS.QUEUED);
+    assert.equal(second.attempts, 2);
+    assert.equal(second.error, 'MQTT client not connected');
+  });
+});
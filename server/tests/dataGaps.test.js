@@ -0,0 +1,94 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.QUERY_CACHE_ENABLED = 'false';
+
+const TEMPERATURE = 'aht20_temperature_celsius';
+const HUMIDITY = 'aht20_humidity_percent';
+
+let influx;
+let dataGaps;
+let deviceRegistry;
+
+// Rows per timeline query, keyed by the query's last step
+const timelineRows = {
+  count: [
+    { _field: TEMPERATURE, deviceId: 'node-1', _value: 40 },
+    { _field: HUMIDITY, deviceId: 'node-1', _value: 60 }
+  ],
+  first: [
+    { _field: TEMPERATURE, deviceId: 'node-1', _time: '2024-01-01T00:05:00Z' },
+    { _field: HUMIDITY, deviceId: 'node-1', _time: '2024-01-01T00:00:30Z' }
+  ],
+  last: [
+    { _field: TEMPERATURE, deviceId: 'node-1', _time: '2024-01-01T00:50:00Z' },
+    { _field: HUMIDITY, deviceId: 'node-1', _time: '2024-01-01T00:59:30Z' }
+  ],
+  elapsed: [
+    { _field: TEMPERATURE, deviceId: 'node-1', _time: '2024-01-01T00:30:00Z', elapsed: 600 },
+    // Returned by a query with a lower minimum, but within tolerance here
+    { _field: TEMPERATURE, deviceId: 'node-1', _time: '2024-01-01T00:40:00Z', elapsed: 85 }
+  ]
+};
+
+before(async () => {
+  influx = await import('../services/influxdb.js');
+  dataGaps = await import('../services/dataGaps.js');
+  deviceRegistry = await import('../services/deviceRegistry.js');
+
+  influx.queryApi.queryRows = (query, handlers) => {
+    const step = [...query.toString().matchAll(/\|> (count|first|last|elapsed)\(/g)].pop()[1];
+    timelineRows[step].forEach(row => handlers.next([], { toObject: () => row }));
+    handlers.complete();
+  };
+
+  await deviceRegistry.registerDevice('node-2', { lastSeen: '2023-12-31T20:00:00Z' });
+});
+
+describe('findDataGaps', () => {
+  let report;
+
+  before(async () => {
+    report = await dataGaps.findDataGaps({
+      startTime: '2024-01-01T00:00:00Z',
+      endTime: '2024-01-01T01:00:00Z',
+      fields: ['temperature', 'humidity'],
+      expectedInterval: '1m'
+    });
+  });
+
+  test('reports a late first reading, long intervals and a missing last reading', () => {
+    const temperature = report.series.find(series => series.field === 'temperature');
+
+    assert.deepEqual(temperature.gaps, [
+      { start: '2024-01-01T00:00:00.000Z', end: '2024-01-01T00:05:00.000Z', durationMs: 300000, downtimeMs: 240000, missedSamples: 4 },
+      { start: '2024-01-01T00:20:00.000Z', end: '2024-01-01T00:30:00.000Z', durationMs: 600000, downtimeMs: 540000, missedSamples: 9 },
+      { start: '2024-01-01T00:50:00.000Z', end: '2024-01-01T01:00:00.000Z', durationMs: 600000, downtimeMs: 540000, missedSamples: 9, ongoing: true }
+    ]);
+    assert.equal(temperature.uptime.downtimeMs, 1320000);
+    assert.ok(Math.abs(temperature.uptime.percent - 63.33) < 0.01);
+    assert.equal(temperature.uptime.longestGapMs, 600000);
+    assert.ok(Math.abs(temperature.completeness - 66.67) < 0.01);
+  });
+
+  test('does not report jitter within the tolerance', () => {
+    const humidity = report.series.find(series => series.field === 'humidity');
+
+    assert.deepEqual(humidity.gaps, []);
+    assert.equal(humidity.uptime.percent, 100);
+    assert.equal(humidity.completeness, 100);
+  });
+
+  test('lists registered devices that sent nothing', () => {
+    assert.deepEqual(report.silentDevices, [{ deviceId: 'node-2', lastSeen: '2023-12-31T20:00:00Z' }]);
+  });
+
+  test('summarizes every series', () => {
+    assert.equal(report.summary.series, 2);
+    assert.equal(report.summary.gaps, 3);
+    assert.equal(report.summary.downtimeMs, 1320000);
+    assert.ok(Math.abs(report.summary.completeness - (100 / 120) * 100) < 0.01);
+  });
+});
@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { heatIndex, dewPoint } from '../services/derivedMetrics.js';
+
+const toCelsius = (fahrenheit) => (fahrenheit - 32) * 5 / 9;
+
+describe('heat index', () => {
+  test('uses the simple estimate below 80 °F', () => {
+    // 20 °C = 68 °F at 50%
+    const simple = 0.5 * (68 + 61 + (68 - 68) * 1.2 + 50 * 0.094);
+    assert.ok(Math.abs(heatIndex(20, 50) - toCelsius(simple)) < 1e-9);
+  });
+
+  test('uses the Rothfusz regression in the heat', () => {
+    // NWS table: 90 °F at 70% is a heat index of 106 °F
+    assert.ok(Math.abs(heatIndex(toCelsius(90), 70) - toCelsius(106)) < 0.5);
+  });
+
+  test('needs a humidity reading', () => {
+    assert.equal(heatIndex(30, 0), null);
+    assert.equal(heatIndex(30, NaN), null);
+  });
+});
+
+describe('dew point', () => {
+  test('equals the temperature at saturation', () => {
+    assert.ok(Math.abs(dewPoint(15, 100) - 15) < 1e-9);
+  });
+});
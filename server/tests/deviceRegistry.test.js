@@ -0,0 +1,61 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Devices are stored in files so a second module instance can stand in for a restart
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'json';
+process.env.DATA_DIR = await mkdtemp(path.join(tmpdir(), 'weatherly-devices-'));
+
+let mqtt;
+let registry;
+
+before(async () => {
+  mqtt = await import('../services/mqtt.js');
+  registry = await import('../services/deviceRegistry.js');
+  await registry.initializeDeviceRegistry();
+});
+
+after(async () => {
+  await rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('per-device topic usage', () => {
+  test('is stored on the device record', async () => {
+    await registry.registerDevice('attic-1');
+    assert.equal((await registry.getDevice('attic-1')).perDeviceTopics, false);
+
+    mqtt.addPerDeviceClient('attic-1');
+    // The registry updates the record without the event waiting for it
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal((await registry.getDevice('attic-1')).perDeviceTopics, true);
+
+    mqtt.addPerDeviceClient('cellar-1');
+    await registry.registerDevice('cellar-1');
+    assert.equal((await registry.getDevice('cellar-1')).perDeviceTopics, true);
+  });
+
+  test('is restored on startup', async () => {
+    await registry.saveDevice({ id: 'garage-1', status: 'offline', perDeviceTopics: true });
+    assert.equal(mqtt.usesPerDeviceTopics('garage-1'), false);
+
+    const restarted = await import(`../services/deviceRegistry.js?restart=${Date.now()}`);
+    await restarted.initializeDeviceRegistry();
+    assert.equal(mqtt.usesPerDeviceTopics('garage-1'), true);
+  });
+});
+
+describe('device topic templates', () => {
+  test('that match shared topics are reported', () => {
+    assert.deepEqual(mqtt.findSharedTopicOverlap('{deviceId}/{channel}'), [
+      'sensors/data',
+      'sensors/config',
+      'devices/status',
+      'devices/heartbeat'
+    ]);
+    assert.deepEqual(mqtt.findSharedTopicOverlap('weatherly/{deviceId}/{channel}'), []);
+    assert.deepEqual(mqtt.findSharedTopicOverlap('{channel}/{deviceId}'), []);
+  });
+});
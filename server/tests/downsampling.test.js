@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { lttb, downsampleSeries, selectWindow } from '../services/downsampling.js';
+
+/**
+ * Build a series one minute apart
+ * @param {Array<number>} values - Point values
+ * @returns {Array<Object>} Points of { time, value, index }
+ */
+function series(values) {
+  const start = Date.UTC(2024, 0, 1);
+  return values.map((value, index) => ({
+    time: new Date(start + index * 60000).toISOString(),
+    value,
+    index
+  }));
+}
+
+describe('lttb', () => {
+  test('returns short series and small thresholds unchanged', () => {
+    const points = series([1, 2, 3, 4]);
+    assert.equal(lttb(points, 4), points);
+    assert.equal(lttb(points, 10), points);
+    assert.equal(lttb(points, 2), points);
+    assert.deepEqual(lttb([], 5), []);
+  });
+
+  test('keeps the first and last point and exactly threshold points', () => {
+    const points = series(Array.from({ length: 100 }, (_, index) => Math.sin(index / 5)));
+    const sampled = lttb(points, 10);
+
+    assert.equal(sampled.length, 10);
+    assert.equal(sampled[0], points[0]);
+    assert.equal(sampled[9], points[99]);
+  });
+
+  test('picks one point from each bucket, in order', () => {
+    // 10 points, threshold 4: buckets of 4 points after the first, [1, 5) and [5, 9)
+    const points = series([0, 1, 9, 2, 1, 1, 2, -9, 1, 0]);
+    const sampled = lttb(points, 4);
+
+    assert.deepEqual(sampled.map(point => point.index), [0, 2, 7, 9]);
+  });
+
+  test('keeps peaks and dips', () => {
+    const values = Array.from({ length: 50 }, () => 20);
+    values[17] = 35;
+    values[33] = 5;
+    const sampled = lttb(series(values), 6);
+
+    assert.ok(sampled.some(point => point.value === 35));
+    assert.ok(sampled.some(point => point.value === 5));
+  });
+
+  test('returns the original points with their extra properties', () => {
+    const points = series([1, 5, 2, 8, 3, 9, 4]).map(point => ({ ...point, aggregates: { min: 0 } }));
+    lttb(points, 4).forEach(point => assert.ok(points.includes(point)));
+  });
+
+  test('decimates every series of a grouped result', () => {
+    const grouped = { a: series(Array.from({ length: 20 }, (_, index) => index)), b: series([1, 2]) };
+    const sampled = downsampleSeries(grouped, 5);
+
+    assert.equal(sampled.a.length, 5);
+    assert.equal(sampled.b, grouped.b);
+  });
+});
+
+describe('selectWindow', () => {
+  test('picks the smallest window within maxPoints', () => {
+    assert.equal(selectWindow('-1h', 'now()', 500), '10s');
+    assert.equal(selectWindow('-7d', 'now()', 500), '30m');
+    assert.equal(selectWindow('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', 24), '1h');
+    assert.equal(selectWindow('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', 25), '1h');
+    assert.equal(selectWindow('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', 23), '2h');
+  });
+
+  test('falls back to the smallest and largest windows', () => {
+    assert.equal(selectWindow('now()', 'now()'), '1s');
+    assert.equal(selectWindow('2024-01-02T00:00:00Z', '2024-01-01T00:00:00Z'), '1s');
+    assert.equal(selectWindow('-100y', 'now()', 10), '30d');
+  });
+});
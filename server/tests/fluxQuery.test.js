@@ -0,0 +1,165 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createFluxQuery,
+  createFluxUnion,
+  isFluxTime,
+  isFluxDuration,
+  isFluxIdentifier
+} from '../services/fluxQuery.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+// Range bounds trying to close the range() call and append pipeline steps
+const CRAFTED_TIMES = [
+  '-1h) |> drop(columns: ["_value"]',
+  '-1h, stop: now()) |> yield(name: "x")',
+  'now() |> limit(n: 1)',
+  'now()\n|> drop(columns: ["_value"])',
+  '2024-01-01T00:00:00Z) |> to(bucket: "other")',
+  '2024-01-01T00:00:00Z"',
+  '-1h/*',
+  '--1h',
+  '-${bucket}',
+  'time(v: "2024-01-01T00:00:00Z")',
+  ''
+];
+
+const CRAFTED_DURATIONS = [
+  '5m, fn: mean) |> to(bucket: "other"',
+  '5m\n',
+  '5 m',
+  '5',
+  'm',
+  '-5m',
+  '${duration}',
+  'duration(v: "5m")'
+];
+
+const CRAFTED_IDENTIFIERS = [
+  'deviceId"] == "a" or r["x',
+  'deviceId) |> drop(columns: ["_value"]',
+  'r._value',
+  'device id',
+  '1deviceId',
+  '${tag}',
+  ''
+];
+
+/**
+ * Expect a call to be rejected with a ValidationError
+ * @param {Function} fn - Call
+ */
+function assertRejected(fn) {
+  assert.throws(fn, error => error instanceof ValidationError);
+}
+
+describe('validators', () => {
+  test('reject crafted range bounds', () => {
+    CRAFTED_TIMES.forEach(value => assert.equal(isFluxTime(value), false, value));
+  });
+
+  test('accept now(), relative durations and RFC3339 timestamps', () => {
+    ['now()', '-1h', '-7d', '-1h30m', '2024-05-01T00:00:00Z', '2024-05-01T00:00:00.5+02:00']
+      .forEach(value => assert.equal(isFluxTime(value), true, value));
+  });
+
+  test('reject crafted window periods', () => {
+    CRAFTED_DURATIONS.forEach(value => assert.equal(isFluxDuration(value), false, value));
+  });
+
+  test('reject crafted tag and column names', () => {
+    CRAFTED_IDENTIFIERS.forEach(value => assert.equal(isFluxIdentifier(value), false, value));
+  });
+});
+
+describe('builder rejects crafted values', () => {
+  test('start and stop', () => {
+    CRAFTED_TIMES.forEach(value => {
+      assertRejected(() => createFluxQuery('bucket').range(value));
+      assertRejected(() => createFluxQuery('bucket').range('-1h', value));
+    });
+  });
+
+  test('window period and aggregate', () => {
+    CRAFTED_DURATIONS.forEach(value => {
+      assertRejected(() => createFluxQuery('bucket').aggregateWindow(value));
+      assertRejected(() => createFluxQuery('bucket').weightedMeanWindow(value, '_weight'));
+    });
+    assertRejected(() => createFluxQuery('bucket').aggregateWindow('5m', 'mean) |> to(bucket: "other"'));
+    assertRejected(() => createFluxQuery('bucket').aggregateWindow('5m', 'quantile', { p: '0.5) |> yield(' }));
+    assertRejected(() => createFluxQuery('bucket').aggregateWindow('5m', 'mean', { timeSrc: '_time") |> yield(' }));
+  });
+
+  test('tag names and columns', () => {
+    CRAFTED_IDENTIFIERS.forEach(value => {
+      assertRejected(() => createFluxQuery('bucket').filter(value, 'a'));
+      assertRejected(() => createFluxQuery('bucket').filterTags({ [value]: 'a' }));
+      assertRejected(() => createFluxQuery('bucket').group([value]));
+      assertRejected(() => createFluxQuery('bucket').weightedMeanWindow('5m', value));
+      assertRejected(() => createFluxQuery('bucket').sort([value]));
+      assertRejected(() => createFluxQuery('bucket').pivot([value]));
+      assertRejected(() => createFluxQuery('bucket').drop([value]));
+      assertRejected(() => createFluxQuery('bucket').set(value, 'a'));
+    });
+  });
+
+  test('group mode', () => {
+    assertRejected(() => createFluxQuery('bucket').group(['_time'], 'except") |> yield(name: "x'));
+  });
+
+  test('elapsed unit', () => {
+    CRAFTED_DURATIONS.forEach(value => {
+      assertRejected(() => createFluxQuery('bucket').elapsed(value));
+    });
+  });
+});
+
+describe('builder quotes and escapes string values', () => {
+  /**
+   * Build a query filtering a tag by one value
+   * @param {string} value - Tag value
+   * @returns {string} Query text
+   */
+  const filterText = (value) => createFluxQuery('bucket').filter('location', value).build().toString();
+
+  test('quotes break-out attempts inside a string literal', () => {
+    const text = filterText('attic" or r._value > 0 or r.x == "');
+    assert.ok(text.includes('r["location"] == "attic\\" or r._value > 0 or r.x == \\""'), text);
+  });
+
+  test('escapes backslashes, newlines and interpolation', () => {
+    assert.ok(filterText('a\\').includes('== "a\\\\"'));
+    assert.ok(filterText('a\nb').includes('== "a\\nb"'));
+    assert.ok(filterText('${r._value}').includes('== "\\${r._value}"'));
+  });
+
+  test('several values stay separate literals', () => {
+    const text = createFluxQuery('bucket').filter('deviceId', ['a', 'b" or true or "']).build().toString();
+    assert.ok(text.includes('r["deviceId"] == "a" or r["deviceId"] == "b\\" or true or \\""'), text);
+  });
+
+  test('bucket names and set values are quoted', () => {
+    const text = createFluxQuery('my") |> drop(columns: ["_value"]) |> yield(name: "')
+      .set('rollup', '1h") |> yield(name: "x')
+      .to('other") |> yield(name: "')
+      .build()
+      .toString();
+    assert.ok(text.startsWith('from(bucket: "my\\") |> drop'), text);
+    assert.ok(text.includes('set(key: "rollup", value: "1h\\") |> yield(name: \\"x")'), text);
+    assert.ok(text.includes('to(bucket: "other\\") |> yield(name: \\"")'), text);
+  });
+
+  test('unions embed the quoted queries', () => {
+    const text = createFluxUnion([
+      createFluxQuery('a').filter('location', 'x"'),
+      createFluxQuery('b')
+    ]).build().toString();
+    assert.ok(text.startsWith('union(tables: [from(bucket: "a")'), text);
+    assert.ok(text.includes('== "x\\""'), text);
+  });
+
+  test('Date bounds become time literals', () => {
+    const text = createFluxQuery('bucket').range(new Date('2024-01-01T00:00:00Z'), 'now()').build().toString();
+    assert.ok(text.includes('range(start: time(v: "2024-01-01T00:00:00.000Z"), stop: now())'), text);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.QUERY_CACHE_ENABLED = 'false';
+
+let influx;
+let forecast;
+let rows;
+
+before(async () => {
+  influx = await import('../services/influxdb.js');
+  forecast = await import('../services/forecast.js');
+
+  influx.queryApi.queryRows = (query, handlers) => {
+    rows.forEach(row => handlers.next([], { toObject: () => row }));
+    handlers.complete();
+  };
+});
+
+beforeEach(() => {
+  rows = [];
+});
+
+/**
+ * Pivoted 10-minute rows ending now
+ * @param {number} count - Number of rows
+ * @param {Function} pressureAt - Pressure (hPa) for hours before now
+ * @returns {Array<Object>} Rows
+ */
+function pressureRows(count, pressureAt) {
+  const now = Date.now();
+  return Array.from({ length: count }, (_, index) => {
+    const hoursAgo = (count - 1 - index) / 6;
+    return {
+      _time: new Date(now - hoursAgo * 3600000).toISOString(),
+      bmp280_pressure_hpa: pressureAt(hoursAgo),
+      aht20_temperature_celsius: 15
+    };
+  });
+}
+
+describe('sea-level pressure', () => {
+  test('is the station pressure at sea level', () => {
+    assert.equal(forecast.toSeaLevelPressure(1000, 0), 1000);
+  });
+
+  test('rises with altitude', () => {
+    assert.ok(Math.abs(forecast.toSeaLevelPressure(1000, 100, 15) - 1011.92) < 0.01);
+    assert.ok(forecast.toSeaLevelPressure(1000, 100, -10) > forecast.toSeaLevelPressure(1000, 100, 30));
+  });
+});
+
+describe('pressure tendency', () => {
+  test('is steady within 1.6 hPa per 3 hours', () => {
+    assert.deepEqual(forecast.classifyTendency(0), { trend: 'steady', description: 'steady' });
+    assert.deepEqual(forecast.classifyTendency(1), { trend: 'steady', description: 'rising slowly' });
+    assert.deepEqual(forecast.classifyTendency(-1.5), { trend: 'steady', description: 'falling slowly' });
+  });
+
+  test('rises or falls from 1.6 hPa on', () => {
+    assert.deepEqual(forecast.classifyTendency(1.6), { trend: 'rising', description: 'rising' });
+    assert.deepEqual(forecast.classifyTendency(-2), { trend: 'falling', description: 'falling' });
+    assert.deepEqual(forecast.classifyTendency(4), { trend: 'rising', description: 'rising quickly' });
+    assert.deepEqual(forecast.classifyTendency(-7), { trend: 'falling', description: 'falling very rapidly' });
+  });
+});
+
+describe('zambretti', () => {
+  const january = new Date('2024-01-15T12:00:00Z');
+  const july = new Date('2024-07-15T12:00:00Z');
+
+  test('picks the code from pressure and trend', () => {
+    assert.deepEqual(forecast.zambretti(1020, 'steady', { date: january }), { code: 11, text: 'Fine weather' });
+  });
+
+  test('adjusts for the season in each hemisphere', () => {
+    assert.equal(forecast.zambretti(1000, 'falling', { date: july, hemisphere: 'north' }).code, 6);
+    assert.equal(forecast.zambretti(1000, 'falling', { date: july, hemisphere: 'south' }).code, 7);
+    assert.equal(forecast.zambretti(1030, 'rising', { date: january, hemisphere: 'north' }).code, 21);
+    assert.equal(forecast.zambretti(1030, 'rising', { date: july, hemisphere: 'north' }).code, 20);
+  });
+
+  test('clamps codes to the trend range', () => {
+    assert.equal(forecast.zambretti(1100, 'falling', { date: january }).code, 1);
+    assert.equal(forecast.zambretti(900, 'rising', { date: january }).code, 32);
+  });
+});
+
+describe('getForecast', () => {
+  test('fits the 3-hour trend of the stored pressure', async () => {
+    rows = pressureRows(19, hoursAgo => 1010 + hoursAgo);
+    const result = await forecast.getForecast();
+
+    assert.equal(result.trend, 'falling');
+    assert.ok(Math.abs(result.tendency.change + 3) < 1e-9);
+    assert.equal(result.tendency.description, 'falling');
+    assert.equal(result.pressure.station, 1010);
+    assert.equal(result.basedOn.points, 19);
+    assert.deepEqual(result.forecast, forecast.zambretti(1010, 'falling', { date: new Date(result.generatedAt) }));
+  });
+
+  test('needs an hour of readings', async () => {
+    rows = pressureRows(4, () => 1013);
+    const result = await forecast.getForecast();
+
+    assert.equal(result.forecast, null);
+    assert.match(result.reason, /1h/);
+  });
+});
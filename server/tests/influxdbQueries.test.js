@@ -0,0 +1,171 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { flux } from '@influxdata/influxdb-client';
+
+// The client needs a URL to be created; nothing is sent to it
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.INFLUXDB_BUCKET ??= 'test';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.QUERY_CACHE_ENABLED = 'false';
+
+const ParameterizedQuery = flux``.constructor;
+
+// Tag value trying to leave its string literal
+const CRAFTED_LOCATION = 'attic" or r._value > 0 or r.x == "';
+const ESCAPED_LOCATION = '"attic\\" or r._value > 0 or r.x == \\""';
+
+let influx;
+let rollups;
+const queries = [];
+
+before(async () => {
+  influx = await import('../services/influxdb.js');
+  rollups = await import('../services/rollups.js');
+
+  // Capture queries instead of sending them
+  influx.queryApi.queryRows = (query, handlers) => {
+    queries.push(query);
+    handlers.complete();
+  };
+});
+
+/**
+ * Run a query path and return the queries it sent
+ * @param {Function} run - Calls an influxdb.js export
+ * @returns {Promise<Array<Object>>} Captured queries
+ */
+async function capture(run) {
+  queries.length = 0;
+  await run();
+  assert.ok(queries.length > 0, 'no query was sent');
+  return [...queries];
+}
+
+/**
+ * Check that a query came from the builder with escaped tag values
+ * @param {Object} query - Captured query
+ */
+function assertBuilt(query) {
+  assert.ok(query instanceof ParameterizedQuery, 'query is not a parameterized query');
+
+  const text = query.toString();
+  assert.match(text, /^(from\(bucket: "|union\(tables: \[from\(bucket: ")/, text);
+  if (text.includes('attic')) {
+    assert.ok(text.includes(ESCAPED_LOCATION), text);
+    assert.ok(!text.replaceAll(ESCAPED_LOCATION, '').includes('attic'), text);
+  }
+}
+
+describe('influxdb.js query paths go through the builder', () => {
+  const filters = { location: [CRAFTED_LOCATION] };
+
+  const paths = {
+    getEnvironmentalData: () => influx.getEnvironmentalData('temperature', '-1h', 'now()', '5m', filters),
+    getAllEnvironmentalData: () => influx.getAllEnvironmentalData('-1h', 'now()', '5m', { ...filters, aggregate: ['mean', 'min'] }),
+    getEnvironmentalTable: () => influx.getEnvironmentalTable(['temperature', 'dew_point'], '-1h', 'now()', '5m', filters),
+    getLatestData: () => influx.getLatestData(filters),
+    getSeriesTimeline: () => influx.getSeriesTimeline(['temperature'], new Date(Date.now() - 3600000), new Date(), 90, filters),
+    writeRollups: () => influx.writeRollups('1h', ['mean'], new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z')),
+    testConnection: () => influx.testConnection()
+  };
+
+  Object.entries(paths).forEach(([name, run]) => {
+    test(name, async () => {
+      (await capture(run)).forEach(assertBuilt);
+    });
+  });
+
+  test('queries routed to rollups', async () => {
+    const now = new Date();
+    await rollups.recordRolledRange('hourly', new Date(now.getTime() - 30 * 86400000), rollups.floorToPeriod(now, 3600000));
+
+    const sent = await capture(() => influx.getEnvironmentalData('temperature', '-10d', 'now()', '2h', filters));
+    sent.forEach(assertBuilt);
+    assert.ok(sent[0].toString().startsWith('union('), 'long-range query was not routed to rollups');
+  });
+
+  test('routed means are weighted by the rolled-up counts', async () => {
+    const [mean] = await capture(() => influx.getEnvironmentalData('temperature', '-10d', 'now()', '2h', filters));
+    const text = mean.toString();
+    assert.ok(text.includes('r["aggregate"] == "mean" or r["aggregate"] == "count"'), text);
+    assert.ok(text.includes('_weight: r["count"]') && text.includes('_weight: 1.0'), text);
+    assert.ok(text.includes('r._value * r["_weight"]'), text);
+
+    const [max] = await capture(() => influx.getEnvironmentalData('temperature', '-10d', 'now()', '2h', { ...filters, aggregate: 'max' }));
+    assert.ok(!max.toString().includes('_weight'), max.toString());
+  });
+
+  test('crafted arguments are rejected before a query is sent', async () => {
+    queries.length = 0;
+    await assert.rejects(() => influx.getEnvironmentalData('temperature', '-1h) |> yield(name: "x"', 'now()', '5m'));
+    await assert.rejects(() => influx.getEnvironmentalData('temperature', '-1h', 'now()', '5m) |> yield('));
+    await assert.rejects(() => influx.getEnvironmentalData('temperature', '-1h', 'now()', '5m', { tag: { 'a"] == "' : 'x' } }));
+    await assert.rejects(() => influx.getEnvironmentalData('temperature', '-1h', 'now()', '5m', { groupBy: 'deviceId) |> yield(' }));
+    assert.equal(queries.length, 0);
+  });
+});
+
+describe('tag filters', () => {
+  test('tag[deviceId] and tag[location] apply without the dedicated options', async () => {
+    const [query] = await capture(() => influx.getEnvironmentalData('temperature', '-1h', 'now()', '5m', {
+      tag: { deviceId: ['node-1'], location: ['attic'] }
+    }));
+    const text = query.toString();
+    assert.ok(text.includes('r["deviceId"] == "node-1"'), text);
+    assert.ok(text.includes('r["location"] == "attic"'), text);
+  });
+});
+
+describe('derived fields', () => {
+  test('cannot be aggregated with min or max', async () => {
+    await assert.rejects(
+      () => influx.getEnvironmentalData('dew_point', '-1h', 'now()', '5m', { aggregate: ['min', 'max'] }),
+      error => error.name === 'ValidationError'
+    );
+  });
+
+  test('are computed from mean rows only', async () => {
+    influx.queryApi.queryRows = (query, handlers) => {
+      handlers.next(['row'], { toObject: () => ({ _time: '2024-01-01T00:00:00Z', aht20_temperature_celsius: 20, aht20_humidity_percent: 50 }) });
+      handlers.complete();
+    };
+
+    try {
+      const data = await influx.getAllEnvironmentalData('-1h', 'now()', '5m', { aggregate: ['mean', 'min'] });
+      assert.equal(data.dew_point.length, 1);
+      assert.equal(typeof data.dew_point[0].value, 'number');
+      assert.deepEqual(Object.keys(data.dew_point[0].aggregates), ['mean']);
+      assert.deepEqual(Object.keys(data.temperature[0].aggregates), ['mean', 'min']);
+    } finally {
+      influx.queryApi.queryRows = (query, handlers) => {
+        queries.push(query);
+        handlers.complete();
+      };
+    }
+  });
+});
+
+describe('influxdb.js source', () => {
+  test('only sends queries built by the builder', async () => {
+    const source = await readFile(new URL('../services/influxdb.js', import.meta.url), 'utf8');
+
+    // Pipeline text only appears inside flux`` templates
+    source.split('\n')
+      .filter(line => line.includes('|>') && !line.trim().startsWith('*') && !line.trim().startsWith('//'))
+      .forEach(line => assert.ok(line.includes('flux`'), `Flux outside a flux template: ${line.trim()}`));
+
+    // No hand-written sources or string concatenation into queries
+    assert.ok(!/["'`]from\(bucket/.test(source), 'from(bucket:) outside the builder');
+    assert.ok(!/queryApi\.(query|queryRaw|collectRows|collectLines|iterateRows|iterateLines)\(/.test(source), 'query API used without queryRows');
+
+    // Every queryRows call gets a query from createFluxQuery/createFluxUnion
+    const calls = [...source.matchAll(/queryApi\.queryRows\((\w+)/g)].map(match => match[1]);
+    assert.ok(calls.length > 0);
+    calls.forEach(variable => {
+      if (variable === 'query' && source.includes('function collectRows(query)')) return;
+      const assignment = new RegExp(`const ${variable} = createFlux(Query|Union)\\(`);
+      assert.match(source, assignment, `${variable} is not built by the builder`);
+    });
+  });
+});
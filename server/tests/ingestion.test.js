@@ -0,0 +1,85 @@
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INGEST_MAX_BUFFER = '3';
+
+let influx;
+let ingestion;
+let written;
+let failWrites;
+
+before(async () => {
+  influx = await import('../services/influxdb.js');
+  ingestion = await import('../services/ingestion.js');
+
+  influx.writeApi.writePoints = (points) => {
+    if (!failWrites) written.push(...points);
+  };
+  influx.writeApi.flush = async () => {
+    if (failWrites) throw new Error('InfluxDB unavailable');
+  };
+});
+
+beforeEach(async () => {
+  // Drain whatever an earlier test left behind
+  failWrites = false;
+  await ingestion.flushIngestionBuffer();
+  written = [];
+});
+
+/**
+ * Temperatures of the written points, in write order
+ * @returns {Array<number>} Values
+ */
+function writtenTemperatures() {
+  return written.map(point => Number(point.fields.aht20_temperature_celsius));
+}
+
+/**
+ * Ingest a temperature reading from node-1
+ * @param {number} temperature - Temperature value
+ */
+function ingest(temperature) {
+  ingestion.handleSensorMessage({ deviceId: 'node-1', temperature });
+}
+
+describe('ingestion buffer', () => {
+  test('keeps a failed batch and writes it on the next flush', async () => {
+    failWrites = true;
+    ingest(20);
+    ingest(21);
+
+    assert.equal(await ingestion.flushIngestionBuffer(), 0);
+    assert.equal(ingestion.getIngestionStats().buffered, 2);
+    assert.equal(written.length, 0);
+
+    failWrites = false;
+    ingest(22);
+    assert.equal(await ingestion.flushIngestionBuffer(), 3);
+    assert.equal(ingestion.getIngestionStats().buffered, 0);
+    assert.deepEqual(writtenTemperatures(), [20, 21, 22]);
+  });
+
+  test('drops and counts the oldest points beyond the buffer cap', async () => {
+    const { dropped, failedWrites } = ingestion.getIngestionStats();
+
+    failWrites = true;
+    ingest(20);
+    ingest(21);
+    await ingestion.flushIngestionBuffer();
+    ingest(22);
+    ingest(23);
+    await ingestion.flushIngestionBuffer();
+
+    const stats = ingestion.getIngestionStats();
+    assert.equal(stats.buffered, 3);
+    assert.equal(stats.dropped - dropped, 1);
+    assert.equal(stats.failedWrites - failedWrites, 6);
+
+    failWrites = false;
+    await ingestion.flushIngestionBuffer();
+    assert.deepEqual(writtenTemperatures(), [21, 22, 23]);
+  });
+});
@@ -0,0 +1,37 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.NOTIFY_WEBHOOK_URL = 'not a url';
+process.env.NOTIFY_MQTT_ENABLED = 'true';
+
+let notifications;
+let channels;
+
+before(async () => {
+  notifications = await import('../services/notifications.js');
+  channels = await import('../notifications/index.js');
+  notifications.startNotifications();
+});
+
+after(() => {
+  notifications.stopNotifications();
+});
+
+describe('channel setup', () => {
+  test('leaves out a channel with invalid settings and keeps the others', () => {
+    const names = notifications.getNotificationStatus().channels.map(channel => channel.name);
+    assert.deepEqual(names, ['mqtt']);
+  });
+
+  test('rejects webhook URLs that are not http(s)', () => {
+    assert.throws(() => channels.createNotificationChannel('webhook', { url: 'not a url' }), /not a valid URL/);
+    assert.throws(() => channels.createNotificationChannel('webhook', { url: 'file:///etc/passwd' }), /http or https/);
+  });
+
+  test('reports only the origin of webhook URLs', () => {
+    const webhook = channels.createNotificationChannel('webhook', { url: 'https://example.com/hooks/secret-token' });
+    assert.equal(webhook.target, 'https://example.com');
+  });
+});
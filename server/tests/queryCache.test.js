@@ -0,0 +1,73 @@
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.INFLUXDB_BUCKET ??= 'test';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.QUERY_CACHE_ENABLED = 'true';
+process.env.ROLLUPS_ENABLED = 'false';
+
+let influx;
+let sent = 0;
+
+before(async () => {
+  influx = await import('../services/influxdb.js');
+
+  // Count queries and writes instead of sending them
+  influx.queryApi.queryRows = (query, handlers) => {
+    sent++;
+    handlers.complete();
+  };
+  influx.writeApi.writePoints = () => {};
+  influx.writeApi.flush = async () => {};
+});
+
+beforeEach(() => {
+  influx.invalidateQueryCache();
+  sent = 0;
+});
+
+/**
+ * Count the queries a call sends to InfluxDB
+ * @param {Function} run - Calls an influxdb.js export
+ * @returns {Promise<number>} Queries sent
+ */
+async function queriesSent(run) {
+  const before = sent;
+  await run();
+  return sent - before;
+}
+
+describe('query cache invalidation on writes', () => {
+  const recent = () => influx.getEnvironmentalData('temperature', '-1h', 'now()', '5m');
+  const lastYear = () => influx.getEnvironmentalData('temperature', '2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '1h');
+  const write = (timestamp) => influx.writeDataPoints([
+    { measurement: 'environment', fields: { temperature: 21 }, tags: { deviceId: 'node-1' }, timestamp }
+  ]);
+
+  test('new readings drop ranges reaching now and keep older fixed ranges', async () => {
+    await recent();
+    await lastYear();
+
+    await write(new Date());
+
+    assert.equal(await queriesSent(recent), 1);
+    assert.equal(await queriesSent(lastYear), 0);
+  });
+
+  test('late readings drop the fixed ranges they fall into', async () => {
+    await lastYear();
+
+    await write(new Date('2024-01-01T12:00:00Z'));
+
+    assert.equal(await queriesSent(lastYear), 1);
+  });
+
+  test('invalidating without a time drops everything', async () => {
+    await lastYear();
+
+    influx.invalidateQueryCache();
+
+    assert.equal(await queriesSent(lastYear), 1);
+  });
+});
@@ -0,0 +1,119 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+
+let rollups;
+
+before(async () => {
+  rollups = await import('../services/rollups.js');
+  await rollups.initializeRollups();
+});
+
+/**
+ * Plan a query over an RFC3339 range
+ * @param {string} start - Range start
+ * @param {string} end - Range end
+ * @param {string} windowPeriod - Aggregation window
+ * @param {string} aggregate - Aggregate function
+ * @returns {Object|null} Plan with ISO times and the level id
+ */
+function plan(start, end, windowPeriod, aggregate = 'mean') {
+  const result = rollups.planRollupQuery(start, end, windowPeriod, aggregate);
+  if (!result) return null;
+
+  return {
+    level: result.level.id,
+    start: result.start.toISOString(),
+    from: result.from.toISOString(),
+    until: result.until.toISOString(),
+    end: result.end.toISOString()
+  };
+}
+
+describe('planRollupQuery', () => {
+  test('reads raw data while nothing is rolled up', () => {
+    assert.equal(plan('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '1h'), null);
+  });
+
+  describe('with hourly and daily rollups', () => {
+    before(async () => {
+      await rollups.recordRolledRange('hourly', new Date('2024-01-01T00:00:00Z'), new Date('2024-01-08T00:00:00Z'));
+      await rollups.recordRolledRange('daily', new Date('2024-01-01T00:00:00Z'), new Date('2024-01-07T00:00:00Z'));
+    });
+
+    test('reads whole covered periods from rollups and the partial ends raw', () => {
+      assert.deepEqual(plan('2024-01-01T00:30:00Z', '2024-01-02T05:20:00Z', '1h'), {
+        level: 'hourly',
+        start: '2024-01-01T00:30:00.000Z',
+        from: '2024-01-01T01:00:00.000Z',
+        until: '2024-01-02T05:00:00.000Z',
+        end: '2024-01-02T05:20:00.000Z'
+      });
+    });
+
+    test('stops at the end of the coverage', () => {
+      const result = plan('2024-01-06T00:00:00Z', '2024-01-09T12:00:00Z', '1h');
+      assert.equal(result.until, '2024-01-08T00:00:00.000Z');
+      assert.equal(result.end, '2024-01-09T12:00:00.000Z');
+    });
+
+    test('uses the coarsest level whose period divides the window', () => {
+      assert.equal(plan('2024-01-01T00:00:00Z', '2024-01-07T00:00:00Z', '1d').level, 'daily');
+      assert.equal(plan('2024-01-01T00:00:00Z', '2024-01-07T00:00:00Z', '2d').level, 'daily');
+      assert.equal(plan('2024-01-01T00:00:00Z', '2024-01-07T00:00:00Z', '6h').level, 'hourly');
+      assert.equal(plan('2024-01-01T00:00:00Z', '2024-01-07T00:00:00Z', '1h', 'max').level, 'hourly');
+    });
+
+    test('falls back to a finer level the coarse one does not cover', () => {
+      assert.equal(plan('2024-01-07T00:00:00Z', '2024-01-07T12:00:00Z', '1d').level, 'hourly');
+      assert.equal(plan('2024-01-07T00:00:00Z', '2024-01-09T00:00:00Z', '1d').level, 'hourly');
+      assert.equal(plan('2024-01-08T00:00:00Z', '2024-01-09T00:00:00Z', '1d'), null);
+      assert.equal(plan('2024-01-06T00:00:00Z', '2024-01-09T00:00:00Z', '1d').level, 'daily');
+      assert.equal(plan('2024-01-07T00:00:00Z', '2024-01-09T00:00:00Z', '2h').level, 'hourly');
+    });
+
+    test('weights means only', () => {
+      const range = ['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '1h'];
+      assert.equal(rollups.planRollupQuery(...range, 'mean').weighted, true);
+      assert.equal(rollups.planRollupQuery(...range, 'max').weighted, false);
+    });
+
+    test('reads raw data for windows, aggregates and ranges rollups cannot serve', () => {
+      assert.equal(plan('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '30m'), null);
+      assert.equal(plan('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '90m'), null);
+      assert.equal(plan('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '1h', 'median'), null);
+      assert.equal(plan('2023-12-31T00:00:00Z', '2024-01-02T00:00:00Z', '1h'), null);
+      assert.equal(plan('2024-01-01T00:10:00Z', '2024-01-01T00:50:00Z', '1h'), null);
+    });
+  });
+
+  describe('late readings', () => {
+    test('mark the covered periods they land in', async () => {
+      const marked = await rollups.markStalePeriods([
+        new Date('2024-01-02T05:10:00Z'),
+        new Date('2024-01-02T05:50:00Z'),
+        new Date('2024-01-02T07:00:00Z'),
+        // Beyond both coverages
+        new Date('2024-01-09T00:00:00Z')
+      ]);
+
+      // Two hours and one day
+      assert.equal(marked, 3);
+      assert.deepEqual(rollups.getRollupCoverage('hourly').stalePeriods, ['2024-01-02T05:00:00.000Z', '2024-01-02T07:00:00.000Z']);
+      assert.deepEqual(rollups.getRollupCoverage('daily').stalePeriods, ['2024-01-02T00:00:00.000Z']);
+    });
+
+    test('are not marked twice', async () => {
+      assert.equal(await rollups.markStalePeriods([new Date('2024-01-02T05:30:00Z')]), 0);
+    });
+
+    test('are taken once, oldest first', async () => {
+      const periods = await rollups.takeStalePeriods('hourly');
+      assert.deepEqual(periods.map(period => period.toISOString()), ['2024-01-02T05:00:00.000Z', '2024-01-02T07:00:00.000Z']);
+      assert.deepEqual(await rollups.takeStalePeriods('hourly'), []);
+      assert.deepEqual(rollups.getRollupCoverage('daily').stalePeriods, ['2024-01-02T00:00:00.000Z']);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+
+let sensorConfig;
+let deviceRegistry;
+let commands;
+
+before(async () => {
+  sensorConfig = await import('../services/sensorConfig.js');
+  deviceRegistry = await import('../services/deviceRegistry.js');
+  commands = await import('../services/commands.js');
+
+  await deviceRegistry.initializeDeviceRegistry();
+  await commands.initializeCommandTracking();
+  await sensorConfig.initializeSensorConfigs();
+  commands.stopCommandTracking();
+});
+
+/**
+ * Sensor config commands sent to a device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Array<Object>>} Commands
+ */
+async function configCommands(deviceId) {
+  const list = await commands.getDeviceCommands(deviceId);
+  return list.filter(command => command.command === 'sensor_config');
+}
+
+describe('all-devices sensor configs', () => {
+  before(async () => {
+    await sensorConfig.saveSensorConfig({ sensorType: 'temperature', enabled: true, sampleRate: 60 });
+    await sensorConfig.saveSensorConfig({ sensorType: 'humidity', enabled: true, sampleRate: 120 });
+    await sensorConfig.saveSensorConfig({ sensorType: 'humidity', deviceId: 'node-2', enabled: false, sampleRate: 60 });
+  });
+
+  test('are sent to devices that register later', async () => {
+    await deviceRegistry.registerDevice('node-1');
+    // The registry emits the status change without waiting for its listeners
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const sent = await configCommands('node-1');
+    assert.deepEqual(sent.map(command => command.parameters.sensorType).sort(), ['humidity', 'temperature']);
+
+    const config = await sensorConfig.getSensorConfig('temperature');
+    assert.equal(config.delivery['node-1'].commandId, sent.find(command => command.parameters.sensorType === 'temperature').id);
+  });
+
+  test('are not sent twice or over a device-specific config', async () => {
+    assert.equal(await sensorConfig.deliverMissingConfigs('node-1'), 0);
+
+    assert.equal(await sensorConfig.deliverMissingConfigs('node-2'), 1);
+    const sent = await configCommands('node-2');
+    assert.deepEqual(sent.map(command => command.parameters.sensorType), ['temperature']);
+  });
+});
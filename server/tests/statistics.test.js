@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { percentile, summarizeSeries, comparisonPeriod, compareSummaries } from '../services/statistics.js';
+
+/**
+ * Build a series of points five minutes apart
+ * @param {Array<number|Object>} values - Values, or points without time
+ * @returns {Array<Object>} Points of { time, value, aggregates? }
+ */
+function series(values) {
+  return values.map((value, index) => ({
+    time: new Date(Date.UTC(2024, 0, 1, 0, index * 5)).toISOString(),
+    ...(typeof value === 'object' ? value : { value })
+  }));
+}
+
+describe('percentile', () => {
+  test('interpolates between the closest ranks', () => {
+    const sorted = [10, 20, 30, 40];
+    assert.equal(percentile(sorted, 0), 10);
+    assert.equal(percentile(sorted, 100), 40);
+    assert.equal(percentile(sorted, 50), 25);
+    assert.equal(percentile(sorted, 25), 17.5);
+    assert.ok(Math.abs(percentile(sorted, 95) - 38.5) < 1e-9);
+  });
+
+  test('a single value is every percentile', () => {
+    assert.equal(percentile([7], 5), 7);
+    assert.equal(percentile([7], 95), 7);
+  });
+});
+
+describe('summarizeSeries', () => {
+  test('the median of an even count is the mean of the middle values', () => {
+    assert.equal(summarizeSeries(series([4, 1, 3, 2])).median, 2.5);
+    assert.equal(summarizeSeries(series([5, 1, 3])).median, 3);
+  });
+
+  test('a latest value of 0 is kept', () => {
+    const stats = summarizeSeries(series([2, 1, 0]));
+    assert.equal(stats.latest, 0);
+    assert.equal(stats.latestTime, '2024-01-01T00:10:00.000Z');
+  });
+
+  test('percentiles are interpolated', () => {
+    const stats = summarizeSeries(series([10, 40, 20, 30]));
+    assert.deepEqual(stats.percentiles, { p5: 11.5, p25: 17.5, p75: 32.5, p95: 38.5 });
+  });
+
+  test('extremes come from window minima and maxima', () => {
+    const stats = summarizeSeries(series([
+      { value: 20, aggregates: { mean: 20, min: 19.5, max: 20.5 } },
+      // A one-minute spike barely moves the window mean
+      { value: 21, aggregates: { mean: 21, min: 20, max: 35 } },
+      { value: 20, aggregates: { mean: 20, min: 18, max: 21 } }
+    ]));
+
+    assert.equal(stats.max, 35);
+    assert.equal(stats.maxTime, '2024-01-01T00:05:00.000Z');
+    assert.equal(stats.min, 18);
+    assert.equal(stats.minTime, '2024-01-01T00:10:00.000Z');
+    assert.equal(stats.avg, 61 / 3);
+  });
+
+  test('extremes fall back to values without aggregates', () => {
+    const stats = summarizeSeries(series([3, 9, 1]));
+    assert.equal(stats.min, 1);
+    assert.equal(stats.max, 9);
+  });
+
+  test('no statistics without values', () => {
+    assert.equal(summarizeSeries(series([null])), null);
+  });
+});
+
+describe('period comparison', () => {
+  const now = new Date('2024-01-08T12:00:00Z');
+
+  test('previous is the period of equal length just before', () => {
+    const period = comparisonPeriod('-2h', 'now()', 'previous', now);
+    assert.equal(period.startTime.toISOString(), '2024-01-08T08:00:00.000Z');
+    assert.equal(period.endTime.toISOString(), '2024-01-08T10:00:00.000Z');
+  });
+
+  test('week is the same range a week earlier', () => {
+    const period = comparisonPeriod('-2h', 'now()', 'week', now);
+    assert.equal(period.endTime.toISOString(), '2024-01-01T12:00:00.000Z');
+  });
+
+  test('deltas have no percentage against 0', () => {
+    const deltas = compareSummaries({ avg: 5, latest: 2 }, { avg: 4, latest: 0 });
+    assert.deepEqual(deltas.avg, { previous: 4, delta: 1, percent: 25 });
+    assert.deepEqual(deltas.latest, { previous: 0, delta: 2, percent: null });
+  });
+});
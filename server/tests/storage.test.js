@@ -0,0 +1,55 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let storage;
+let failWrites = false;
+
+before(async () => {
+  storage = await import('../storage/index.js');
+
+  // Memory driver whose writes can be made to fail
+  storage.registerStorageDriver('flaky', () => {
+    let stored = null;
+    return {
+      name: 'flaky',
+      location: 'memory:flaky',
+      async read() {
+        return stored;
+      },
+      async write(data) {
+        if (failWrites) throw new Error('disk full');
+        stored = structuredClone(data);
+      }
+    };
+  });
+});
+
+describe('repository', () => {
+  test('rolls back changes whose write failed', async () => {
+    const repository = storage.createRepository('things', { driver: 'flaky' });
+    await repository.create('a', { name: 'first' });
+
+    failWrites = true;
+    await assert.rejects(repository.create('b', { name: 'second' }), /disk full/);
+    await assert.rejects(repository.update('a', { name: 'changed' }), /disk full/);
+    await assert.rejects(repository.upsert('a', { name: 'replaced' }), /disk full/);
+    await assert.rejects(repository.delete('a'), /disk full/);
+    failWrites = false;
+
+    assert.equal(await repository.has('b'), false);
+    assert.deepEqual(await repository.get('a'), { name: 'first' });
+  });
+
+  test('returns copies of the cached records', async () => {
+    const repository = storage.createRepository('devices', { driver: 'flaky' });
+    const created = await repository.create('node-1', { configuration: { sampleRate: 60 } });
+    created.configuration.sampleRate = 1;
+
+    const device = await repository.get('node-1');
+    device.configuration.sampleRate = 5;
+    const [listed] = await repository.list();
+    listed.name = 'changed';
+
+    assert.deepEqual(await repository.get('node-1'), { configuration: { sampleRate: 60 } });
+  });
+});
@@ -0,0 +1,125 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// validation.js loads services that create the InfluxDB client
+process.env.INFLUXDB_URL ??= 'http://localhost:8086';
+process.env.STORAGE_DRIVER = 'memory';
+
+let schemas;
+
+before(async () => {
+  ({ schemas } = await import('../middleware/validation.js'));
+});
+
+/**
+ * Validate a query as the validate() middleware does
+ * @param {Object} schema - Joi schema
+ * @param {Object} query - Query parameters
+ * @returns {Object} Joi result
+ */
+function check(schema, query) {
+  return schema.validate(query, { abortEarly: false, allowUnknown: false, stripUnknown: true });
+}
+
+describe('sensor query validation rejects injection attempts', () => {
+  const querySchemas = () => ({
+    timeRange: schemas.timeRange,
+    summaryQuery: schemas.summaryQuery,
+    dataQuery: schemas.dataQuery,
+    sensorQuery: schemas.sensorQuery
+  });
+
+  test('crafted start and stop times', () => {
+    const crafted = [
+      '-1h) |> drop(columns: ["_value"]',
+      'now() |> yield(name: "x")',
+      '2024-01-01T00:00:00Z) |> to(bucket: "other")',
+      '-1h\n|> limit(n: 1)'
+    ];
+    Object.entries(querySchemas()).forEach(([name, schema]) => {
+      crafted.forEach(value => {
+        assert.ok(check(schema, { startTime: value }).error, `${name} accepted startTime ${value}`);
+        assert.ok(check(schema, { endTime: value }).error, `${name} accepted endTime ${value}`);
+      });
+    });
+  });
+
+  test('crafted window periods', () => {
+    const crafted = ['5m, fn: mean) |> yield(name: "x"', '5m\n', 'duration(v: "5m")', '-5m', '0m', '00h'];
+    Object.entries(querySchemas()).forEach(([name, schema]) => {
+      crafted.forEach(value => {
+        assert.ok(check(schema, { windowPeriod: value }).error, `${name} accepted windowPeriod ${value}`);
+      });
+    });
+  });
+
+  test('zero-length periods and intervals', () => {
+    assert.ok(check(schemas.dataQuery, { windowPeriod: '0m' }).error);
+    assert.ok(check(schemas.anomalyQuery, { flatlineDuration: '0h' }).error);
+    assert.ok(check(schemas.gapQuery, { expectedInterval: '0s' }).error);
+    assert.equal(check(schemas.dataQuery, { windowPeriod: 'auto' }).error, undefined);
+    assert.equal(check(schemas.dataQuery, { windowPeriod: '10m' }).error, undefined);
+  });
+
+  test('crafted tag names, device ids and groupBy', () => {
+    const schema = schemas.dataQuery;
+    // Tag names not matching the pattern are stripped like other unknown keys
+    const { value } = check(schema, { tag: { 'room"] == "x" or r["a': 'office', 'room) |> yield(': 'office' } });
+    assert.deepEqual(value.tag, {});
+    assert.ok(check(schema, { deviceId: 'node-1" or true or "' }).error);
+    assert.ok(check(schema, { groupBy: 'deviceId) |> yield(name: "x"' }).error);
+    assert.ok(check(schema, { aggregate: 'mean) |> to(bucket: "other"' }).error);
+  });
+
+  test('ordinary queries pass', () => {
+    const { error, value } = check(schemas.dataQuery, {
+      startTime: '-7d',
+      endTime: 'now()',
+      windowPeriod: '1h',
+      deviceId: 'node-1',
+      tag: { room: 'office' }
+    });
+    assert.equal(error, undefined);
+    assert.deepEqual(value.deviceId, ['node-1']);
+    assert.deepEqual(value.tag, { room: ['office'] });
+  });
+});
+
+describe('rule validation', () => {
+  const rule = {
+    name: 'Bathroom fan',
+    condition: { field: 'humidity', operator: '>', value: 70 },
+    action: { deviceId: 'fan-1', command: 'on' }
+  };
+
+  test('rules without a source device fire on any device', () => {
+    assert.equal(schemas.rule.validate(rule).error, undefined);
+  });
+
+  test('waiting and clearing rules need a source device', () => {
+    const waiting = { ...rule, condition: { ...rule.condition, duration: 600000 } };
+    const clearing = { ...rule, clearAction: { deviceId: 'fan-1', command: 'off' } };
+
+    assert.ok(schemas.rule.validate(waiting).error);
+    assert.ok(schemas.rule.validate(clearing).error);
+    assert.equal(schemas.rule.validate({ ...waiting, sourceDeviceId: 'bathroom-1' }).error, undefined);
+    assert.equal(schemas.rule.validate({ ...clearing, sourceDeviceId: 'bathroom-1' }).error, undefined);
+  });
+});
+
+describe('device id validation', () => {
+  test('rejects MQTT wildcards and topic separators', () => {
+    ['node+1', 'node#', 'node/1', '', 'a'.repeat(51)].forEach(deviceId => {
+      assert.ok(schemas.deviceParams.validate({ deviceId }).error, deviceId);
+    });
+    assert.equal(schemas.deviceParams.validate({ deviceId: 'node-1_a' }).error, undefined);
+  });
+
+  test('command routes validate the command id too', () => {
+    assert.equal(schemas.commandParams.validate({ deviceId: 'node-1', commandId: 'cmd_1712345678_ab12cd' }).error, undefined);
+    ['cmd/1', 'cmd+', '', 'a'.repeat(101)].forEach(commandId => {
+      assert.ok(schemas.commandParams.validate({ deviceId: 'node-1', commandId }).error, commandId);
+    });
+    assert.ok(schemas.commandParams.validate({ deviceId: 'node#', commandId: 'cmd_1' }).error);
+  });
+});
@@ -0,0 +1,11 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Generate a record id
+ * Ids start with the creation time so they sort roughly by age.
+ * @param {string} prefix - Id prefix naming the record type (e.g. 'cmd', 'rule')
+ * @returns {string} Id such as cmd_1712345678901_9f86d081
+ */
+export function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${randomUUID().slice(0, 8)}`;
+}